@@ -0,0 +1,151 @@
+import { EventEmitter } from 'events';
+
+// ═══════════════════════════════════════════════════════════════
+// CandleAggregator.js — builds higher-timeframe bars inside the agent
+// Ticks → 1min bars → 5min / 1h bars, bucketed on UTC boundaries
+// (12:00, 12:05, ... / 12:00, 13:00, ...). A bar is emitted as
+//   'candle' (symbol, interval, candle)
+// as soon as its last minute closes, or on flush() once the clock
+// has passed its end (+ grace, e.g. the final 1m bar never arrived).
+// A 1m bar that arrives late for an already-emitted bucket is merged
+// in and the corrected bar is emitted again with the same ts.
+// partial(symbol, interval) returns the bar still being built.
+// ═══════════════════════════════════════════════════════════════
+
+const MS_1M = 60000;
+
+export const AGGREGATE_INTERVALS = {
+  '5min': 5  * MS_1M,
+  '1h':   60 * MS_1M,
+};
+
+const bucketOf = (ts, ms) => Math.floor(ts / ms) * ms;
+
+function makeCandle(ts, open, high, low, close, volume) {
+  return { ts, open, high, low, close, volume, o: open, h: high, l: low, c: close };
+}
+
+function mergeInto(bar, candle) {
+  const high  = Math.max(bar.high, candle.high ?? candle.h);
+  const low   = Math.min(bar.low,  candle.low  ?? candle.l);
+  const close = candle.close ?? candle.c;
+  const volume = bar.volume === null && candle.volume == null ? null : (bar.volume || 0) + (candle.volume || 0);
+  return makeCandle(bar.ts, bar.open, high, low, close, volume);
+}
+
+// ── Offline helper: aggregate a full 1m series (backtests) ──
+export function aggregateCandles(candles1m, intervalMs) {
+  const out = [];
+  let bar = null;
+  for (const c of candles1m) {
+    const ts = bucketOf(c.ts, intervalMs);
+    if (!bar || bar.ts !== ts) {
+      if (bar) out.push(bar);
+      bar = makeCandle(ts, c.open ?? c.o, c.high ?? c.h, c.low ?? c.l, c.close ?? c.c, c.volume ?? null);
+    } else {
+      bar = mergeInto(bar, c);
+    }
+  }
+  if (bar) out.push(bar);
+  return out;
+}
+
+export class CandleAggregator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.intervals = options.intervals || AGGREGATE_INTERVALS;
+    this.graceMs   = options.graceMs ?? MS_1M;  // flush() waits this long for a late final 1m bar
+    this._partials = {};   // { symbol: { '1min': bar, '5min': bar, '1h': bar } }
+    this._closed   = {};   // { symbol: { interval: last emitted bar } }
+    this._last1mTs = {};   // { symbol: ts of last 1m bar consumed }
+    this._startAt  = {};   // { symbol: { interval: ts } } — ignore 1m bars before (warm-up seam)
+  }
+
+  // ── Warm-up seam: only build `interval` bars from 1m bars at/after ts ──
+  // Pass the end of the last closed bar loaded from history.
+  startAfter(symbol, boundaries) {
+    this._startAt[symbol] = { ...(this._startAt[symbol] || {}), ...boundaries };
+  }
+
+  // ── Feed one CLOSED 1min candle. Duplicates / older bars are ignored ──
+  push1m(symbol, candle) {
+    if (candle.ts <= (this._last1mTs[symbol] ?? -Infinity)) return;
+    this._last1mTs[symbol] = candle.ts;
+    const partials = this._partials[symbol] || (this._partials[symbol] = {});
+    const closed   = this._closed[symbol]   || (this._closed[symbol] = {});
+    const startAt  = this._startAt[symbol] || {};
+
+    for (const [interval, ms] of Object.entries(this.intervals)) {
+      if (candle.ts < (startAt[interval] ?? -Infinity)) continue;
+      const ts  = bucketOf(candle.ts, ms);
+      if (closed[interval] && ts <= closed[interval].ts) {
+        if (ts === closed[interval].ts) this._emit(symbol, interval, mergeInto(closed[interval], candle)); // late minute: re-emit corrected bar
+        continue;
+      }
+      let bar   = partials[interval];
+      if (bar && bar.ts !== ts) {        // minute belongs to a new bucket: close the old one
+        this._emit(symbol, interval, bar);
+        bar = null;
+      }
+      bar = bar
+        ? mergeInto(bar, candle)
+        : makeCandle(ts, candle.open ?? candle.o, candle.high ?? candle.h, candle.low ?? candle.l, candle.close ?? candle.c, candle.volume ?? null);
+
+      if (candle.ts + MS_1M >= ts + ms) { // last minute of the bucket: bar is complete
+        this._emit(symbol, interval, bar);
+        partials[interval] = null;
+      } else {
+        partials[interval] = bar;
+      }
+    }
+  }
+
+  // ── Feed a tick { ts, price, volume? } → builds 1min bars, then higher TFs ──
+  pushTick(symbol, tick) {
+    const partials = this._partials[symbol] || (this._partials[symbol] = {});
+    const ts  = bucketOf(tick.ts, MS_1M);
+    let bar   = partials['1min'];
+    if (bar && ts < bar.ts) return;      // out-of-order tick from a closed minute
+    if (bar && bar.ts !== ts) {
+      this._close1m(symbol, bar);
+      bar = null;
+    }
+    const p = tick.price;
+    partials['1min'] = bar
+      ? mergeInto(bar, { high: p, low: p, close: p, volume: tick.volume ?? null })
+      : makeCandle(ts, p, p, p, p, tick.volume ?? null);
+  }
+
+  _close1m(symbol, bar) {
+    this._partials[symbol]['1min'] = null;
+    this.emit('candle', symbol, '1min', bar);
+    this.push1m(symbol, bar);
+  }
+
+  // ── Close every bar whose bucket (+ grace) has ended by `now` ──
+  flush(symbol, now) {
+    const partials = this._partials[symbol];
+    if (!partials) return;
+    const m1 = partials['1min'];
+    if (m1 && m1.ts + MS_1M <= now) this._close1m(symbol, m1); // ticks: the next minute has started
+    for (const [interval, ms] of Object.entries(this.intervals)) {
+      const bar = partials[interval];
+      if (bar && bar.ts + ms + this.graceMs <= now) {
+        this._emit(symbol, interval, bar);
+        partials[interval] = null;
+      }
+    }
+  }
+
+  // ── Bar still being built (or null) ──
+  partial(symbol, interval) {
+    const bar = this._partials[symbol]?.[interval];
+    return bar ? { ...bar } : null;
+  }
+
+  _emit(symbol, interval, bar) {
+    if (!this._closed[symbol]) this._closed[symbol] = {};
+    this._closed[symbol][interval] = bar;
+    this.emit('candle', symbol, interval, bar);
+  }
+}
@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+
+// ═══════════════════════════════════════════════════════════════
+// CandleLoader.js — reads historical candles from local files
+// Formats: CSV (header row required) | JSON array | TwelveData JSON
+// Output: ascending, de-duplicated candles in ScalpEngine format
+//   { ts, open, high, low, close, volume, o, h, l, c }
+// Timestamps without an explicit timezone are treated as UTC.
+// ═══════════════════════════════════════════════════════════════
+
+const TS_COLUMNS = ['ts', 'timestamp', 'time', 'datetime', 'date'];
+
+// ── Parse a timestamp: epoch seconds/ms or date string (UTC default) ──
+export function parseTimestamp(value) {
+  if (value === null || value === undefined || value === '') return NaN;
+  if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+  const str = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(str)) return parseTimestamp(Number(str));
+  let iso = str.includes('T') ? str : str.replace(' ', 'T');
+  if (/^\d{4}-\d{2}-\d{2}$/.test(iso)) iso += 'T00:00:00';
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(iso)) iso += 'Z';
+  return new Date(iso).getTime();
+}
+
+// ── Normalise any candle-like object to ScalpEngine format ──
+export function normalizeCandle(raw) {
+  const tsRaw = TS_COLUMNS.map(k => raw[k]).find(v => v !== undefined && v !== '');
+  const open  = parseFloat(raw.open  ?? raw.o);
+  const high  = parseFloat(raw.high  ?? raw.h);
+  const low   = parseFloat(raw.low   ?? raw.l);
+  const close = parseFloat(raw.close ?? raw.c);
+  const volume = raw.volume ?? raw.v;
+  return {
+    ts: parseTimestamp(tsRaw),
+    open, high, low, close,
+    volume: volume === undefined || volume === '' ? null : parseFloat(volume),
+    o: open, h: high, l: low, c: close,
+  };
+}
+
+// ── Sort ascending, drop unparseable rows and duplicate timestamps ──
+export function sortCandles(candles) {
+  const valid = candles.filter(c => Number.isFinite(c.ts) && Number.isFinite(c.close));
+  valid.sort((a, b) => a.ts - b.ts);
+  return valid.filter((c, i) => i === 0 || c.ts !== valid[i - 1].ts);
+}
+
+// ── CSV: first row is the header, column names are case-insensitive ──
+export function parseCandleCSV(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+  const sep    = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+  const header = lines[0].split(sep).map(h => h.trim().toLowerCase());
+  const rows = lines.slice(1).map(line => {
+    const cells = line.split(sep);
+    const row   = {};
+    header.forEach((h, i) => { row[h] = cells[i]?.trim(); });
+    return normalizeCandle(row);
+  });
+  return sortCandles(rows);
+}
+
+// ── JSON: plain array, { values: [...] } (TwelveData) or { candles: [...] } ──
+export function parseCandleJSON(text) {
+  const data = typeof text === 'string' ? JSON.parse(text) : text;
+  const list = Array.isArray(data) ? data : (data.values || data.candles || []);
+  return sortCandles(list.map(normalizeCandle));
+}
+
+// ── Load a candle file by extension (.csv or .json) ──
+export function loadCandleFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return path.extname(file).toLowerCase() === '.csv'
+    ? parseCandleCSV(text)
+    : parseCandleJSON(text);
+}
+
+// ── Find {SYMBOL}_{interval}.csv|json in a directory (XAU/USD → XAUUSD) ──
+export function findCandleFile(dir, symbol, interval) {
+  const base = symbol.replace('/', '');
+  for (const ext of ['.csv', '.json']) {
+    const file = path.join(dir, `${base}_${interval}${ext}`);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
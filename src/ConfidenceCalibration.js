@@ -0,0 +1,202 @@
+import { summarizeTrades } from './ScalpBacktester.js';
+import { CONFIDENCE_WEIGHTS } from './PullbackStrategy.js';
+
+// ═══════════════════════════════════════════════════════════════
+// ConfidenceCalibration.js — does a higher confidence score win more?
+// calibrate(trades) takes closed trades that carry `scoring` (the
+// confidence components that held, PullbackStrategy) and reports:
+//   byConfidence  win rate / expectancy per score bucket
+//   components    each component with vs without: trades, win rate,
+//                 expectancy, lift in R
+//   fit           ridge regression of rPnL on the component flags →
+//                 points per component, scaled so the score keeps its
+//                 current spread and mean (MIN_CONF stays comparable),
+//                 and the score where predicted R crosses 0
+//                 (suggested MIN_CONF)
+//   suggested     a full weights object — save it and point
+//                 SCALP_CONF_WEIGHTS_FILE (or backtest --weights) at it
+// Components present in fewer than MIN_COUNT trades, or missing from
+// fewer than MIN_COUNT, keep their current weight (nothing to learn).
+// Signals are only as unbiased as the run: trades cut by MIN_CONF never
+// fired, so calibrate on a backtest with MIN_CONF lowered.
+// ═══════════════════════════════════════════════════════════════
+
+export const CALIBRATION_DEFAULTS = {
+  BUCKET:     5,    // confidence bucket width
+  MIN_COUNT:  5,    // trades with (and without) a component before it is fitted
+  RIDGE:      1,    // L2 penalty on the component coefficients
+  MIN_TRADES: 20,   // no fit below this many trades
+};
+
+const round = (value, dp) => +value.toFixed(dp);
+const mean  = values => values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+const std   = values => { const m = mean(values); return Math.sqrt(mean(values.map(v => (v - m) ** 2))); };
+
+// ── Components of a trade (array, or '; ' joined in journal rows) — null when not recorded ──
+export function scoringOf(trade) {
+  if (Array.isArray(trade.scoring)) return trade.scoring;
+  if (typeof trade.scoring === 'string') return trade.scoring.split(';').map(s => s.trim()).filter(Boolean);
+  return null;
+}
+
+// ── Score of a component set under `weights` (PullbackStrategy._score) ──
+export function scoreWith(weights, components) {
+  const score = components.reduce((sum, name) => sum + (weights[name] ?? 0), weights.base);
+  return Math.min(weights.cap, Math.round(score));
+}
+
+function stats(trades) {
+  const s = summarizeTrades(trades);
+  return { trades: s.trades, winRate: s.winRate, expectancy: s.expectancy, totalR: s.totalR, profitFactor: s.profitFactor };
+}
+
+// ── Solve A x = b (Gauss-Jordan, partial pivoting); null when singular ──
+function solve(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    if (Math.abs(M[p][c]) < 1e-12) return null;
+    [M[c], M[p]] = [M[p], M[c]];
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+}
+
+// ── Ridge regression y ~ b0 + Σ β x (intercept not penalized) → [b0, ...β] ──
+function ridge(X, y, lambda) {
+  const rows = X.map(x => [1, ...x]);
+  const n = rows[0].length;
+  const A = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) =>
+    rows.reduce((sum, r) => sum + r[i] * r[j], 0) + (i === j && i > 0 ? lambda : 0)));
+  const b = Array.from({ length: n }, (_, i) => rows.reduce((sum, r, k) => sum + r[i] * y[k], 0));
+  return solve(A, b);
+}
+
+// options.weights:  weights the trades were scored with (default CONFIDENCE_WEIGHTS)
+// options.minConf:  the MIN_CONF in use (in-sample comparison)
+// options.bucket / minCount / ridge / minTrades: CALIBRATION_DEFAULTS
+export function calibrate(trades, options = {}) {
+  const weights   = { ...CONFIDENCE_WEIGHTS, ...(options.weights || {}) };
+  const bucket    = options.bucket    || CALIBRATION_DEFAULTS.BUCKET;
+  const minCount  = options.minCount  ?? CALIBRATION_DEFAULTS.MIN_COUNT;
+  const lambda    = options.ridge     ?? CALIBRATION_DEFAULTS.RIDGE;
+  const minTrades = options.minTrades ?? CALIBRATION_DEFAULTS.MIN_TRADES;
+  const minConf   = options.minConf ?? null;
+  const names     = Object.keys(weights).filter(k => k !== 'base' && k !== 'cap');
+
+  const closed = trades.filter(t => t.result && Number.isFinite(+t.rPnL));
+  const scored = closed.map(t => ({ ...t, rPnL: +t.rPnL, components: scoringOf(t) })).filter(t => t.components);
+
+  // Confidence buckets (score as recorded)
+  const groups = {};
+  for (const t of scored) {
+    const lo = Math.floor(t.confidence / bucket) * bucket;
+    (groups[lo] ||= []).push(t);
+  }
+  const byConfidence = Object.keys(groups).map(Number).sort((a, b) => a - b)
+    .map(lo => ({ bucket: `${lo}-${lo + bucket - 1}`, ...stats(groups[lo]) }));
+
+  // Each component with vs without
+  const components = names.map(name => {
+    const on  = scored.filter(t => t.components.includes(name));
+    const off = scored.filter(t => !t.components.includes(name));
+    const w = stats(on), wo = stats(off);
+    return {
+      name,
+      weight:  weights[name],
+      with:    w,
+      without: wo,
+      liftR:   on.length && off.length ? round(w.expectancy - wo.expectancy, 3) : null,
+      fitted:  on.length >= minCount && off.length >= minCount,
+    };
+  });
+
+  const fit = scored.length >= minTrades ? fitWeights(scored, weights, components, lambda) : null;
+  let inSample = null;
+  if (fit) {
+    const cut = (list, score, min) => stats(list.filter(t => score(t) >= min));
+    inSample = {
+      current:   minConf !== null ? { minConf, ...cut(scored, t => t.confidence, minConf) } : null,
+      suggested: { minConf: fit.suggestedMinConf, ...cut(scored, t => scoreWith(fit.weights, t.components), fit.suggestedMinConf) },
+    };
+  }
+
+  return {
+    trades:    scored.length,
+    unscored:  closed.length - scored.length,   // closed before `scoring` was recorded
+    overall:   stats(scored),
+    byConfidence,
+    components,
+    fit:       fit && { intercept: fit.intercept, coefficients: fit.coefficients, pointsPerR: fit.pointsPerR, suggestedMinConf: fit.suggestedMinConf, kept: fit.kept },
+    inSample,
+    suggested: fit ? fit.weights : null,
+  };
+}
+
+// ── Fitted points per component; the rest keep their weight, base keeps the mean score ──
+function fitWeights(scored, weights, components, lambda) {
+  const free = components.filter(c => c.fitted).map(c => c.name);
+  const kept = components.filter(c => !c.fitted).map(c => c.name);
+  if (!free.length) return null;
+
+  const X    = scored.map(t => free.map(name => t.components.includes(name) ? 1 : 0));
+  const y    = scored.map(t => t.rPnL);
+  const beta = ridge(X, y, lambda);
+  if (!beta) return null;
+  const [intercept, ...coefs] = beta;
+
+  // Points per R: the fitted part of the score spreads like the current one
+  const currentPart = X.map(x => x.reduce((sum, on, i) => sum + on * weights[free[i]], 0));
+  const fittedPart  = X.map(x => x.reduce((sum, on, i) => sum + on * coefs[i], 0));
+  const pointsPerR  = std(fittedPart) > 0 ? std(currentPart) / std(fittedPart) : 0;
+  if (!(pointsPerR > 0)) return null;
+
+  const suggested = { ...weights };
+  free.forEach((name, i) => { suggested[name] = round(coefs[i] * pointsPerR, 1); });
+
+  // Base: same mean (uncapped) score as before, so MIN_CONF keeps its scale
+  const raw     = (w, t) => t.components.reduce((sum, name) => sum + (w[name] ?? 0), 0);
+  suggested.base = round(weights.base + mean(scored.map(t => raw(weights, t) - raw(suggested, t))), 1);
+
+  // Predicted R = 0 ⇔ fitted part = −intercept; kept components at their average
+  const keptPart = mean(scored.map(t => kept.reduce((sum, name) => sum + (t.components.includes(name) ? suggested[name] : 0), 0)));
+  const suggestedMinConf = Math.round(suggested.base + keptPart - intercept * pointsPerR);
+
+  return {
+    intercept:    round(intercept, 4),
+    coefficients: Object.fromEntries(free.map((name, i) => [name, round(coefs[i], 4)])),
+    pointsPerR:   round(pointsPerR, 2),
+    suggestedMinConf,
+    kept,
+    weights:      suggested,
+  };
+}
+
+// ── Report → console text ──
+export function formatCalibration(report) {
+  const row = (label, s) => `     ${label.padEnd(22)} ${String(s.trades).padStart(4)} trades | WR ${String(s.winRate).padStart(5)}% | exp ${String(s.expectancy).padStart(7)}R`;
+  const lines = [
+    `   Trades: ${report.trades}${report.unscored ? ` (+${report.unscored} without scoring, skipped)` : ''} | WR ${report.overall.winRate}% | exp ${report.overall.expectancy}R`,
+    '   By confidence:',
+    ...report.byConfidence.map(b => row(b.bucket, b)),
+    '   By component (with | lift vs without):',
+    ...report.components.map(c => `${row(`${c.name} (${c.weight})`, c.with)} | lift ${c.liftR ?? '–'}R${c.fitted ? '' : ' — kept'}`),
+  ];
+  if (!report.fit) {
+    lines.push('   Fit: not enough trades / component variation — weights unchanged');
+    return lines.join('\n');
+  }
+  const f = report.fit;
+  lines.push(`   Fit: intercept ${f.intercept}R | ${f.pointsPerR} points per R | suggested MIN_CONF ${f.suggestedMinConf}`);
+  lines.push(`   Suggested weights: ${Object.entries(report.suggested).map(([k, v]) => `${k} ${v}`).join(', ')}`);
+  const { current, suggested } = report.inSample;
+  if (current) lines.push(row(`now ≥ ${current.minConf}`, current));
+  lines.push(`${row(`fit ≥ ${suggested.minConf}`, suggested)} (in sample — confirm out of sample)`);
+  return lines.join('\n');
+}
@@ -0,0 +1,205 @@
+import http from 'http';
+import crypto from 'crypto';
+import { toRow } from './TradeJournal.js';
+
+// ═══════════════════════════════════════════════════════════════
+// ControlServer.js — local HTTP status / control API for the agent
+// Off unless CONTROL_PORT and CONTROL_TOKEN are set. Every request
+// needs the token: `Authorization: Bearer <token>` or `X-Control-Token`.
+// Binds to CONTROL_HOST (127.0.0.1) — put a proxy in front for remote use.
+//   GET  /status     per symbol: 5m trend, 1h macro, data issue and, per strategy,
+//                    open trade, cooldown, last HOLD reason + risk state + MT5 queue
+//                    + data-quality repair counts + API credit usage
+//   GET  /stats      engine.getStats()
+//   GET  /rejections this session's rejection histogram by gate (DecisionTrace.js)
+//   GET  /trades     journal trades (?days=1 | ?from=&to=, ?limit=50), newest first
+//   POST /pause      { reason } → kill switch on (no new signals, no MT5 sends)
+//   POST /resume     kill switch off, loss-streak pause cleared
+//   POST /flatten    { symbol } → close every strategy's open trade (MT5: CLOSE command)
+//   GET  /watchlist  current symbols
+//   PUT  /watchlist  { symbols: [...] } or { add: [...], remove: [...] }
+// Agent-side actions (flatten, watchlist) are callbacks from scalp_index.
+// ═══════════════════════════════════════════════════════════════
+
+const MAX_BODY = 16 * 1024;
+const SYMBOL_RE = /^[A-Z0-9]{2,10}(\/[A-Z0-9]{2,10})?$/;
+const MS_DAY = 86400000;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+const dayOf = ts => new Date(ts).toISOString().slice(0, 10);
+const normSymbol = s => String(s).trim().toUpperCase();   // 'xau/usd ' → 'XAU/USD'
+
+export class ControlServer {
+  // options.port / host / token: CONTROL_PORT / CONTROL_HOST / CONTROL_TOKEN
+  // options.engine, riskManager, journal, mt5: the running agent's components
+  // options.scheduler: RequestScheduler — API credit usage (TwelveData only)
+  // options.agent: { symbols(), flatten(symbol), setWatchlist(symbols) } — async ok
+  constructor(options = {}) {
+    this.port        = parseInt(options.port ?? process.env.CONTROL_PORT, 10) || 0;
+    this.host        = options.host  || process.env.CONTROL_HOST  || '127.0.0.1';
+    this.token       = options.token || process.env.CONTROL_TOKEN || '';
+    this.engine      = options.engine;
+    this.riskManager = options.riskManager || null;
+    this.journal     = options.journal || null;
+    this.mt5         = options.mt5 || null;
+    this.scheduler   = options.scheduler || null;
+    this.agent       = options.agent;
+    this.server      = null;
+
+    this.routes = {
+      'GET /status':    () => this.status(),
+      'GET /stats':     () => this.engine.getStats(),
+      'GET /rejections': () => this.engine.getRejections(),
+      'GET /trades':    (req, url) => this.trades(url.searchParams),
+      'POST /pause':    (req, url, body) => this.pause(body.reason),
+      'POST /resume':   () => this.resume(),
+      'POST /flatten':  (req, url, body) => this.flatten(body.symbol),
+      'GET /watchlist': () => ({ symbols: this.agent.symbols() }),
+      'PUT /watchlist': (req, url, body) => this.setWatchlist(body),
+      'POST /watchlist': (req, url, body) => this.setWatchlist(body),
+    };
+  }
+
+  get enabled() {
+    return this.port > 0 && this.token.length > 0;
+  }
+
+  // ── Listen (resolves once bound; no-op when not configured) ──
+  start() {
+    if (!this.enabled) {
+      if (this.port) console.log('⚠️ Control API not started: CONTROL_TOKEN is required');
+      return Promise.resolve(false);
+    }
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        console.log(`🛰️ Control API on http://${this.host}:${this.server.address().port}`);
+        resolve(true);
+      });
+    });
+  }
+
+  stop() {
+    this.server?.close();
+    this.server = null;
+  }
+
+  // ── Constant-time token check ──
+  _authorized(req) {
+    const header = req.headers.authorization?.replace(/^Bearer\s+/i, '') || req.headers['x-control-token'] || '';
+    const given  = Buffer.from(String(header));
+    const want   = Buffer.from(this.token);
+    return given.length === want.length && crypto.timingSafeEqual(given, want);
+  }
+
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY) { reject(httpError(413, 'Body too large')); req.destroy(); return; }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8').trim();
+        if (!text) return resolve({});
+        try { resolve(JSON.parse(text)); } catch { reject(httpError(400, 'Body is not valid JSON')); }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  _send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  async _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (!this._authorized(req)) throw httpError(401, 'Missing or invalid token');
+      const route = this.routes[`${req.method} ${url.pathname.replace(/\/+$/, '') || '/'}`];
+      if (!route) {
+        const known = Object.keys(this.routes).some(r => r.endsWith(` ${url.pathname}`));
+        throw httpError(known ? 405 : 404, known ? `${req.method} not allowed` : `No route ${url.pathname}`);
+      }
+      const body = req.method === 'GET' ? {} : await this._readBody(req);
+      this._send(res, 200, await route(req, url, body));
+    } catch (err) {
+      if (!err.status) console.error(`❌ Control API ${req.method} ${url.pathname}:`, err.message);
+      this._send(res, err.status || 500, { error: err.message });
+    }
+  }
+
+  // ── Handlers ──
+  status() {
+    const now = this.engine.clock();
+    return {
+      now:     new Date(now).toISOString(),
+      symbols: this.agent.symbols().map(s => this.engine.statusOf(s, now)),
+      risk:    this.riskManager?.status(now) ?? null,
+      data:    this.engine.dataGuard?.summary() ?? null,
+      credits: this.scheduler?.status() ?? null,
+      mt5:     this.mt5 ? {
+        enabled: this.mt5.enabled,
+        pending: this.mt5.pending,
+        queued:  Object.fromEntries(Object.entries(this.mt5.queue).map(([s, q]) => [s, q.length])),
+        account: this.mt5.account,
+      } : null,
+    };
+  }
+
+  trades(params) {
+    if (!this.journal) throw httpError(503, 'No trade journal');
+    const today = dayOf(this.engine.clock());
+    const days  = Math.max(1, parseInt(params.get('days'), 10) || 1);
+    const from  = params.get('from') || dayOf(Date.parse(`${today}T00:00:00Z`) - (days - 1) * MS_DAY);
+    const to    = params.get('to')   || today;
+    if (![from, to].every(d => /^\d{4}-\d{2}-\d{2}$/.test(d))) throw httpError(400, 'from / to must be YYYY-MM-DD');
+    const limit = Math.max(1, parseInt(params.get('limit'), 10) || 50);
+    const rows  = this.journal.readRange(from, to).map(toRow).reverse().slice(0, limit);
+    return { from, to, count: rows.length, trades: rows };
+  }
+
+  pause(reason) {
+    if (!this.riskManager) throw httpError(503, 'No risk manager');
+    this.riskManager.kill(`API pause${reason ? `: ${reason}` : ''}`);
+    console.log(`⏸️ Signalling paused via control API${reason ? ` (${reason})` : ''}`);
+    return { paused: true, risk: this.riskManager.status() };
+  }
+
+  resume() {
+    if (!this.riskManager) throw httpError(503, 'No risk manager');
+    this.riskManager.resume();
+    console.log('▶️ Signalling resumed via control API');
+    return { paused: false, risk: this.riskManager.status() };
+  }
+
+  async flatten(raw) {
+    const symbol = raw ? normSymbol(raw) : '';
+    if (!symbol) throw httpError(400, 'symbol is required');
+    if (!this.engine.openTradesFor(symbol).length) throw httpError(409, `No open trade for ${symbol}`);
+    return this.agent.flatten(symbol);
+  }
+
+  async setWatchlist(body) {
+    const current = this.agent.symbols();
+    let next;
+    if (Array.isArray(body.symbols)) next = body.symbols.map(normSymbol);
+    else if (Array.isArray(body.add) || Array.isArray(body.remove)) {
+      const remove = (body.remove || []).map(normSymbol);
+      next = [...current, ...(body.add || []).map(normSymbol)].filter(s => !remove.includes(s));
+    } else {
+      throw httpError(400, 'Expected { symbols: [...] } or { add: [...], remove: [...] }');
+    }
+    next = [...new Set(next)];
+    const bad = next.filter(s => !SYMBOL_RE.test(s));
+    if (bad.length) throw httpError(400, `Invalid symbol(s): ${bad.join(', ')}`);
+    if (!next.length) throw httpError(400, 'Watchlist cannot be empty');
+    const busy = current.filter(s => !next.includes(s) && this.engine.openTradesFor(s).length);
+    if (busy.length) throw httpError(409, `Open trade on ${busy.join(', ')} — flatten before removing`);
+    return this.agent.setWatchlist(next);
+  }
+}
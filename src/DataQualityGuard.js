@@ -0,0 +1,216 @@
+// ═══════════════════════════════════════════════════════════════
+// DataQualityGuard.js — candles are checked before the engine sees them
+// clean() runs on every load / push and repairs what it can:
+//   invalid     non-numeric or ≤ 0 prices → dropped
+//   ohlc        high / low not covering open / close → widened
+//   misaligned  ts off the minute (seconds noise) → floored
+//   duplicate   same ts twice in one batch → last one kept
+//   outOfOrder  batch not ascending → sorted
+//   future      bar opening after the clock → dropped (feed not UTC?)
+// and records what it cannot repair:
+//   gap         missing bars between two consecutive bars
+//   outlier     bar range or open jump > OUTLIER_MUL × median range
+// check() is the 'data_quality' gate before a signal: the symbol is
+// held while the 1m data is stale, future bars were just seen, the
+// pullback lookback (last LOOKBACK 1m bars) has a gap or an outlier,
+// or a higher timeframe has stopped updating.
+// ═══════════════════════════════════════════════════════════════
+
+export const DATA_QUALITY_DEFAULTS = {
+  STALE_MIN:   2,    // minutes past a bar's close (+ one interval for 5m / 1h) before it is stale
+  LOOKBACK:    8,    // 1m bars that must be contiguous and outlier-free (pullback lookback + current)
+  OUTLIER_MUL: 10,   // × median 1-bar range of the last RANGE_BARS
+  RANGE_BARS:  30,
+};
+
+const INTERVAL_MS = { '1min': 60000, '5min': 5 * 60000, '1h': 60 * 60000 };
+const FUTURE_HOLD_MS = 5 * 60000;   // keep holding this long after future bars were dropped
+const MAX_SKEW_MS    = 60000;       // a bar may open this far past the clock (clock drift)
+const COUNTERS = ['invalid', 'ohlc', 'misaligned', 'duplicate', 'outOfOrder', 'future', 'gap', 'outlier'];
+
+function numberOr(value, fallback) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const hhmm = ts => new Date(ts).toISOString().slice(11, 16);
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export class DataQualityGuard {
+  // options.staleMin:   DATA_STALE_MIN
+  // options.lookback:   DATA_LOOKBACK_BARS
+  // options.outlierMul: DATA_OUTLIER_MUL (0 = no outlier check)
+  constructor(options = {}) {
+    const env = process.env;
+    this.staleMin   = options.staleMin   ?? numberOr(env.DATA_STALE_MIN,     DATA_QUALITY_DEFAULTS.STALE_MIN);
+    this.lookback   = options.lookback   ?? numberOr(env.DATA_LOOKBACK_BARS, DATA_QUALITY_DEFAULTS.LOOKBACK);
+    this.outlierMul = options.outlierMul ?? numberOr(env.DATA_OUTLIER_MUL,   DATA_QUALITY_DEFAULTS.OUTLIER_MUL);
+    this.rangeBars  = options.rangeBars  ?? DATA_QUALITY_DEFAULTS.RANGE_BARS;
+    this.series     = {};   // { 'symbol|interval': { last, ranges, outliers, future, issues } }
+  }
+
+  _series(symbol, interval) {
+    return this.series[`${symbol}|${interval}`] ||= {
+      last:      null,        // last bar accepted
+      prevClose: undefined,   // close of the bar before it (open-jump check)
+      ranges:    [],          // recent 1-bar ranges (outlier baseline)
+      outliers:  [],          // [{ ts, ratio }] still inside the lookback
+      future:    null,        // { at, aheadMin } — last time bars from the future were dropped
+      issues:    Object.fromEntries(COUNTERS.map(k => [k, 0])),
+    };
+  }
+
+  // ── Repair a batch for symbol / interval at clock `now` → bars to apply (ascending).
+  //    Bars older than the last accepted one were applied already and are skipped;
+  //    the same ts again is the forming bar and passes through ──
+  clean(symbol, interval, candles, now) {
+    const s  = this._series(symbol, interval);
+    const ms = INTERVAL_MS[interval] || 60000;
+    const byTs = new Map();
+    let prevTs = -Infinity;
+
+    for (const raw of candles) {
+      const bar = this._repair(raw, s);
+      if (!bar) continue;
+      if (bar.ts - now > MAX_SKEW_MS) {
+        s.issues.future++;
+        s.future = { at: now, aheadMin: Math.round((bar.ts - now) / 60000) };
+        continue;
+      }
+      if (bar.ts < prevTs) s.issues.outOfOrder++;
+      if (byTs.has(bar.ts)) s.issues.duplicate++;
+      prevTs = Math.max(prevTs, bar.ts);
+      byTs.set(bar.ts, bar);
+    }
+
+    const out = [];
+    for (const bar of [...byTs.values()].sort((a, b) => a.ts - b.ts)) {
+      if (s.last && bar.ts < s.last.ts) continue;
+      this._track(s, bar, ms);
+      out.push(bar);
+    }
+    return out;
+  }
+
+  // ── Numeric prices, OHLC consistent, ts on the minute — or null (dropped) ──
+  _repair(raw, s) {
+    const open  = +(raw.open  ?? raw.o);
+    const close = +(raw.close ?? raw.c);
+    let   high  = +(raw.high  ?? raw.h);
+    let   low   = +(raw.low   ?? raw.l);
+    if (![raw.ts, open, high, low, close].every(Number.isFinite) || Math.min(open, high, low, close) <= 0) {
+      s.issues.invalid++;
+      return null;
+    }
+    let ts = raw.ts;
+    if (ts % 60000) { s.issues.misaligned++; ts -= ts % 60000; }
+    if (high < Math.max(open, close) || low > Math.min(open, close) || low > high) {
+      s.issues.ohlc++;
+      high = Math.max(high, open, close, low);
+      low  = Math.min(low, open, close, high);
+    }
+    if (ts === raw.ts && high === (raw.high ?? raw.h) && low === (raw.low ?? raw.l)) return raw;
+    return { ...raw, ts, open, high, low, close, o: open, h: high, l: low, c: close };
+  }
+
+  // ── Gap + outlier bookkeeping. The forming bar (same ts again) is re-measured
+  //    as it grows; its gap was counted when it first arrived ──
+  _track(s, bar, ms) {
+    const replace = s.last?.ts === bar.ts;
+    if (replace) {
+      s.ranges.pop();
+    } else {
+      if (s.last && Math.round((bar.ts - s.last.ts) / ms) > 1) s.issues.gap++;
+      s.prevClose = s.last?.close;
+    }
+
+    const range = bar.high - bar.low;
+    const jump  = s.prevClose === undefined ? 0 : Math.abs(bar.open - s.prevClose);
+    const known = s.outliers.findIndex(o => o.ts === bar.ts);
+    if (known >= 0) s.outliers.splice(known, 1);
+    if (this.outlierMul > 0 && s.ranges.length >= Math.min(10, this.rangeBars)) {
+      const base  = median(s.ranges) || Math.min(...s.ranges.filter(r => r > 0)) || 0;
+      const ratio = base > 0 ? Math.max(range, jump) / base : 0;
+      if (ratio > this.outlierMul) {
+        if (known < 0) s.issues.outlier++;
+        s.outliers.push({ ts: bar.ts, ratio: +ratio.toFixed(1) });
+        if (s.outliers.length > 20) s.outliers.shift();
+      }
+    }
+    s.ranges.push(range);
+    if (s.ranges.length > this.rangeBars) s.ranges.shift();
+    s.last = bar;
+  }
+
+  // ── 'data_quality' gate: null when the data can be trusted, else { key, reason, values }
+  //    (key names the issue, not the minute — 'stale|1min|<last bar ts>' — for alert de-dup).
+  //    buffers: { '1min': [...], '5min': [...], '1h': [...] } as the engine holds them ──
+  check(symbol, buffers, now) {
+    const c1 = buffers['1min'];
+    if (!c1?.length) return { key: 'empty', reason: 'no 1min data', values: { bars: 0 } };
+
+    const future = this._series(symbol, '1min').future;
+    if (future && now - future.at < FUTURE_HOLD_MS) {
+      return {
+        key:    `future|${future.aheadMin}`,
+        reason: `1min bars ${future.aheadMin} min ahead of the clock were dropped — feed timestamps not UTC?`,
+        values: { aheadMin: future.aheadMin },
+      };
+    }
+
+    // Stale: no new bar for longer than an interval (+ STALE_MIN) past the last close
+    for (const [interval, bars] of Object.entries(buffers)) {
+      const last = bars?.[bars.length - 1];
+      if (!last) continue;
+      const ms    = INTERVAL_MS[interval];
+      const lag   = now - (last.ts + ms);
+      const limit = (interval === '1min' ? 0 : ms) + this.staleMin * 60000;
+      if (lag > limit) {
+        const hours = lag / 3600000;
+        const hint  = hours >= 1 && Math.abs(hours - Math.round(hours)) * 60 < this.staleMin ? ` — ~${Math.round(hours)}h off, feed timestamps not UTC?` : '';
+        return {
+          key:    `stale|${interval}|${last.ts}`,
+          reason: `${interval} data stale: last bar ${hhmm(last.ts)} UTC, ${Math.round(lag / 60000)} min past its close${hint}`,
+          values: { interval, lastBar: last.ts, lagMin: lag / 60000 },
+        };
+      }
+    }
+
+    // Pullback lookback: contiguous minutes, no outlier bar
+    const window = c1.slice(-this.lookback);
+    for (let i = 1; i < window.length; i++) {
+      const missing = (window[i].ts - window[i - 1].ts) / 60000 - 1;
+      if (missing > 0) {
+        return {
+          key:    `gap|${window[i - 1].ts}`,
+          reason: `${missing} missing 1min bar(s) in the lookback after ${hhmm(window[i - 1].ts)} UTC`,
+          values: { after: window[i - 1].ts, missing },
+        };
+      }
+    }
+    const outlier = this._series(symbol, '1min').outliers.find(o => o.ts >= window[0].ts);
+    if (outlier) {
+      return {
+        key:    `outlier|${outlier.ts}`,
+        reason: `outlier 1min bar ${hhmm(outlier.ts)} UTC (${outlier.ratio}× the median range) in the lookback`,
+        values: { bar: outlier.ts, ratio: outlier.ratio },
+      };
+    }
+    return null;
+  }
+
+  // ── Repair / issue counts per symbol and interval (control API / logs) ──
+  summary() {
+    const out = {};
+    for (const [key, s] of Object.entries(this.series)) {
+      const [symbol, interval] = key.split('|');
+      (out[symbol] ||= {})[interval] = { ...s.issues, lastBar: s.last?.ts ?? null };
+    }
+    return out;
+  }
+}
@@ -0,0 +1,153 @@
+// ═══════════════════════════════════════════════════════════════
+// DecisionTrace.js — why generateSignal held or fired
+// One DecisionTrace per evaluation: every gate in order with pass /
+// fail and the values it compared. Evaluation stops at the first
+// failed gate, so `failed` is the filter that blocked the trade.
+// Gate ids (same for SELL and BUY, the BUY side mirrors the test):
+//   context:  session, data_quality, news, cooldown, open_trade (engine, every strategy)
+//   pullback: macro_1h, trend_5m, data, atr_range, ema21_distance,
+//             ema21_overshoot, ema8_side, price_momentum, rsi_extreme,
+//             rsi_direction, ema21_slope, ema8_slope, stoch_level,
+//             stoch_cross, macd_histogram, confidence, risk_size
+//   final:    risk (RiskManager)
+// Other strategies add their own gate ids between open_trade and risk.
+// RejectionHistogram folds traces into counts per failed gate plus a
+// funnel (how many evaluations reached / passed each gate), also split
+// by symbol and by strategy.
+// ═══════════════════════════════════════════════════════════════
+
+const dayOf = ts => new Date(ts).toISOString().slice(0, 10);
+
+// 5 significant decimals keep traces readable (prices, ATR, oscillators)
+function roundValues(values) {
+  const out = {};
+  for (const [k, v] of Object.entries(values)) {
+    out[k] = typeof v === 'number' && Number.isFinite(v) ? +v.toFixed(5) : v;
+  }
+  return out;
+}
+
+export class DecisionTrace {
+  constructor(symbol, ts, strategy = null) {
+    this.symbol   = symbol;
+    this.ts       = ts;
+    this.strategy = strategy;
+    this.side   = null;    // SELL | BUY once the setup is evaluated
+    this.gates  = [];      // [{ gate, pass, values }]
+    this.failed = null;    // first failed gate id
+  }
+
+  // ── Record one gate; returns `pass` so callers can `if (!trace.check(...)) return` ──
+  check(gate, pass, values = {}) {
+    pass = !!pass;
+    this.gates.push({ gate, pass, values: roundValues(values) });
+    if (!pass && !this.failed) this.failed = gate;
+    return pass;
+  }
+
+  get failedGate() {
+    return this.gates.find(g => !g.pass) || null;
+  }
+
+  // ── "ema21_distance (distToEMA=1.2, limit=0.8)" ──
+  describeFailure() {
+    const g = this.failedGate;
+    if (!g) return null;
+    const vals = Object.entries(g.values).map(([k, v]) => `${k}=${v}`).join(', ');
+    return vals ? `${g.gate} (${vals})` : g.gate;
+  }
+
+  toJSON() {
+    return { symbol: this.symbol, strategy: this.strategy, ts: this.ts, side: this.side, failed: this.failed, gates: this.gates };
+  }
+}
+
+export class RejectionHistogram {
+  // options.daily: reset when a trace from a new UTC day arrives (one session per day)
+  constructor(options = {}) {
+    this.daily = options.daily ?? true;
+    this.reset(null);
+  }
+
+  reset(day) {
+    this.day         = day;
+    this.evaluations = 0;
+    this.fired       = 0;
+    this.failed      = {};   // { gate: n } — evaluations this gate blocked
+    this.reached     = {};   // { gate: n } — evaluations that got to this gate
+    this.bySymbol    = {};   // { symbol: { evaluations, fired, failed: { gate: n } } }
+    this.byStrategy  = {};   // { strategy: { evaluations, fired, failed: { gate: n } } }
+  }
+
+  record(trace) {
+    if (!trace) return;
+    const day = dayOf(trace.ts);
+    if (this.daily && this.day !== day) this.reset(day);
+    else if (!this.day) this.day = day;
+
+    const groups = [this.bySymbol[trace.symbol] ||= { evaluations: 0, fired: 0, failed: {} }];
+    if (trace.strategy) groups.push(this.byStrategy[trace.strategy] ||= { evaluations: 0, fired: 0, failed: {} });
+    this.evaluations++;
+    for (const g of trace.gates) this.reached[g.gate] = (this.reached[g.gate] || 0) + 1;
+    if (trace.failed) this.failed[trace.failed] = (this.failed[trace.failed] || 0) + 1;
+    else this.fired++;
+    for (const group of groups) {
+      group.evaluations++;
+      if (trace.failed) group.failed[trace.failed] = (group.failed[trace.failed] || 0) + 1;
+      else group.fired++;
+    }
+  }
+
+  // ── Gates by rejections, most first: [{ gate, rejected, reached, pct, pctReached }] ──
+  ranked() {
+    return Object.entries(this.failed)
+      .sort((a, b) => b[1] - a[1])
+      .map(([gate, n]) => ({
+        gate,
+        rejected:   n,
+        reached:    this.reached[gate] || n,
+        pct:        +(n / this.evaluations * 100).toFixed(1),                 // share of all evaluations
+        pctReached: +(n / (this.reached[gate] || n) * 100).toFixed(1),        // of those that got this far
+      }));
+  }
+
+  summary() {
+    return {
+      day:         this.daily ? this.day : null,
+      evaluations: this.evaluations,
+      fired:       this.fired,
+      rejections:  this.ranked(),
+      bySymbol:    this.bySymbol,
+      byStrategy:  this.byStrategy,
+    };
+  }
+
+  format(top = 10) {
+    return formatRejections(this.summary(), top);
+  }
+
+  toJSON() {
+    return { day: this.day, evaluations: this.evaluations, fired: this.fired, failed: this.failed, reached: this.reached, bySymbol: this.bySymbol, byStrategy: this.byStrategy };
+  }
+
+  // ── Restore a saved histogram (same session only) ──
+  load(saved) {
+    if (!saved) return;
+    Object.assign(this, {
+      day: saved.day, evaluations: saved.evaluations || 0, fired: saved.fired || 0,
+      failed: saved.failed || {}, reached: saved.reached || {}, bySymbol: saved.bySymbol || {}, byStrategy: saved.byStrategy || {},
+    });
+  }
+}
+
+// ── Console table for a summary(), top N gates ──
+export function formatRejections(summary, top = 10) {
+  const rows = summary.rejections.slice(0, top);
+  if (!rows.length) return `   ${summary.evaluations} evaluations, no rejections`;
+  return [
+    `   ${summary.evaluations} evaluations | ${summary.fired} fired`,
+    `   ${'gate'.padEnd(16)} ${'held'.padStart(6)} ${'of all'.padStart(7)} ${'of reached'.padStart(11)}`,
+    ...rows.map(r =>
+      `   ${r.gate.padEnd(16)} ${String(r.rejected).padStart(6)} ${`${r.pct}%`.padStart(7)} ${`${r.pctReached}%`.padStart(11)}`),
+  ].join('\n');
+}
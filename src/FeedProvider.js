@@ -0,0 +1,170 @@
+import net from 'net';
+import { MarketDataProvider } from './MarketDataProvider.js';
+import { normalizeCandle, sortCandles, parseTimestamp } from './CandleLoader.js';
+import { CandleAggregator } from './CandleAggregator.js';
+
+// ═══════════════════════════════════════════════════════════════
+// FeedProvider.js — candles pushed by our own price server
+// URL: tcp://host:port (newline-delimited JSON) or ws://host:port
+// (JSON text frames; needs a runtime with global WebSocket, Node 22+).
+//
+// PROTOCOL (JSON messages, both directions):
+//   → { "type": "subscribe", "symbol": "XAU/USD", "interval": "1min", "outputsize": 100 }
+//   ← { "type": "history", "symbol": "XAU/USD", "interval": "1min", "values": [candle, ...] }
+//   ← { "type": "candle",  "symbol": "XAU/USD", "interval": "1min", "datetime": "...", "open": ..., ... }
+//   ← { "type": "tick",    "symbol": "XAU/USD", "ts": 1717000000000, "price": 2345.6 }
+// A "candle" with the same timestamp as the last one replaces it
+// (server may stream the forming bar). Ticks are built into 1min
+// bars locally; the forming minute is returned as the last 1min bar.
+// ═══════════════════════════════════════════════════════════════
+
+const MAX_BUFFER = 1000;
+
+export class FeedProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({ name: 'feed' });
+    this.url              = options.url || process.env.FEED_URL;
+    this.historyTimeoutMs = options.historyTimeoutMs ?? 5000;  // wait for first data after subscribe
+    this.reconnectMs      = options.reconnectMs ?? 3000;
+    this._buffers    = {};         // { 'XAU/USD|1min': [...candles] }
+    this._subscribed = new Map();  // key → outputsize requested
+    this._conn       = null;       // { send(obj), close() }
+    this._closing    = false;
+    this._ticks      = new CandleAggregator({ intervals: {} }); // ticks → 1min only
+    this._ticks.on('candle', (symbol, interval, candle) => this._pushCandle(`${symbol}|${interval}`, candle));
+
+    if (!this.url) throw new Error('FeedProvider: FEED_URL is required (tcp://host:port or ws://host:port)');
+  }
+
+  async connect() {
+    this._closing = false;
+    await new Promise((resolve, reject) => {
+      const onOpen = () => {
+        console.log(`🔌 Feed connected: ${this.url}`);
+        for (const [key, outputsize] of this._subscribed) this._sendSubscribe(key, outputsize);
+        resolve();
+      };
+      const onClose = (opened, err) => {
+        this._conn = null;
+        if (!opened) return reject(err || new Error(`Feed connect failed: ${this.url}`));
+        if (this._closing) return;
+        console.warn(`⚠️ Feed disconnected, retrying in ${this.reconnectMs / 1000}s`);
+        setTimeout(() => this._reconnect(), this.reconnectMs);
+      };
+      this._conn = this.url.startsWith('tcp://')
+        ? this._openTcp(onOpen, onClose)
+        : this._openWebSocket(onOpen, onClose);
+    });
+  }
+
+  _reconnect() {
+    this.connect().catch(err => {
+      console.error(`Feed reconnect failed: ${err.message}`);
+      if (!this._closing) setTimeout(() => this._reconnect(), this.reconnectMs);
+    });
+  }
+
+  close() {
+    this._closing = true;
+    if (this._conn) this._conn.close();
+  }
+
+  _openTcp(onOpen, onClose) {
+    const { hostname, port } = new URL(this.url);
+    let opened = false;
+    let failed = null;
+    const socket = net.connect({ host: hostname, port: parseInt(port, 10) }, () => { opened = true; onOpen(); });
+    let buf = '';
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buf += chunk;
+      let idx;
+      while ((idx = buf.indexOf('\n')) >= 0) {
+        const line = buf.slice(0, idx).trim();
+        buf = buf.slice(idx + 1);
+        if (line) this._handleRaw(line);
+      }
+    });
+    socket.on('error', err => { failed = err; });
+    socket.on('close', () => onClose(opened, failed));
+    return {
+      send:  obj => socket.write(JSON.stringify(obj) + '\n'),
+      close: () => socket.end(),
+    };
+  }
+
+  _openWebSocket(onOpen, onClose) {
+    if (typeof globalThis.WebSocket !== 'function') {
+      throw new Error('FeedProvider: ws:// feeds need a runtime with global WebSocket (Node 22+); use tcp:// instead');
+    }
+    const ws = new globalThis.WebSocket(this.url);
+    let opened = false;
+    ws.addEventListener('open', () => { opened = true; onOpen(); });
+    ws.addEventListener('message', ev => this._handleRaw(String(ev.data)));
+    ws.addEventListener('close', () => onClose(opened, null));
+    return {
+      send:  obj => ws.send(JSON.stringify(obj)),
+      close: () => ws.close(),
+    };
+  }
+
+  _handleRaw(raw) {
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return; /* skip malformed */ }
+    const key = `${msg.symbol}|${msg.interval}`;
+    if (msg.type === 'history' && Array.isArray(msg.values)) {
+      this._buffers[key] = sortCandles(msg.values.map(normalizeCandle)).slice(-MAX_BUFFER);
+      this.emit('candles', msg.symbol, msg.interval);
+    } else if (msg.type === 'candle') {
+      this._pushCandle(key, normalizeCandle(msg));
+      this.emit('candles', msg.symbol, msg.interval);
+    } else if (msg.type === 'tick') {
+      const ts = parseTimestamp(msg.ts ?? msg.datetime);
+      const price = parseFloat(msg.price);
+      if (!Number.isFinite(ts) || !Number.isFinite(price)) return;
+      this._ticks.pushTick(msg.symbol, { ts, price, volume: msg.volume ?? null });
+      this.emit('tick', msg.symbol, { ts, price });
+      this.emit('candles', msg.symbol, '1min');
+    }
+  }
+
+  _pushCandle(key, candle) {
+    if (!Number.isFinite(candle.ts)) return;
+    const buf  = this._buffers[key] || (this._buffers[key] = []);
+    const last = buf[buf.length - 1];
+    if (last && candle.ts === last.ts) buf[buf.length - 1] = candle;
+    else if (!last || candle.ts > last.ts) buf.push(candle);
+    if (buf.length > MAX_BUFFER) buf.shift();
+  }
+
+  _sendSubscribe(key, outputsize) {
+    const [symbol, interval] = key.split('|');
+    if (this._conn) this._conn.send({ type: 'subscribe', symbol, interval, outputsize });
+  }
+
+  // ── First request for a symbol/interval subscribes and waits for history ──
+  async _ensureSubscribed(symbol, interval, outputsize) {
+    const key = `${symbol}|${interval}`;
+    if (this._subscribed.has(key) && this._subscribed.get(key) >= outputsize) return;
+    this._subscribed.set(key, outputsize);
+    this._sendSubscribe(key, outputsize);
+    if (this._buffers[key]?.length) return;
+    await new Promise(resolve => {
+      const timer = setTimeout(done, this.historyTimeoutMs);
+      const self  = this;
+      function onCandles(s, i) { if (s === symbol && i === interval) done(); }
+      function done() { clearTimeout(timer); self.off('candles', onCandles); resolve(); }
+      this.on('candles', onCandles);
+    });
+  }
+
+  async fetchCandles(symbol, interval, outputsize) {
+    await this._ensureSubscribed(symbol, interval, outputsize);
+    if (interval === '1min') this._ticks.flush(symbol, this.now());
+    const buf     = this._buffers[`${symbol}|${interval}`] || [];
+    const forming = interval === '1min' ? this._ticks.partial(symbol, '1min') : null;
+    const all     = forming ? [...buf, forming] : buf;
+    if (!all.length) return null;
+    return all.slice(-outputsize);
+  }
+}
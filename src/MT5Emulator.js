@@ -0,0 +1,401 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { PositionSizer } from './PositionSizer.js';
+
+// ═══════════════════════════════════════════════════════════════
+// MT5Emulator.js — ScalpBridgeEA (v1.40) in Node, for Linux / CI
+// Watches MT5_SIGNALS_DIR like the EA does on every tick and speaks
+// the same files, so MT5ScalpBridge cannot tell the difference:
+//   signal_{SYMBOL}.json     → OPENED | REJECTED (SIGNAL_EXPIRED,
+//                              NO_SPEC, BAD_MAGIC, ALREADY_IN_POSITION)
+//   cmd_{SYMBOL}_*.json      → MODIFIED | PARTIAL | CMD_FAILED
+//                              (position closes come as CLOSED)
+//   result_{SYMBOL}_{time}_{seq}.json  written tmp → rename
+// Prices come from a MarketDataProvider's 1m bars (replay, feed,
+// TwelveData): bars are bid prices, ask = bid + spread, the latest
+// (possibly forming) bar is the current price. Each bar is walked once
+// it has closed, for SL / TP (SL first when both are inside it, like
+// the engine) and max hold; market fills — entries, SL, EA
+// closes — move `slippage` points against the position, TP fills at
+// its price. Lot size, risk money (1R) and P&L use PositionSizer's
+// contract specs; a symbol without one is never priced (warned once,
+// its signals REJECTED with NO_SPEC). Positions live in memory only:
+// a restart forgets them (the real EA re-attaches from the terminal).
+// Signal expiry is checked on the wall clock, the clock the bridge
+// stamps `expire` with; fills, max hold and result times run on the
+// provider clock.
+// ═══════════════════════════════════════════════════════════════
+
+export const EMULATOR_DEFAULTS = {
+  SPREAD:       20,      // points (tickSize units): 0.20 on XAU/USD
+  SLIPPAGE:     0,       // points against the position on market fills
+  MAGIC_NUMBER: 88888,   // EA inputs MagicNumber / MagicRange
+  MAGIC_RANGE:  100,
+  POLL_MS:      1000,    // one "tick" per poll (÷ provider speed, ≥ 50 ms)
+  BARS:         60,      // 1m bars fetched per tick (catch-up window)
+};
+
+function numberOr(value, fallback) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const decimalsOf = step => Math.max(0, -Math.floor(Math.log10(step)));
+
+export class MT5Emulator extends EventEmitter {
+  // options.provider:   MarketDataProvider — price feed and market clock (required)
+  // options.symbols:    engine-format symbols to trade, or () => symbols (live watchlist)
+  // options.signalsDir: MT5_SIGNALS_DIR
+  // options.balance / currency: starting account (ACCOUNT_BALANCE / ACCOUNT_CURRENCY)
+  // options.spread / slippage:  points (MT5_EMU_SPREAD / MT5_EMU_SLIPPAGE)
+  // options.hedging:    false = netting account (one position per symbol, any magic)
+  // options.specs:      contract specs over CONTRACT_SPECS (PositionSizer)
+  // options.clock:      () => ms — wall clock for signal expiry
+  constructor(options = {}) {
+    super();
+    const env = process.env;
+    if (!options.provider) throw new Error('MT5Emulator: a market data provider is required');
+    this.provider    = options.provider;
+    this.symbols     = options.symbols || ['XAU/USD'];
+    this.signalsDir  = options.signalsDir || env.MT5_SIGNALS_DIR || '/tmp/mt5_scalp_signals';
+    this.balance     = options.balance  ?? numberOr(env.ACCOUNT_BALANCE, 10000);
+    this.currency    = options.currency || env.ACCOUNT_CURRENCY || 'USD';
+    this.spread      = options.spread   ?? numberOr(env.MT5_EMU_SPREAD,   EMULATOR_DEFAULTS.SPREAD);
+    this.slippage    = options.slippage ?? numberOr(env.MT5_EMU_SLIPPAGE, EMULATOR_DEFAULTS.SLIPPAGE);
+    this.magicNumber = options.magicNumber ?? EMULATOR_DEFAULTS.MAGIC_NUMBER;
+    this.magicRange  = options.magicRange  ?? EMULATOR_DEFAULTS.MAGIC_RANGE;
+    this.hedging     = options.hedging ?? true;
+    this.pollMs      = options.pollMs || Math.max(50, EMULATOR_DEFAULTS.POLL_MS / (this.provider.speed || 1));
+    this.clock       = options.clock || (() => Date.now());
+    this.sizer       = new PositionSizer({ specs: options.specs, accountCurrency: this.currency });
+    this.positions   = [];   // open positions, oldest first
+    this.lastSignal  = {};   // { XAUUSD: signalId } — EA's lastSignalId, one EA per chart
+    this.lastBar     = {};   // { XAUUSD: bar } — latest bar (forming too) = current price
+    this.walkedTs    = {};   // { XAUUSD: ts } — last closed bar walked for SL / TP / max hold
+    this._noSpec     = new Set();   // symbols already warned about a missing contract spec
+    this._ticket     = options.firstTicket || 1000000;
+    this._seq        = 0;
+    this._timer      = null;
+    this._busy       = false;
+  }
+
+  start() {
+    fs.mkdirSync(this.signalsDir, { recursive: true });
+    console.log(`🧪 MT5 emulator: watching ${this.signalsDir} | ${this._symbols().join(', ')} | balance ${this.balance} ${this.currency}`);
+    console.log(`   Spread ${this.spread} pts | slippage ${this.slippage} pts | ${this.hedging ? 'hedging' : 'netting'} | magic ${this.magicNumber}+${this.magicRange}`);
+    this._timer = setInterval(() => this.tick(), this.pollMs);
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  _symbols() {
+    return typeof this.symbols === 'function' ? this.symbols() : this.symbols;
+  }
+
+  // ── One EA tick on every chart: new bars → commands → positions → signal (OnTick order) ──
+  async tick() {
+    if (this._busy) return;
+    this._busy = true;
+    try {
+      for (const symbol of this._symbols()) {
+        const mt5Symbol = symbol.replace('/', '');
+        if (!this.sizer.specs[symbol]) {
+          this._warnNoSpec(symbol);
+          this._checkSignal(symbol, mt5Symbol);   // → REJECTED NO_SPEC
+          continue;
+        }
+        await this._walkBars(symbol, mt5Symbol);
+        if (!this.lastBar[mt5Symbol]) continue;   // no price yet: files wait
+        this._processCommands(symbol, mt5Symbol);
+        this._checkSignal(symbol, mt5Symbol);
+      }
+    } catch (err) {
+      console.error(`❌ MT5 emulator: ${err.message}`);
+    } finally {
+      this._busy = false;
+    }
+  }
+
+  // ── Prices ──
+  _warnNoSpec(symbol) {
+    if (this._noSpec.has(symbol)) return;
+    this._noSpec.add(symbol);
+    console.warn(`⚠️ MT5 emulator: no contract spec for ${symbol} — not priced, signals rejected (NO_SPEC)`);
+  }
+
+  _point(symbol) {
+    return this.sizer.specs[symbol].tickSize;
+  }
+
+  _round(symbol, price) {
+    return +price.toFixed(decimalsOf(this._point(symbol)));
+  }
+
+  _bid(mt5Symbol) {
+    return this.lastBar[mt5Symbol].close;
+  }
+
+  _ask(symbol, mt5Symbol) {
+    return this._round(symbol, this._bid(mt5Symbol) + this.spread * this._point(symbol));
+  }
+
+  // Market fill for opening (open = true) or closing a position, slippage included
+  _marketPrice(symbol, mt5Symbol, action, open) {
+    const buySide = (action === 'BUY') === open;   // BUY opens / SELL closes at the ask
+    const price   = buySide ? this._ask(symbol, mt5Symbol) : this._bid(mt5Symbol);
+    return this._round(symbol, price + (buySide ? 1 : -1) * this.slippage * this._point(symbol));
+  }
+
+  // ── Account-currency money for `lots` moving from `from` to `to` in the position's favour ──
+  _money(symbol, action, from, to, lots) {
+    const tickValue = this.sizer.tickValue(symbol, to) || 0;
+    return (action === 'BUY' ? to - from : from - to) / this._point(symbol) * tickValue * lots;
+  }
+
+  _equity() {
+    let floating = 0;
+    for (const p of this.positions) {
+      if (!this.lastBar[p.mt5Symbol]) continue;
+      floating += this._money(p.symbol, p.action, p.entry, this._marketPrice(p.symbol, p.mt5Symbol, p.action, false), p.volume);
+    }
+    return this.balance + floating;
+  }
+
+  // ── New closed 1m bars: SL / TP inside each bar, then max hold at its close ──
+  //    Providers may return the forming bar: it is only the current price
+  //    until it closes, then walked once with its final high / low.
+  async _walkBars(symbol, mt5Symbol) {
+    const bars = await this.provider.fetch1m(symbol, EMULATOR_DEFAULTS.BARS);
+    if (!bars?.length) return;
+    const now    = this.provider.now();
+    const latest = bars[bars.length - 1];
+    const closed = bars.filter(bar => bar.ts + 60000 <= now);
+    if (this.walkedTs[mt5Symbol] === undefined) {   // first tick: current price only, no history
+      this.walkedTs[mt5Symbol] = closed.length ? closed[closed.length - 1].ts : latest.ts - 60000;
+      this.lastBar[mt5Symbol]  = latest;
+      return;
+    }
+    for (const bar of closed) {
+      if (bar.ts <= this.walkedTs[mt5Symbol]) continue;
+      this.walkedTs[mt5Symbol] = bar.ts;
+      this.lastBar[mt5Symbol]  = bar;   // max hold closes at this bar's close
+      for (const p of this.positions.filter(p => p.mt5Symbol === mt5Symbol)) {
+        const hit = this._stopHit(p, bar);
+        if (hit) this._close(p, hit.price, hit.reason);
+        else if (p.maxHoldMin > 0 && bar.ts + 60000 - p.openTime >= p.maxHoldMin * 60000) {
+          console.log(`⏰ Max hold reached, closed ticket ${p.ticket}`);
+          this._close(p, this._marketPrice(symbol, mt5Symbol, p.action, false), 'EXPIRED');
+        }
+      }
+    }
+    this.lastBar[mt5Symbol] = latest;
+  }
+
+  // SELL closes at the ask (bar + spread), BUY at the bid; a bar opening past
+  // the level fills at its open. SL is a market order (slippage), TP a limit.
+  _stopHit(p, bar) {
+    const isBuy   = p.action === 'BUY';
+    const spread  = isBuy ? 0 : this.spread * this._point(p.symbol);
+    const slip    = this.slippage * this._point(p.symbol) * (isBuy ? -1 : 1);
+    const open    = bar.open + spread;
+    const high    = bar.high + spread;
+    const low     = bar.low  + spread;
+    if (p.sl > 0 && (isBuy ? low <= p.sl : high >= p.sl)) {
+      const gapped = isBuy ? open < p.sl : open > p.sl;
+      return { price: this._round(p.symbol, (gapped ? open : p.sl) + slip), reason: 'SL' };
+    }
+    if (p.tp > 0 && (isBuy ? high >= p.tp : low <= p.tp)) {
+      const gapped = isBuy ? open > p.tp : open < p.tp;
+      return { price: this._round(p.symbol, gapped ? open : p.tp), reason: 'TP' };
+    }
+    return null;
+  }
+
+  // ── Close a position: CLOSED carries the whole position's P&L (partials included), like the deal history ──
+  _close(p, price, reason) {
+    const pnl = p.realized + this._money(p.symbol, p.action, p.entry, price, p.volume);
+    this.balance += pnl - p.realized;
+    this.positions = this.positions.filter(x => x !== p);
+    const rPnL = p.riskMoney > 0 ? pnl / p.riskMoney : 0;
+    this._writeResult(p.symbol, p.signalId, p.ticket, 'CLOSED', p.entry, price, p.initialVolume, p.sl, p.tp, pnl, rPnL, reason, '');
+    console.log(`📕 Position closed: ${p.ticket} ${reason} P&L ${pnl.toFixed(2)} (${rPnL.toFixed(2)}R)`);
+  }
+
+  // ── signal_{SYMBOL}.json: same checks, same order as CheckSignal() ──
+  _checkSignal(symbol, mt5Symbol) {
+    const file = path.join(this.signalsDir, `signal_${mt5Symbol}.json`);
+    let signal;
+    try {
+      signal = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch { return; /* none, or not fully written yet */ }
+    if (signal.id === this.lastSignal[mt5Symbol]) return;
+
+    const sl    = signal.sl || 0;
+    const tp    = signal.tp || 0;
+    const magic = signal.magic > 0 ? signal.magic : this.magicNumber;
+    const done  = () => {
+      try { fs.unlinkSync(file); } catch {}
+      this.lastSignal[mt5Symbol] = signal.id;
+    };
+    const reject = (error, lots = 0) => {
+      this._writeResult(symbol, signal.id, 0, 'REJECTED', 0, 0, lots, sl, tp, 0, 0, '', error);
+      done();
+    };
+
+    if (this.clock() > Date.parse(signal.expire)) {
+      console.log(`Signal expired, skipping: ${signal.id}`);
+      return reject('SIGNAL_EXPIRED');
+    }
+    if (!this.sizer.specs[symbol]) {
+      console.log(`❌ No contract spec for ${symbol}, skipping signal`);
+      return reject('NO_SPEC');
+    }
+    if (!this._isOurMagic(magic)) {
+      console.log(`Magic ${magic} outside MagicNumber range, skipping signal`);
+      return reject('BAD_MAGIC');
+    }
+    if (this.positions.some(p => p.mt5Symbol === mt5Symbol && (!this.hedging || p.magic === magic))) {
+      console.log('Already in position, skipping signal');
+      return reject('ALREADY_IN_POSITION');
+    }
+    if (signal.action !== 'BUY' && signal.action !== 'SELL') {
+      console.log(`❌ Trade failed: unknown action ${signal.action}`);
+      return reject('10013');   // TRADE_RETCODE_INVALID
+    }
+
+    const lots  = this._lotSize(symbol, mt5Symbol, signal, sl);
+    const entry = this._marketPrice(symbol, mt5Symbol, signal.action, true);
+    const p = {
+      ticket:        ++this._ticket,
+      signalId:      signal.id,
+      symbol,
+      mt5Symbol,
+      action:        signal.action,
+      magic,
+      entry,
+      sl,
+      tp,
+      volume:        lots,
+      initialVolume: lots,
+      openTime:      this.provider.now(),
+      maxHoldMin:    signal.maxHoldMin || 0,
+      riskMoney:     sl > 0 ? Math.abs(this._money(symbol, signal.action, entry, sl, lots)) : 0,
+      realized:      0,
+    };
+    this.positions.push(p);
+    this._writeResult(symbol, p.signalId, p.ticket, 'OPENED', entry, 0, lots, sl, tp, 0, 0, '', '');
+    console.log(`✅ Trade executed: ${p.action} ${lots} lots @ ${entry}`);
+    done();
+  }
+
+  // ── Node's lot size, or risk % of balance at the current price; step / min / max like the EA ──
+  _lotSize(symbol, mt5Symbol, signal, sl) {
+    const spec = this.sizer.specs[symbol];
+    let lots = signal.lotSize || 0;
+    if (lots <= 0) {
+      const price  = signal.action === 'BUY' ? this._ask(symbol, mt5Symbol) : this._bid(mt5Symbol);
+      const perLot = sl > 0 ? Math.abs(this._money(symbol, signal.action, price, sl, 1)) : 0;
+      lots = perLot > 0 ? this.balance * (signal.riskPercent || 0) / 100 / perLot : 0;
+    }
+    lots = Math.floor(lots / spec.volumeStep + 1e-9) * spec.volumeStep;
+    lots = Math.min(Math.max(lots, spec.minLot), spec.maxLot);
+    return +lots.toFixed(2);
+  }
+
+  _isOurMagic(magic) {
+    return magic >= this.magicNumber && magic < this.magicNumber + this.magicRange;
+  }
+
+  // ── cmd_{SYMBOL}_*.json, oldest first (fixed-width names sort in creation order, like the EA) ──
+  _processCommands(symbol, mt5Symbol) {
+    let names;
+    try {
+      names = fs.readdirSync(this.signalsDir).filter(f => f.startsWith(`cmd_${mt5Symbol}_`) && f.endsWith('.json')).sort();
+    } catch { return; }
+    for (const name of names) {
+      const file = path.join(this.signalsDir, name);
+      let cmd;
+      try {
+        cmd = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch { continue; }
+      try { fs.unlinkSync(file); } catch {}
+      this._applyCommand(symbol, mt5Symbol, cmd);
+    }
+  }
+
+  _applyCommand(symbol, mt5Symbol, cmd) {
+    const p    = this.positions.find(x => x.ticket === cmd.ticket);
+    const fail = (error, pos = p) => this._writeResult(symbol, cmd.signalId, cmd.ticket, 'CMD_FAILED',
+      pos?.entry || 0, 0, pos?.volume || 0, pos?.sl || 0, pos?.tp || 0, 0, 0, cmd.type, error);
+    if (!p) return fail('UNKNOWN_POSITION', null);
+
+    if (cmd.type === 'MODIFY') {
+      const sl = cmd.sl > 0 ? this._round(symbol, cmd.sl) : p.sl;
+      const tp = cmd.tp > 0 ? this._round(symbol, cmd.tp) : p.tp;
+      // Stops must sit on the losing / winning side of the closing price
+      const isBuy = p.action === 'BUY';
+      const close = isBuy ? this._bid(mt5Symbol) : this._ask(symbol, mt5Symbol);
+      if ((sl > 0 && (isBuy ? sl >= close : sl <= close)) || (tp > 0 && (isBuy ? tp <= close : tp >= close))) {
+        return fail('10016');   // TRADE_RETCODE_INVALID_STOPS
+      }
+      if (sl === p.sl && tp === p.tp) return;   // nothing changed: the EA reports nothing either
+      p.sl = sl;
+      p.tp = tp;
+      console.log(`🛠 SL/TP modified (${cmd.reason}) ticket ${p.ticket}`);
+      this._writeResult(symbol, p.signalId, p.ticket, 'MODIFIED', p.entry, 0, p.volume, sl, tp, 0, 0, '', '');
+    } else if (cmd.type === 'PARTIAL') {
+      const spec = this.sizer.specs[symbol];
+      const part = +(Math.floor(p.volume * cmd.fraction / spec.volumeStep) * spec.volumeStep).toFixed(2);
+      if (part < spec.minLot || p.volume - part < spec.minLot) return fail('VOLUME_TOO_SMALL');
+      const price = this._marketPrice(symbol, mt5Symbol, p.action, false);
+      const pnl   = this._money(symbol, p.action, p.entry, price, part);
+      p.volume     = +(p.volume - part).toFixed(2);
+      p.realized  += pnl;
+      this.balance += pnl;
+      const rPnL = p.riskMoney > 0 ? pnl / p.riskMoney : 0;
+      this._writeResult(symbol, p.signalId, p.ticket, 'PARTIAL', p.entry, price, part, p.sl, p.tp, pnl, rPnL, 'PARTIAL', '');
+      console.log(`✂ Partial close ${part} lots of ticket ${p.ticket}`);
+    } else if (cmd.type === 'CLOSE') {
+      this._close(p, this._marketPrice(symbol, mt5Symbol, p.action, false), 'EA');
+    } else {
+      fail('UNKNOWN_COMMAND');
+    }
+  }
+
+  // ── result_{SYMBOL}_{time}_{seq}.json in WriteResult()'s field order and precision ──
+  _writeResult(symbol, signalId, ticket, status, entry, closePrice, lots, sl, tp, pnl, rPnL, reason, error) {
+    const mt5Symbol = symbol.replace('/', '');
+    const digits    = this.sizer.specs[symbol] ? decimalsOf(this._point(symbol)) : 8;   // NO_SPEC: prices as sent
+    const time      = Math.floor(this.provider.now() / 1000);
+    const result = {
+      signalId,
+      symbol:     mt5Symbol,
+      ticket,
+      status,
+      entryPrice: +entry.toFixed(digits),
+      closePrice: +closePrice.toFixed(digits),
+      lotSize:    +lots.toFixed(2),
+      sl:         +sl.toFixed(digits),
+      tp:         +tp.toFixed(digits),
+      pnl:        +pnl.toFixed(2),
+      currency:   this.currency,
+      balance:    +this.balance.toFixed(2),
+      equity:     +this._equity().toFixed(2),
+      rPnL:       +rPnL.toFixed(2),
+      reason,
+      error,
+      time,
+      seq:        ++this._seq,
+    };
+    const name = `result_${mt5Symbol}_${time}_${result.seq}.json`;
+    const tmp  = path.join(this.signalsDir, `.${name}.tmp`);
+    fs.writeFileSync(tmp, JSON.stringify(result));
+    fs.renameSync(tmp, path.join(this.signalsDir, name));
+    this.emit('result', result);
+    return result;
+  }
+}
@@ -9,19 +9,59 @@ import { EventEmitter } from 'events';
 //
 // HOW IT WORKS:
 // 1. Node writes signal to: MT5_SIGNALS_DIR/signal_{symbol}.json
+//    (atomically: tmp file → rename, so the EA never sees half a file)
 // 2. MT5 EA watches that folder every tick
-// 3. EA executes trade, writes result to: MT5_SIGNALS_DIR/result_{symbol}.json
-// 4. Node reads result, updates WinRateTracker
+// 3. EA executes trade, then writes one file per lifecycle event:
+//    MT5_SIGNALS_DIR/result_{symbol}_{time}_{seq}.json
+// 4. Node reads results in order, emits lifecycle events
+// 5. Trade management goes the same way as commands:
+//    MT5_SIGNALS_DIR/cmd_{symbol}_{ms}_{nnnnnn}.json  (MODIFY | PARTIAL | CLOSE)
+// 6. Each strategy's orders carry its own magic number (signal.magic);
+//    the EA accepts MagicNumber .. MagicNumber + MagicRange - 1 (EA ≥ 1.40)
+//
+// LIFECYCLE (result.status, keyed by signalId + ticket):
+//   OPENED   → position_opened    (fill price, lot size)
+//   MODIFIED → position_modified  (SL/TP changed on the broker side)
+//   PARTIAL  → position_partial   (part closed by a PARTIAL command)
+//   CLOSED   → position_closed    (real close price, P&L, R, reason)
+//   REJECTED → position_rejected  (expired, already in position, retcode)
+//   CMD_FAILED → command_failed   (MODIFY / PARTIAL / CLOSE not applied)
+// Every result is also emitted as 'trade_result' (legacy listener).
+// Results carry the account balance / equity → 'account_update'.
+//
+// DELIVERY: a written signal stays pending until the EA acknowledges
+// it (OPENED or REJECTED). While a symbol has a pending signal, new
+// ones for it are queued instead of overwriting the file. No ack by
+// `expire` + ackGraceMs → 'signal_timeout'; REJECTED → 'signal_rejected'.
+//
+// No terminal (Linux / CI): MT5Emulator.js plays the EA on the same
+// files (MT5_EMULATOR=true in the agent, or src/mt5_emulator.js).
 // ═══════════════════════════════════════════════════════════════
 
+const LIFECYCLE_EVENTS = {
+  OPENED:   'position_opened',
+  MODIFIED: 'position_modified',
+  PARTIAL:  'position_partial',
+  CLOSED:   'position_closed',
+  REJECTED: 'position_rejected',
+  CMD_FAILED: 'command_failed',
+};
+
 export class MT5ScalpBridge extends EventEmitter {
   constructor(options = {}) {
     super();
     this.signalsDir  = options.signalsDir  || process.env.MT5_SIGNALS_DIR || '/tmp/mt5_scalp_signals';
-    this.riskPercent = options.riskPercent || parseFloat(process.env.MT5_RISK_PERCENT) || 1.0; // 1% per trade
+    this.riskPercent = options.riskPercent || parseFloat(process.env.MT5_RISK_PERCENT) || 1.0; // 1% per trade (EA fallback sizing)
     this.enabled     = options.enabled     ?? (process.env.MT5_AUTO_TRADE === 'true');
     this.pollMs      = options.pollMs      || 2000;  // check results every 2s
-    this.pending     = {};  // { symbol: { signalId, sentAt } }
+    this.signalTtlMs = options.signalTtlMs || 60000; // EA ignores a signal after this
+    this.ackGraceMs  = options.ackGraceMs  ?? 5000;  // extra wait for the ack past expire
+    this.pending     = {};  // { symbol: { signalId, sentAt, expireAt } } — written, not acknowledged
+    this.queue       = {};  // { symbol: [signal, ...] } — waiting for the pending one
+    this.signals     = {};  // { signalId: { trade, ticket, status } }
+    this.tickets     = {};  // { ticket: signalId }
+    this.account     = null; // { balance, equity, currency, updatedAt } from the latest EA result
+    this._cmdSeq     = 0;
     this._poller     = null;
 
     if (this.enabled) {
@@ -39,62 +79,211 @@ export class MT5ScalpBridge extends EventEmitter {
   sendSignal(trade) {
     if (!this.enabled) return false;
 
-    const signalId = `${trade.symbol}_${Date.now()}`;
+    const signalId = trade.id || `${trade.symbol}_${Date.now()}`;
     const symbolClean = trade.symbol.replace('/', ''); // XAU/USD → XAUUSD
 
     const signal = {
       id:           signalId,
       symbol:       symbolClean,          // MT5 format
-      action:       trade.action,         // 'SELL'
+      action:       trade.action,         // 'SELL' | 'BUY'
       entryPrice:   trade.entryPrice,
       sl:           trade.sl,
       tp:           trade.tp,
-      riskPercent:  this.riskPercent,     // EA calculates lot size from this
+      lotSize:      trade.lotSize || 0,   // PositionSizer; 0 → EA sizes from riskPercent
+      riskPercent:  this.riskPercent,
       rr:           trade.rr,
       confidence:   trade.confidence,
+      maxHoldMin:   trade.maxHoldMin || 0, // EA closes the position after this
+      magic:        trade.magic || 0,     // strategy's magic number; 0 → EA MagicNumber
       reasons:      trade.reasons,
       timestamp:    new Date().toISOString(),
-      expire:       new Date(Date.now() + 60000).toISOString(), // signal expires in 60s
+      expire:       new Date(Date.now() + this.signalTtlMs).toISOString(), // EA skips it after this
     };
 
-    const signalPath = path.join(this.signalsDir, `signal_${symbolClean}.json`);
-    try {
-      fs.writeFileSync(signalPath, JSON.stringify(signal, null, 2));
-      this.pending[trade.symbol] = { signalId, sentAt: Date.now() };
-      console.log(`📤 MT5 Signal sent: ${trade.action} ${symbolClean} @ ${trade.entryPrice?.toFixed(2)}`);
-      console.log(`   SL: ${trade.sl?.toFixed(2)} | TP: ${trade.tp?.toFixed(2)} | Risk: ${this.riskPercent}%`);
-      this.emit('signal_sent', signal);
+    this.signals[signalId] = { trade, ticket: null, status: 'QUEUED' };
+
+    // One signal file per symbol: never overwrite an unacknowledged one
+    if (this.pending[trade.symbol]) {
+      (this.queue[trade.symbol] ||= []).push(signal);
+      console.log(`⏳ MT5 Signal queued: ${trade.action} ${symbolClean} (waiting for ${this.pending[trade.symbol].signalId})`);
+      this.emit('signal_queued', signal);
       return true;
+    }
+    return this._writeSignal(trade.symbol, signal);
+  }
+
+  // ── SEND MANAGEMENT COMMAND for an open MT5 position ──
+  // command: { type: 'MODIFY', sl, tp } | { type: 'PARTIAL', fraction } | { type: 'CLOSE' }
+  sendCommand(trade, command) {
+    if (!this.enabled) return false;
+    const ticket = this.signals[trade.id]?.ticket || trade.broker?.ticket;
+    if (!ticket) return false; // not (yet) a position on the broker
+
+    const symbolClean = trade.symbol.replace('/', '');
+    const cmd = {
+      signalId:  trade.id,
+      ticket,
+      symbol:    symbolClean,
+      type:      command.type,
+      sl:        command.sl ?? 0,
+      tp:        command.tp ?? 0,
+      fraction:  command.fraction ?? 0,
+      reason:    command.reason || '',
+      timestamp: new Date().toISOString(),
+    };
+
+    // Fixed-width fields (13-digit ms, 6-digit sequence): name order = creation order
+    const name = `cmd_${symbolClean}_${Date.now()}_${String(++this._cmdSeq % 1e6).padStart(6, '0')}.json`;
+    const tmp  = path.join(this.signalsDir, `.${name}.tmp`);
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(cmd, null, 2));
+      fs.renameSync(tmp, path.join(this.signalsDir, name));
+    } catch (err) {
+      console.error(`❌ MT5 command write failed:`, err.message);
+      try { fs.unlinkSync(tmp); } catch {}
+      return false;
+    }
+    console.log(`📤 MT5 Command: ${cmd.type} ${symbolClean} #${ticket}${cmd.type === 'MODIFY' ? ` SL ${cmd.sl.toFixed(2)}` : ''}`);
+    this.emit('command_sent', cmd);
+    return true;
+  }
+
+  _signalPath(symbolClean) {
+    return path.join(this.signalsDir, `signal_${symbolClean}.json`);
+  }
+
+  _writeSignal(symbol, signal) {
+    const signalPath = this._signalPath(signal.symbol);
+    const tmp = path.join(this.signalsDir, `.signal_${signal.symbol}.${process.pid}.tmp`);
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(signal, null, 2));
+      fs.renameSync(tmp, signalPath);
     } catch (err) {
       console.error(`❌ MT5 signal write failed:`, err.message);
+      try { fs.unlinkSync(tmp); } catch {}
+      delete this.signals[signal.id];
       return false;
     }
+
+    this.pending[symbol] = { signalId: signal.id, sentAt: Date.now(), expireAt: Date.parse(signal.expire) };
+    this.signals[signal.id].status = 'SENT';
+    console.log(`📤 MT5 Signal sent: ${signal.action} ${signal.symbol} @ ${signal.entryPrice?.toFixed(2)}`);
+    console.log(`   SL: ${signal.sl?.toFixed(2)} | TP: ${signal.tp?.toFixed(2)} | Lots: ${signal.lotSize || 'EA'} | Risk: ${this.riskPercent}%`);
+    this.emit('signal_sent', signal);
+    return true;
+  }
+
+  // ── Pending signal for symbol is settled: write the next queued one ──
+  _next(symbol) {
+    delete this.pending[symbol];
+    const queue = this.queue[symbol] || [];
+    while (queue.length) {
+      const signal = queue.shift();
+      if (Date.now() > Date.parse(signal.expire)) {
+        this._timeout(symbol, signal.id, 'EXPIRED_IN_QUEUE');
+        continue;
+      }
+      if (this._writeSignal(symbol, signal)) break;
+    }
+    if (!queue.length) delete this.queue[symbol];
+  }
+
+  // ── No acknowledgement from the EA in time ──
+  _timeout(symbol, signalId, reason) {
+    const known = this.signals[signalId];
+    if (known) known.status = 'TIMEOUT'; // kept: a late OPENED can still be matched
+    console.log(`⚠️ MT5 Signal timeout: ${signalId} (${reason})`);
+    this.emit('signal_timeout', { signalId, symbol, reason, trade: known?.trade || null });
+  }
+
+  _checkTimeouts() {
+    const now = Date.now();
+    for (const [symbol, pending] of Object.entries(this.pending)) {
+      if (now <= pending.expireAt + this.ackGraceMs) continue;
+      // Take the stale file back so the EA cannot act on it late
+      const signalPath = this._signalPath(symbol.replace('/', ''));
+      try {
+        if (JSON.parse(fs.readFileSync(signalPath, 'utf8')).id === pending.signalId) fs.unlinkSync(signalPath);
+      } catch { /* already consumed by the EA */ }
+      this._timeout(symbol, pending.signalId, 'NO_ACK');
+      this._next(symbol);
+    }
   }
 
   // ── POLL FOR MT5 RESULTS ──
   _startPoller() {
-    this._poller = setInterval(() => {
+    this._poller = setInterval(() => this._pollResults(), this.pollMs);
+  }
+
+  _pollResults() {
+    let files;
+    try {
+      files = fs.readdirSync(this.signalsDir).filter(f => f.startsWith('result_'));
+    } catch { return; /* dir might not exist yet */ }
+
+    const results = [];
+    for (const file of files) {
+      const resultPath = path.join(this.signalsDir, file);
       try {
-        const files = fs.readdirSync(this.signalsDir).filter(f => f.startsWith('result_'));
-        for (const file of files) {
-          const resultPath = path.join(this.signalsDir, file);
-          try {
-            const raw    = fs.readFileSync(resultPath, 'utf8');
-            const result = JSON.parse(raw);
-            this._handleResult(result);
-            fs.unlinkSync(resultPath); // delete after reading
-          } catch { /* skip malformed */ }
-        }
-      } catch { /* dir might not exist yet */ }
-    }, this.pollMs);
+        results.push({ resultPath, result: JSON.parse(fs.readFileSync(resultPath, 'utf8')) });
+      } catch { /* half-written or malformed: retry next poll */ }
+    }
+
+    // EA order: OPENED must be handled before the CLOSED of the same ticket
+    results.sort((a, b) => (a.result.time || 0) - (b.result.time || 0) || (a.result.seq || 0) - (b.result.seq || 0));
+    for (const { resultPath, result } of results) {
+      try {
+        this._handleResult(result);
+      } finally {
+        try { fs.unlinkSync(resultPath); } catch {} // delete after reading
+      }
+    }
+    this._checkTimeouts();
   }
 
-  _handleResult(result) {
+  _handleResult(raw) {
+    const status = raw.status === 'FAILED' ? 'REJECTED' : raw.status; // pre-1.10 EA
+    const ticket = raw.ticket || null;
+    const signalId = raw.signalId || (ticket && this.tickets[ticket]) || null;
+    const known    = signalId ? this.signals[signalId] : null;
+
+    const result = {
+      ...raw,
+      status,
+      signalId,
+      ticket,
+      mt5Symbol: raw.symbol,
+      symbol:    known?.trade.symbol || raw.symbol, // back to engine format (XAU/USD)
+      trade:     known?.trade || null,
+    };
+
+    if (known) {
+      if (status !== 'CMD_FAILED') known.status = status;
+      if (ticket) { known.ticket = ticket; this.tickets[ticket] = signalId; }
+      if (status === 'CLOSED' || status === 'REJECTED') {
+        delete this.signals[signalId];
+        if (ticket) delete this.tickets[ticket];
+      }
+    }
+
     console.log(`\n📥 MT5 Result received:`);
-    console.log(`   Symbol: ${result.symbol} | Ticket: ${result.ticket}`);
-    console.log(`   Status: ${result.status} | Entry: ${result.entryPrice} | Close: ${result.closePrice}`);
-    console.log(`   P&L: ${result.pnl} ${result.currency} | R: ${result.rPnL}`);
+    console.log(`   Symbol: ${result.symbol} | Ticket: ${result.ticket} | Signal: ${signalId || 'unknown'}`);
+    console.log(`   Status: ${status} | Entry: ${result.entryPrice} | Close: ${result.closePrice}`);
+    if (status === 'CLOSED') console.log(`   P&L: ${result.pnl} ${result.currency} | R: ${result.rPnL} | ${result.reason}`);
+    if (status === 'REJECTED') console.log(`   Error: ${result.error}`);
+
+    // OPENED / REJECTED acknowledge the pending signal for this symbol
+    const acked = (status === 'OPENED' || status === 'REJECTED') && this.pending[result.symbol]?.signalId === signalId;
+
+    if (raw.balance > 0) {
+      this.account = { balance: raw.balance, equity: raw.equity, currency: raw.currency, updatedAt: Date.now() };
+      this.emit('account_update', this.account);
+    }
+
     this.emit('trade_result', result);
+    if (LIFECYCLE_EVENTS[status]) this.emit(LIFECYCLE_EVENTS[status], result);
+    if (status === 'REJECTED') this.emit('signal_rejected', result);
+    if (acked) this._next(result.symbol);
   }
 
   stop() {
@@ -110,31 +299,70 @@ export const MT5_EA_CODE = `
 //+------------------------------------------------------------------+
 //| ScalpBridgeEA.mq5 — Auto-executes signals from Node.js           |
 //| Place in: MT5/MQL5/Experts/                                       |
+//| Reports every position back to Node, keyed by signal id + ticket: |
+//|   OPENED → MODIFIED (SL/TP change) → CLOSED  |  REJECTED          |
+//| and applies management commands from cmd_{symbol}_*.json:         |
+//|   MODIFY (SL/TP) | PARTIAL (close a fraction) | CLOSE             |
+//| Each Node strategy trades under its own magic number (signal       |
+//| "magic"); several strategies on one symbol need a hedging account. |
 //+------------------------------------------------------------------+
 #property copyright "ScalpAgent"
-#property version   "1.00"
+#property version   "1.40"
 
 #include <Trade\\Trade.mqh>
 
 // ── INPUTS ──
 input string   SignalsFolder = "C:\\\\mt5_scalp_signals\\\\"; // match MT5_SIGNALS_DIR
 input double   RiskPercent   = 1.0;   // % of balance per trade (overridden by signal)
-input int      MagicNumber   = 88888;
+input int      MagicNumber   = 88888; // signals without a magic (default strategy)
+input int      MagicRange    = 100;   // strategy magics accepted: MagicNumber .. MagicNumber + MagicRange - 1
 input int      MaxSlippage   = 30;    // points
 
 CTrade trade;
 string lastSignalId = "";
+int    resultSeq    = 0;
+
+// ── Tracked positions (parallel arrays, one slot per open ticket) ──
+ulong    posTicket[];
+string   posSignalId[];
+double   posRiskMoney[];   // money lost if the initial SL is hit = 1R
+double   posSl[];
+double   posTp[];
+datetime posOpenTime[];
+int      posMaxHoldMin[];  // 0 = no EA-side expiry
+bool     posExpired[];     // closed by the EA because max hold was reached
 
 //+------------------------------------------------------------------+
 int OnInit() {
    trade.SetExpertMagicNumber(MagicNumber);
    trade.SetDeviationInPoints(MaxSlippage);
-   Print("ScalpBridgeEA started. Watching: ", SignalsFolder);
+
+   // Re-attach positions opened before a restart (signal id = comment)
+   for(int i = PositionsTotal() - 1; i >= 0; i--) {
+      ulong ticket = PositionGetTicket(i);
+      if(ticket == 0) continue;
+      if(!IsOurMagic(PositionGetInteger(POSITION_MAGIC))) continue;
+      if(PositionGetString(POSITION_SYMBOL) != Symbol()) continue;
+      double entry = PositionGetDouble(POSITION_PRICE_OPEN);
+      double sl    = PositionGetDouble(POSITION_SL);
+      double vol   = PositionGetDouble(POSITION_VOLUME);
+      Track(ticket, PositionGetString(POSITION_COMMENT), RiskMoney(Symbol(), entry, sl, vol),
+            sl, PositionGetDouble(POSITION_TP), (datetime)PositionGetInteger(POSITION_TIME), 0);
+   }
+
+   Print("ScalpBridgeEA started. Watching: ", SignalsFolder, " | tracking ", ArraySize(posTicket), " position(s)");
    return(INIT_SUCCEEDED);
 }
 
 //+------------------------------------------------------------------+
 void OnTick() {
+   ProcessCommands();
+   CheckPositions();
+   CheckSignal();
+}
+
+//+------------------------------------------------------------------+
+void CheckSignal() {
    string symbol = Symbol();
    string signalFile = SignalsFolder + "signal_" + symbol + ".json";
 
@@ -155,6 +383,9 @@ void OnTick() {
    double sl        = StringToDouble(JsonExtract(content, "sl"));
    double tp        = StringToDouble(JsonExtract(content, "tp"));
    double riskPct   = StringToDouble(JsonExtract(content, "riskPercent"));
+   int    maxHold   = (int)StringToInteger(JsonExtract(content, "maxHoldMin"));
+   long   magic     = StringToInteger(JsonExtract(content, "magic"));
+   if(magic <= 0) magic = MagicNumber;
 
    // Skip if already processed
    if(signalId == lastSignalId) return;
@@ -163,66 +394,317 @@ void OnTick() {
    datetime expire = StringToTime(expireStr);
    if(TimeCurrent() > expire) {
       Print("Signal expired, skipping: ", signalId);
+      WriteResult(signalId, 0, "REJECTED", 0, 0, 0, sl, tp, 0, 0, "", "SIGNAL_EXPIRED");
+      FileDelete(signalFile, FILE_COMMON);
+      lastSignalId = signalId;
+      return;
+   }
+
+   // Magic outside our range: positions would be invisible after a restart
+   if(!IsOurMagic(magic)) {
+      Print("Magic ", magic, " outside MagicNumber range, skipping signal");
+      WriteResult(signalId, 0, "REJECTED", 0, 0, 0, sl, tp, 0, 0, "", "BAD_MAGIC");
       FileDelete(signalFile, FILE_COMMON);
       lastSignalId = signalId;
       return;
    }
 
-   // Skip if already have open position for this symbol
-   if(PositionSelect(symbol)) {
+   // Skip if this strategy already has a position on the symbol
+   if(HasPosition(symbol, magic)) {
       Print("Already in position, skipping signal");
+      WriteResult(signalId, 0, "REJECTED", 0, 0, 0, sl, tp, 0, 0, "", "ALREADY_IN_POSITION");
       FileDelete(signalFile, FILE_COMMON);
       lastSignalId = signalId;
       return;
    }
 
-   // Calculate lot size from risk %
-   double balance  = AccountInfoDouble(ACCOUNT_BALANCE);
-   double riskAmt  = balance * riskPct / 100.0;
-   double slPips   = MathAbs(SymbolInfoDouble(symbol, SYMBOL_ASK) - sl) / _Point / 10;
-   double tickVal  = SymbolInfoDouble(symbol, SYMBOL_TRADE_TICK_VALUE);
-   double lotSize  = NormalizeDouble(riskAmt / (slPips * tickVal), 2);
+   // Lot size: sized by Node (PositionSizer); fall back to risk % here
+   double lotSize  = StringToDouble(JsonExtract(content, "lotSize"));
+   if(lotSize <= 0) {
+      double price    = action == "BUY" ? SymbolInfoDouble(symbol, SYMBOL_ASK) : SymbolInfoDouble(symbol, SYMBOL_BID);
+      double riskAmt  = AccountInfoDouble(ACCOUNT_BALANCE) * riskPct / 100.0;
+      double perLot   = RiskMoney(symbol, price, sl, 1.0);   // money lost at SL for 1 lot
+      lotSize = perLot > 0 ? riskAmt / perLot : 0;
+   }
+   double step = SymbolInfoDouble(symbol, SYMBOL_VOLUME_STEP);
+   lotSize = MathFloor(lotSize / step + 1e-9) * step;
    lotSize = MathMax(lotSize, SymbolInfoDouble(symbol, SYMBOL_VOLUME_MIN));
    lotSize = MathMin(lotSize, SymbolInfoDouble(symbol, SYMBOL_VOLUME_MAX));
+   lotSize = NormalizeDouble(lotSize, 2);
 
-   // Execute trade
+   // Execute trade (comment carries the signal id so restarts can re-attach)
+   string comment = StringSubstr(signalId, 0, 31);
+   trade.SetExpertMagicNumber((ulong)magic);
    bool success = false;
    if(action == "SELL") {
-      success = trade.Sell(lotSize, symbol, 0, sl, tp, "ScalpAgent");
+      success = trade.Sell(lotSize, symbol, 0, sl, tp, comment);
    } else if(action == "BUY") {
-      success = trade.Buy(lotSize, symbol, 0, sl, tp, "ScalpAgent");
+      success = trade.Buy(lotSize, symbol, 0, sl, tp, comment);
+   }
+
+   ulong  ticket = trade.ResultOrder();
+   double entry  = trade.ResultPrice();
+
+   if(success && ticket > 0) {
+      Track(ticket, signalId, RiskMoney(symbol, entry, sl, lotSize), sl, tp, TimeCurrent(), maxHold);
+      WriteResult(signalId, ticket, "OPENED", entry, 0, lotSize, sl, tp, 0, 0, "", "");
+      Print("✅ Trade executed: ", action, " ", lotSize, " lots @ ", entry);
+   } else {
+      WriteResult(signalId, 0, "REJECTED", 0, 0, lotSize, sl, tp, 0, 0, "", IntegerToString(trade.ResultRetcode()));
+      Print("❌ Trade failed: ", trade.ResultRetcodeDescription());
+   }
+
+   FileDelete(signalFile, FILE_COMMON);
+   lastSignalId = signalId;
+}
+
+//+------------------------------------------------------------------+
+//| Management commands from Node: one file per command, oldest first |
+//+------------------------------------------------------------------+
+void ProcessCommands() {
+   string names[];
+   string name;
+   long finder = FileFindFirst(SignalsFolder + "cmd_" + Symbol() + "_*.json", name, FILE_COMMON);
+   if(finder == INVALID_HANDLE) return;
+   do {
+      int n = ArraySize(names);
+      ArrayResize(names, n + 1);
+      names[n] = name;
+   } while(FileFindNext(finder, name));
+   FileFindClose(finder);
+   // cmd_{symbol}_{ms}_{nnnnnn}: fixed-width fields → name order = creation order.
+   // ArraySort is documented for numeric arrays: insertion sort with StringCompare.
+   for(int a = 1; a < ArraySize(names); a++) {
+      string key = names[a];
+      int b = a - 1;
+      while(b >= 0 && StringCompare(names[b], key) > 0) { names[b + 1] = names[b]; b--; }
+      names[b + 1] = key;
    }
 
-   // Write result file
-   int ticket = (int)trade.ResultOrder();
-   double entry = trade.ResultPrice();
-   string status = success ? "OPENED" : "FAILED";
-   string errMsg = success ? "" : IntegerToString(trade.ResultRetcode());
+   for(int c = 0; c < ArraySize(names); c++) {
+      string cmdFile = SignalsFolder + names[c];
+      int handle = FileOpen(cmdFile, FILE_READ|FILE_TXT|FILE_COMMON);
+      if(handle == INVALID_HANDLE) continue;
+      string content = "";
+      while(!FileIsEnding(handle)) content += FileReadString(handle);
+      FileClose(handle);
+      FileDelete(cmdFile, FILE_COMMON);
+      ApplyCommand(content);
+   }
+}
+
+void ApplyCommand(string content) {
+   string signalId = JsonExtract(content, "signalId");
+   ulong  ticket   = (ulong)StringToInteger(JsonExtract(content, "ticket"));
+   string type     = JsonExtract(content, "type");
+   string reason   = JsonExtract(content, "reason");
+
+   int i = -1;
+   for(int k = 0; k < ArraySize(posTicket); k++) if(posTicket[k] == ticket) i = k;
+   if(i < 0 || !PositionSelectByTicket(ticket)) {
+      WriteResult(signalId, ticket, "CMD_FAILED", 0, 0, 0, 0, 0, 0, 0, type, "UNKNOWN_POSITION");
+      return;
+   }
+   double entry = PositionGetDouble(POSITION_PRICE_OPEN);
+   double vol   = PositionGetDouble(POSITION_VOLUME);
+   double sl    = PositionGetDouble(POSITION_SL);
+   double tp    = PositionGetDouble(POSITION_TP);
+
+   if(type == "MODIFY") {
+      double newSl = StringToDouble(JsonExtract(content, "sl"));
+      double newTp = StringToDouble(JsonExtract(content, "tp"));
+      int digits = (int)SymbolInfoInteger(Symbol(), SYMBOL_DIGITS);
+      if(!trade.PositionModify(ticket, NormalizeDouble(newSl > 0 ? newSl : sl, digits), NormalizeDouble(newTp > 0 ? newTp : tp, digits)))
+         WriteResult(signalId, ticket, "CMD_FAILED", entry, 0, vol, sl, tp, 0, 0, type, IntegerToString(trade.ResultRetcode()));
+      // success is reported as MODIFIED by CheckPositions
+      else Print("🛠 SL/TP modified (", reason, ") ticket ", ticket);
+   } else if(type == "PARTIAL") {
+      double fraction = StringToDouble(JsonExtract(content, "fraction"));
+      double step     = SymbolInfoDouble(Symbol(), SYMBOL_VOLUME_STEP);
+      double minVol   = SymbolInfoDouble(Symbol(), SYMBOL_VOLUME_MIN);
+      double part     = MathFloor(vol * fraction / step) * step;
+      if(part < minVol || vol - part < minVol) {
+         WriteResult(signalId, ticket, "CMD_FAILED", entry, 0, vol, sl, tp, 0, 0, type, "VOLUME_TOO_SMALL");
+         return;
+      }
+      if(!trade.PositionClosePartial(ticket, part)) {
+         WriteResult(signalId, ticket, "CMD_FAILED", entry, 0, vol, sl, tp, 0, 0, type, IntegerToString(trade.ResultRetcode()));
+         return;
+      }
+      double pnl = 0;
+      if(HistoryDealSelect(trade.ResultDeal()))
+         pnl = HistoryDealGetDouble(trade.ResultDeal(), DEAL_PROFIT)
+             + HistoryDealGetDouble(trade.ResultDeal(), DEAL_COMMISSION);
+      double rPnL = posRiskMoney[i] > 0 ? pnl / posRiskMoney[i] : 0;
+      WriteResult(signalId, ticket, "PARTIAL", entry, trade.ResultPrice(), part, sl, tp, pnl, rPnL, "PARTIAL", "");
+      Print("✂ Partial close ", part, " lots of ticket ", ticket);
+   } else if(type == "CLOSE") {
+      if(!trade.PositionClose(ticket))
+         WriteResult(signalId, ticket, "CMD_FAILED", entry, 0, vol, sl, tp, 0, 0, type, IntegerToString(trade.ResultRetcode()));
+      // success is reported as CLOSED (reason EA) by CheckPositions
+   } else {
+      WriteResult(signalId, ticket, "CMD_FAILED", entry, 0, vol, sl, tp, 0, 0, type, "UNKNOWN_COMMAND");
+   }
+}
+
+//+------------------------------------------------------------------+
+//| Detect SL/TP changes, enforce max hold, report closed positions  |
+//+------------------------------------------------------------------+
+void CheckPositions() {
+   for(int i = ArraySize(posTicket) - 1; i >= 0; i--) {
+      ulong ticket = posTicket[i];
+
+      if(PositionSelectByTicket(ticket)) {
+         double sl = PositionGetDouble(POSITION_SL);
+         double tp = PositionGetDouble(POSITION_TP);
+         if(sl != posSl[i] || tp != posTp[i]) {
+            posSl[i] = sl;
+            posTp[i] = tp;
+            WriteResult(posSignalId[i], ticket, "MODIFIED", PositionGetDouble(POSITION_PRICE_OPEN), 0,
+                        PositionGetDouble(POSITION_VOLUME), sl, tp, 0, 0, "", "");
+         }
+         if(posMaxHoldMin[i] > 0 && !posExpired[i] && TimeCurrent() - posOpenTime[i] >= posMaxHoldMin[i] * 60) {
+            if(trade.PositionClose(ticket)) {
+               posExpired[i] = true;
+               Print("⏰ Max hold reached, closed ticket ", ticket);
+            }
+         }
+         continue;
+      }
+
+      // Position is gone → report it from deal history
+      if(ReportClosed(i)) Untrack(i);
+   }
+}
+
+//+------------------------------------------------------------------+
+bool ReportClosed(int i) {
+   ulong ticket = posTicket[i];
+   if(!HistorySelectByPosition(ticket)) return false;
+
+   double pnl = 0, entry = 0, closePrice = 0, volume = 0;
+   string reason = "MANUAL";
+   int deals = HistoryDealsTotal();
+   for(int d = 0; d < deals; d++) {
+      ulong deal = HistoryDealGetTicket(d);
+      pnl += HistoryDealGetDouble(deal, DEAL_PROFIT)
+           + HistoryDealGetDouble(deal, DEAL_SWAP)
+           + HistoryDealGetDouble(deal, DEAL_COMMISSION);
+      long dealEntry = HistoryDealGetInteger(deal, DEAL_ENTRY);
+      if(dealEntry == DEAL_ENTRY_IN) {
+         entry  = HistoryDealGetDouble(deal, DEAL_PRICE);
+         volume = HistoryDealGetDouble(deal, DEAL_VOLUME);
+      } else if(dealEntry == DEAL_ENTRY_OUT || dealEntry == DEAL_ENTRY_OUT_BY) {
+         closePrice = HistoryDealGetDouble(deal, DEAL_PRICE);
+         long why = HistoryDealGetInteger(deal, DEAL_REASON);
+         if(why == DEAL_REASON_SL)          reason = "SL";
+         else if(why == DEAL_REASON_TP)     reason = "TP";
+         else if(why == DEAL_REASON_SO)     reason = "STOP_OUT";
+         else if(why == DEAL_REASON_EXPERT) reason = "EA";
+         else                               reason = "MANUAL";
+      }
+   }
+   if(deals == 0) return false;
+   if(posExpired[i]) reason = "EXPIRED";
+
+   double rPnL = posRiskMoney[i] > 0 ? pnl / posRiskMoney[i] : 0;
+   WriteResult(posSignalId[i], ticket, "CLOSED", entry, closePrice, volume, posSl[i], posTp[i], pnl, rPnL, reason, "");
+   Print("📕 Position closed: ", ticket, " ", reason, " P&L ", DoubleToString(pnl, 2), " (", DoubleToString(rPnL, 2), "R)");
+   return true;
+}
+
+//+------------------------------------------------------------------+
+bool IsOurMagic(long magic) {
+   return magic >= MagicNumber && magic < MagicNumber + MagicRange;
+}
+
+// Open position for symbol under this magic (netting accounts: any position)
+bool HasPosition(string symbol, long magic) {
+   bool hedging = AccountInfoInteger(ACCOUNT_MARGIN_MODE) == ACCOUNT_MARGIN_MODE_RETAIL_HEDGING;
+   for(int i = PositionsTotal() - 1; i >= 0; i--) {
+      ulong ticket = PositionGetTicket(i);
+      if(ticket == 0) continue;
+      if(PositionGetString(POSITION_SYMBOL) != symbol) continue;
+      if(!hedging || PositionGetInteger(POSITION_MAGIC) == magic) return true;
+   }
+   return false;
+}
+
+double RiskMoney(string symbol, double entry, double sl, double lots) {
+   double tickSize = SymbolInfoDouble(symbol, SYMBOL_TRADE_TICK_SIZE);
+   double tickVal  = SymbolInfoDouble(symbol, SYMBOL_TRADE_TICK_VALUE);
+   if(tickSize <= 0 || sl <= 0) return 0;
+   return MathAbs(entry - sl) / tickSize * tickVal * lots;
+}
+
+void Track(ulong ticket, string signalId, double riskMoney, double sl, double tp, datetime openTime, int maxHold) {
+   int n = ArraySize(posTicket);
+   ArrayResize(posTicket, n + 1);     posTicket[n]     = ticket;
+   ArrayResize(posSignalId, n + 1);   posSignalId[n]   = signalId;
+   ArrayResize(posRiskMoney, n + 1);  posRiskMoney[n]  = riskMoney;
+   ArrayResize(posSl, n + 1);         posSl[n]         = sl;
+   ArrayResize(posTp, n + 1);         posTp[n]         = tp;
+   ArrayResize(posOpenTime, n + 1);   posOpenTime[n]   = openTime;
+   ArrayResize(posMaxHoldMin, n + 1); posMaxHoldMin[n] = maxHold;
+   ArrayResize(posExpired, n + 1);    posExpired[n]    = false;
+}
+
+void Untrack(int i) {
+   int last = ArraySize(posTicket) - 1;
+   posTicket[i]     = posTicket[last];
+   posSignalId[i]   = posSignalId[last];
+   posRiskMoney[i]  = posRiskMoney[last];
+   posSl[i]         = posSl[last];
+   posTp[i]         = posTp[last];
+   posOpenTime[i]   = posOpenTime[last];
+   posMaxHoldMin[i] = posMaxHoldMin[last];
+   posExpired[i]    = posExpired[last];
+   ArrayResize(posTicket, last);
+   ArrayResize(posSignalId, last);
+   ArrayResize(posRiskMoney, last);
+   ArrayResize(posSl, last);
+   ArrayResize(posTp, last);
+   ArrayResize(posOpenTime, last);
+   ArrayResize(posMaxHoldMin, last);
+   ArrayResize(posExpired, last);
+}
+
+//+------------------------------------------------------------------+
+//| One result file per event: result_{symbol}_{time}_{seq}.json     |
+//+------------------------------------------------------------------+
+void WriteResult(string signalId, ulong ticket, string status, double entry, double closePrice,
+                 double lots, double sl, double tp, double pnl, double rPnL, string reason, string errMsg) {
+   string symbol = Symbol();
+   int digits = (int)SymbolInfoInteger(symbol, SYMBOL_DIGITS);
+   resultSeq++;
 
    string result = "{";
+   result += "\\"signalId\\": \\"" + signalId + "\\", ";
    result += "\\"symbol\\": \\"" + symbol + "\\", ";
-   result += "\\"ticket\\": " + IntegerToString(ticket) + ", ";
+   result += "\\"ticket\\": " + IntegerToString((long)ticket) + ", ";
    result += "\\"status\\": \\"" + status + "\\", ";
-   result += "\\"entryPrice\\": " + DoubleToString(entry, 5) + ", ";
-   result += "\\"lotSize\\": " + DoubleToString(lotSize, 2) + ", ";
-   result += "\\"sl\\": " + DoubleToString(sl, 5) + ", ";
-   result += "\\"tp\\": " + DoubleToString(tp, 5) + ", ";
+   result += "\\"entryPrice\\": " + DoubleToString(entry, digits) + ", ";
+   result += "\\"closePrice\\": " + DoubleToString(closePrice, digits) + ", ";
+   result += "\\"lotSize\\": " + DoubleToString(lots, 2) + ", ";
+   result += "\\"sl\\": " + DoubleToString(sl, digits) + ", ";
+   result += "\\"tp\\": " + DoubleToString(tp, digits) + ", ";
+   result += "\\"pnl\\": " + DoubleToString(pnl, 2) + ", ";
+   result += "\\"currency\\": \\"" + AccountInfoString(ACCOUNT_CURRENCY) + "\\", ";
+   result += "\\"balance\\": " + DoubleToString(AccountInfoDouble(ACCOUNT_BALANCE), 2) + ", ";
+   result += "\\"equity\\": " + DoubleToString(AccountInfoDouble(ACCOUNT_EQUITY), 2) + ", ";
+   result += "\\"rPnL\\": " + DoubleToString(rPnL, 2) + ", ";
+   result += "\\"reason\\": \\"" + reason + "\\", ";
    result += "\\"error\\": \\"" + errMsg + "\\", ";
-   result += "\\"closePrice\\": 0, \\"pnl\\": 0, \\"currency\\": \\"USD\\", \\"rPnL\\": 0";
+   result += "\\"time\\": " + IntegerToString((long)TimeCurrent()) + ", ";
+   result += "\\"seq\\": " + IntegerToString(resultSeq);
    result += "}";
 
-   string resultFile = SignalsFolder + "result_" + symbol + ".json";
+   string resultFile = SignalsFolder + "result_" + symbol + "_" + IntegerToString((long)TimeCurrent()) + "_" + IntegerToString(resultSeq) + ".json";
    int rHandle = FileOpen(resultFile, FILE_WRITE|FILE_TXT|FILE_COMMON);
    if(rHandle != INVALID_HANDLE) {
       FileWriteString(rHandle, result);
       FileClose(rHandle);
    }
-
-   FileDelete(signalFile, FILE_COMMON);
-   lastSignalId = signalId;
-
-   if(success) Print("✅ Trade executed: ", action, " ", lotSize, " lots @ ", entry);
-   else Print("❌ Trade failed: ", trade.ResultRetcodeDescription());
 }
 
 //+------------------------------------------------------------------+
@@ -0,0 +1,44 @@
+import { EventEmitter } from 'events';
+
+// ═══════════════════════════════════════════════════════════════
+// MarketDataProvider.js — interface every candle source implements
+// The agent loop only talks to this: fetchCandles() for bars and
+// now() for "current time" (a replay provider runs its own clock).
+// Intervals use TwelveData names: '1min' | '5min' | '1h'
+// Candles come back ascending in ScalpEngine format (CandleLoader).
+// ═══════════════════════════════════════════════════════════════
+
+export const INTERVAL_MS = {
+  '1min': 60000,
+  '5min': 5 * 60000,
+  '1h':   60 * 60000,
+};
+
+export class MarketDataProvider extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name  = options.name || 'base';
+    this.speed = 1;   // clock speed multiplier (replay can run faster than real time)
+  }
+
+  // ── Open connections / load files. Called once before warm-up ──
+  async connect() {}
+
+  // ── Release sockets / timers ──
+  close() {}
+
+  // ── Current time in ms (provider clock) ──
+  now() {
+    return Date.now();
+  }
+
+  // ── Last `outputsize` candles for symbol/interval, or null if unavailable ──
+  async fetchCandles(symbol, interval, outputsize) {
+    throw new Error(`${this.constructor.name}.fetchCandles not implemented`);
+  }
+
+  // ── Convenience wrappers matching the agent's historical request sizes ──
+  fetch1m(symbol, outputsize = 35)  { return this.fetchCandles(symbol, '1min', outputsize); }
+  fetch5m(symbol, outputsize = 70)  { return this.fetchCandles(symbol, '5min', outputsize); }
+  fetch1h(symbol, outputsize = 100) { return this.fetchCandles(symbol, '1h',   outputsize); }
+}
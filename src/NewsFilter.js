@@ -0,0 +1,250 @@
+import fs from 'fs';
+import { zonedTimeToUtc } from './SessionCalendar.js';
+
+// ═══════════════════════════════════════════════════════════════
+// NewsFilter.js — no new scalps around economic releases
+// Events come from a local file (NEWS_CALENDAR_FILE), by extension:
+//   .csv   header row: time (or date + time), currency, impact, event
+//   .ics   VEVENTs: DTSTART, SUMMARY ("USD CPI m/m"), currency from
+//          X-CURRENCY / CATEGORIES / the SUMMARY prefix, impact from
+//          X-IMPACT / PRIORITY / "Impact: High" in DESCRIPTION
+//   .json  [{ "date": "2026-01-16T08:30:00-05:00", "country": "USD",
+//             "impact": "High", "title": "CPI m/m" }] (or { events: [...] })
+// Times without an offset are read in NEWS_TZ (default UTC). An event
+// without an impact counts as high — listing it is reason enough.
+// A symbol is hit by events in either of its currencies (XAU/USD → XAU,
+// USD; indices → their home currency). New signals are blocked from
+// BEFORE_MIN ahead of an event to AFTER_MIN after it; with FLATTEN_MIN
+// set, open trades are closed from FLATTEN_MIN ahead of it.
+// ═══════════════════════════════════════════════════════════════
+
+export const NEWS_DEFAULTS = {
+  BEFORE_MIN:  15,
+  AFTER_MIN:   15,
+  FLATTEN_MIN: 0,          // 0 = keep open trades through the release
+  IMPACTS:     ['high'],
+};
+
+// Index CFD → the currency whose data moves it
+const INDEX_CURRENCY = {
+  US30: 'USD', US500: 'USD', US100: 'USD', NAS100: 'USD', SPX500: 'USD', SPX: 'USD', NDX: 'USD', DJI: 'USD', USTEC: 'USD',
+  GER40: 'EUR', DE40: 'EUR', FRA40: 'EUR', UK100: 'GBP', JP225: 'JPY',
+};
+
+const IMPACT_LEVELS = { 1: 'low', 2: 'medium', 3: 'high' };
+
+function numberOr(value, fallback) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// ── 'High Impact Expected' / 'red' / 3 → 'high' ──
+function normalizeImpact(value) {
+  if (value === undefined || value === null || value === '') return 'high';
+  const str = String(value).trim().toLowerCase();
+  if (IMPACT_LEVELS[str]) return IMPACT_LEVELS[str];
+  if (/high|red/.test(str)) return 'high';
+  if (/med|orange/.test(str)) return 'medium';
+  if (/low|yellow/.test(str)) return 'low';
+  if (/holiday|non/.test(str)) return 'holiday';
+  return str;
+}
+
+// ── '2026-01-16T12:30:00Z' | '2026-01-16 08:30' (tz) | '01/16/2026 8:30am' (tz) → UTC ms ──
+function parseTime(str, tz) {
+  const text = String(str).trim();
+  if (/[zZ]$|[+-]\d{2}:?\d{2}$/.test(text)) return Date.parse(text);
+  let m = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::\d{2})?)?\s*(am|pm)?$/i);
+  let y, mo, d, hh, mm, ap;
+  if (m) [, y, mo, d, hh = 0, mm = 0, ap] = m;
+  else if ((m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::\d{2})?)?\s*(am|pm)?$/i))) {
+    [, mo, d, y, hh = 0, mm = 0, ap] = m;
+  } else {
+    return NaN;
+  }
+  hh = +hh;
+  if (ap) hh = (hh % 12) + (ap.toLowerCase() === 'pm' ? 12 : 0);
+  return zonedTimeToUtc(+y, +mo, +d, hh, +mm, tz);
+}
+
+// ── One CSV line → cells (quoted cells may hold commas) ──
+function splitCsvLine(line) {
+  const cells = [];
+  let cur = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { cells.push(cur.trim()); cur = ''; }
+    else cur += ch;
+  }
+  cells.push(cur.trim());
+  return cells;
+}
+
+function parseCsv(text, tz) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+  const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+  const col = (...names) => header.findIndex(h => names.includes(h));
+  const iTime = col('time', 'datetime', 'timestamp');
+  const iDate = col('date');
+  const iCur  = col('currency', 'country', 'ccy');
+  const iImp  = col('impact', 'importance');
+  const iName = col('event', 'title', 'name');
+  // A short / malformed row gets no time and is dropped on its own (parseNewsEvents)
+  return lines.slice(1).map(line => {
+    const cells = splitCsvLine(line);
+    const time  = iTime >= 0 ? cells[iTime] ?? '' : '';
+    const when  = iDate >= 0 && iTime >= 0 && time && !time.includes('-') ? `${cells[iDate] ?? ''} ${time}`
+      : cells[iTime >= 0 ? iTime : iDate];
+    return {
+      time:     parseTime(when, tz),
+      currency: cells[iCur],
+      impact:   cells[iImp],
+      title:    cells[iName],
+    };
+  });
+}
+
+// ── ICS: 20260116T133000Z | TZID=America/New_York:20260116T083000 | VALUE=DATE:20260116 ──
+function parseIcsTime(params, value, tz) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) return NaN;
+  const [, y, mo, d, hh = '00', mm = '00', , utc] = m;
+  const zone = utc ? 'UTC' : params.match(/TZID=([^;:]+)/)?.[1] || tz;
+  return zonedTimeToUtc(+y, +mo, +d, +hh, +mm, zone);
+}
+
+function parseIcs(text, tz) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);   // unfold continuation lines
+  const events = [];
+  let cur = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') { cur = {}; continue; }
+    if (line === 'END:VEVENT') {
+      if (cur) {
+        const summary  = cur.SUMMARY || '';
+        const currency = cur['X-CURRENCY'] || cur.CATEGORIES?.match(/\b[A-Z]{3}\b/)?.[0] || summary.match(/^\[?([A-Z]{3})\]?\s/)?.[1];
+        const impact   = cur['X-IMPACT'] ?? cur.DESCRIPTION?.match(/impact:\s*([\w ]+)/i)?.[1]
+          ?? (cur.PRIORITY ? (+cur.PRIORITY <= 4 ? 'high' : +cur.PRIORITY === 5 ? 'medium' : 'low') : undefined);
+        events.push({ time: cur.DTSTART, currency, impact, title: summary.replace(/^\[?[A-Z]{3}\]?\s+/, '') });
+      }
+      cur = null;
+      continue;
+    }
+    if (!cur) continue;
+    const idx = line.indexOf(':');
+    if (idx < 0) continue;
+    const [name, ...params] = line.slice(0, idx).split(';');
+    const value = line.slice(idx + 1).replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, '\n');
+    cur[name.toUpperCase()] = name.toUpperCase() === 'DTSTART' ? parseIcsTime(params.join(';'), value, tz) : value;
+  }
+  return events;
+}
+
+function parseJson(text, tz) {
+  const data = JSON.parse(text);
+  return (Array.isArray(data) ? data : data.events || []).map(e => ({
+    time:     typeof e.time === 'number' ? e.time : parseTime(e.time ?? e.datetime ?? e.date, tz),
+    currency: e.currency ?? e.country,
+    impact:   e.impact,
+    title:    e.title ?? e.event ?? e.name,
+  }));
+}
+
+// ── Events from file text by extension (.csv | .ics | .json) ──
+export function parseNewsEvents(text, file = '.json', tz = 'UTC') {
+  const ext = file.toLowerCase().split('.').pop();
+  const raw = ext === 'csv' ? parseCsv(text, tz) : ext === 'ics' ? parseIcs(text, tz) : parseJson(text, tz);
+  const valid = raw.filter(e => Number.isFinite(e.time));
+  if (valid.length < raw.length) console.warn(`⚠️ News calendar ${file}: ${raw.length - valid.length} event(s) without a readable time skipped`);
+  return valid
+    .map(e => ({
+      time:     e.time,
+      currency: String(e.currency || '*').trim().toUpperCase(),
+      impact:   normalizeImpact(e.impact),
+      title:    String(e.title || 'event').trim(),
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+export class NewsFilter {
+  // options.file:       events file (NEWS_CALENDAR_FILE)
+  // options.events:     [{ time, currency, impact, title }] added to the file's
+  // options.beforeMin / afterMin: blackout window (NEWS_BLACKOUT_BEFORE_MIN / _AFTER_MIN)
+  // options.flattenMin: close open trades this long before an event (NEWS_FLATTEN_MIN)
+  // options.impacts:    impacts that block (NEWS_IMPACTS=high,medium)
+  // options.currencies: { symbol: ['USD'] } — overrides the guess from the symbol
+  constructor(options = {}) {
+    const env = process.env;
+    this.file       = options.file ?? env.NEWS_CALENDAR_FILE ?? null;
+    this.tz         = options.tz || env.NEWS_TZ || 'UTC';
+    this.beforeMin  = options.beforeMin  ?? numberOr(env.NEWS_BLACKOUT_BEFORE_MIN, NEWS_DEFAULTS.BEFORE_MIN);
+    this.afterMin   = options.afterMin   ?? numberOr(env.NEWS_BLACKOUT_AFTER_MIN,  NEWS_DEFAULTS.AFTER_MIN);
+    this.flattenMin = options.flattenMin ?? numberOr(env.NEWS_FLATTEN_MIN,         NEWS_DEFAULTS.FLATTEN_MIN);
+    this.impacts    = options.impacts || (env.NEWS_IMPACTS ? env.NEWS_IMPACTS.split(',').map(normalizeImpact) : NEWS_DEFAULTS.IMPACTS);
+    this.currencies = options.currencies || {};
+    this.extra      = options.events ? parseNewsEvents(JSON.stringify(options.events), '.json', this.tz) : [];
+    this.reload();
+  }
+
+  // ── (Re)read the events file ──
+  reload() {
+    let fromFile = [];
+    if (this.file) {
+      try {
+        fromFile = parseNewsEvents(fs.readFileSync(this.file, 'utf8'), this.file, this.tz);
+      } catch (err) {
+        console.error(`⚠️ News calendar unreadable (${this.file}): ${err.message}`);
+      }
+    }
+    this.events = [...fromFile, ...this.extra].sort((a, b) => a.time - b.time);
+    return this.events.length;
+  }
+
+  // ── Currencies whose releases move a symbol ──
+  currenciesFor(symbol) {
+    if (this.currencies[symbol]) return this.currencies[symbol];
+    if (symbol.includes('/')) return symbol.split('/');
+    return INDEX_CURRENCY[symbol.toUpperCase()] ? [INDEX_CURRENCY[symbol.toUpperCase()]] : [];
+  }
+
+  // ── Blocking events for a symbol (impact + currency match) ──
+  _relevant(symbol) {
+    const currencies = this.currenciesFor(symbol);
+    return this.events.filter(e =>
+      this.impacts.includes(e.impact) && (e.currency === '*' || e.currency === 'ALL' || currencies.includes(e.currency)));
+  }
+
+  // ── Event whose blackout window covers ts, or null ──
+  blackout(symbol, ts) {
+    const before = this.beforeMin * 60000;
+    const after  = this.afterMin  * 60000;
+    return this._relevant(symbol).find(e => ts >= e.time - before && ts < e.time + after) || null;
+  }
+
+  // ── Event open trades should be flattened for (FLATTEN_MIN ahead → blackout end), or null ──
+  flattenDue(symbol, ts) {
+    if (!(this.flattenMin > 0)) return null;
+    const before = this.flattenMin * 60000;
+    const after  = this.afterMin   * 60000;
+    return this._relevant(symbol).find(e => ts >= e.time - before && ts < e.time + after) || null;
+  }
+
+  // ── Blocking events for any of the symbols in [from, to) ──
+  upcoming(symbols, from, to) {
+    const seen = new Set();
+    return symbols.flatMap(s => this._relevant(s))
+      .filter(e => e.time >= from - this.afterMin * 60000 && e.time < to && !seen.has(e) && seen.add(e))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  // ── "USD CPI m/m (high) 12:30 UTC" ──
+  describe(event) {
+    return `${event.currency} ${event.title} (${event.impact}) ${new Date(event.time).toISOString().slice(11, 16)} UTC`;
+  }
+}
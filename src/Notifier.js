@@ -0,0 +1,323 @@
+import fs from 'fs';
+import path from 'path';
+
+// ═══════════════════════════════════════════════════════════════
+// Notifier.js — alerts to Discord / Telegram / Slack / JSON webhooks
+// notify(type, message, data) renders one message per channel:
+//   signal / close → colour-coded card (Discord embed, Slack attachment),
+//   anything else  → the plain message. Telegram gets plain text,
+//   generic webhooks get { type, message, data, ts }.
+// Event types: signal, close, risk, news, data, mt5, session, error.
+// Per-channel filter: <CHANNEL>_EVENTS=signal,close (default: all).
+// Delivery goes through a queue persisted to NOTIFY_QUEUE_FILE:
+//   • 429 → wait Retry-After (channel paused, attempt not counted)
+//   • network error / 5xx → exponential backoff, up to MAX_ATTEMPTS
+//   • other 4xx → dropped (bad URL / payload), logged
+// Nothing is dropped without an error line in the log; undelivered
+// alerts survive a restart and go out on the next run.
+// ═══════════════════════════════════════════════════════════════
+
+export const NOTIFY_EVENTS = ['signal', 'close', 'risk', 'news', 'data', 'mt5', 'session', 'error'];
+
+const MIN_INTERVAL_MS = { discord: 500, telegram: 1100, slack: 1100, webhook: 0 }; // per-channel pacing
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS  = 5 * 60000;
+const MAX_AGE_MS      = 12 * 3600000;   // give up on alerts older than this
+const SEND_TIMEOUT_MS = 10000;
+
+const COLORS = { green: 0x2ecc71, red: 0xe74c3c, grey: 0x95a5a6, orange: 0xe67e22, blue: 0x3498db };
+const RESULT_COLOR = { WIN: 'green', LOSS: 'red', BREAKEVEN: 'grey', EXPIRED: 'orange', REJECTED: 'grey' };
+
+// ── 'signals,closes' | 'all' → event types (plurals accepted, unknown names warned about) ──
+function parseEvents(value, channel) {
+  if (!value || value === 'all' || value === '*') return NOTIFY_EVENTS;
+  const events = [];
+  for (const raw of value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)) {
+    const event = NOTIFY_EVENTS.includes(raw) ? raw : NOTIFY_EVENTS.find(e => `${e}s` === raw);
+    if (event) events.push(event);
+    else console.warn(`⚠️ ${channel}: unknown notify event '${raw}' ignored (known: ${NOTIFY_EVENTS.join(', ')})`);
+  }
+  return events;
+}
+
+const fmt = (value, digits = 2) => Number.isFinite(+value) ? (+value).toFixed(digits) : '-';
+
+// ── Neutral cards: { title, color, description, fields: [[name, value]], ts } ──
+function signalCard({ symbol, trade, signal, ts }) {
+  return {
+    title:       `${trade.action === 'BUY' ? '🟢' : '🔴'} SCALP ${trade.action} — ${symbol}`,
+    color:       trade.action === 'BUY' ? 'green' : 'red',
+    description: signal?.reasons?.join(' | ') || '',
+    fields: [
+      ['Entry', fmt(trade.entryPrice)], ['SL', fmt(trade.sl)], ['TP', fmt(trade.tp)],
+      ['RR', String(trade.rr ?? '-')], ['Risk', `${fmt(trade.risk)} pts`], ['Confidence', `${trade.confidence}%`],
+      ['Lots', String(trade.lotSize ?? 'EA')], ['1R', String(trade.riskMoney ?? '-')],
+      ['ATR / RSI / Stoch', `${fmt(signal?.atr)} / ${fmt(signal?.rsi, 0)} / ${fmt(signal?.stochK, 0)}`],
+      ...(trade.strategy ? [['Strategy', trade.strategy]] : []),
+    ],
+    ts,
+  };
+}
+
+function closeCard({ symbol, result: r }) {
+  const holdMin = r.closeTime && r.openTime ? Math.round((r.closeTime - r.openTime) / 60000) : null;
+  const fields = [
+    ['Result', r.result], ['R', `${r.rPnL > 0 ? '+' : ''}${r.rPnL}R`],
+    ['Entry → Exit', `${fmt(r.entryPrice)} → ${fmt(r.closePrice)}`],
+  ];
+  if (r.broker) fields.push(['P&L', `${r.pnl} ${r.currency || ''}`.trim()]);
+  if (r.closeReason) fields.push(['Reason', r.closeReason]);
+  if (r.strategy) fields.push(['Strategy', r.strategy]);
+  if (holdMin !== null) fields.push(['Held', `${holdMin} min`]);
+  return {
+    title:       `${r.action || ''} ${symbol} closed — ${r.result}`.trim(),
+    color:       RESULT_COLOR[r.result] || 'blue',
+    description: r.simulated ? `MT5 close replaces simulated ${r.simulated.result} ${r.simulated.rPnL}R` : '',
+    fields,
+    ts:          r.closeTime,
+  };
+}
+
+const CARDS = { signal: signalCard, close: closeCard };
+
+// ── Channel renderers: (type, message, data, card) → request { url?, body } ──
+const RENDERERS = {
+  discord: (type, message, data, card) => card ? {
+    embeds: [{
+      title:       card.title,
+      color:       COLORS[card.color],
+      description: card.description || undefined,
+      fields:      card.fields.map(([name, value]) => ({ name, value: String(value), inline: true })),
+      timestamp:   card.ts ? new Date(card.ts).toISOString() : undefined,
+    }],
+  } : { content: message.slice(0, 2000) },
+
+  telegram: (type, message, data, card, channel) => ({
+    chat_id: channel.chatId,
+    text:    card ? [card.title, ...card.fields.map(([n, v]) => `${n}: ${v}`), card.description].filter(Boolean).join('\n') : message,
+    disable_web_page_preview: true,
+  }),
+
+  slack: (type, message, data, card) => card ? {
+    text: card.title,
+    attachments: [{
+      color:  `#${COLORS[card.color].toString(16).padStart(6, '0')}`,
+      title:  card.title,
+      text:   card.description || undefined,
+      fields: card.fields.map(([title, value]) => ({ title, value: String(value), short: true })),
+      ts:     card.ts ? Math.floor(card.ts / 1000) : undefined,
+    }],
+  } : { text: message },
+
+  webhook: (type, message, data) => ({ type, message, data, ts: new Date().toISOString() }),
+};
+
+// ── Channels from env: DISCORD_WEBHOOK_URL, TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID,
+//    SLACK_WEBHOOK_URL, NOTIFY_WEBHOOK_URL (each with <NAME>_EVENTS) ──
+export function channelsFromEnv(env = process.env) {
+  const channels = [];
+  if (env.DISCORD_WEBHOOK_URL) {
+    channels.push({ name: 'discord', kind: 'discord', url: env.DISCORD_WEBHOOK_URL, events: env.DISCORD_EVENTS });
+  }
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    channels.push({
+      name: 'telegram', kind: 'telegram', chatId: env.TELEGRAM_CHAT_ID, events: env.TELEGRAM_EVENTS,
+      url: `https://api.telegram.org/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+    });
+  }
+  if (env.SLACK_WEBHOOK_URL) {
+    channels.push({ name: 'slack', kind: 'slack', url: env.SLACK_WEBHOOK_URL, events: env.SLACK_EVENTS });
+  }
+  if (env.NOTIFY_WEBHOOK_URL) {
+    channels.push({ name: 'webhook', kind: 'webhook', url: env.NOTIFY_WEBHOOK_URL, events: env.NOTIFY_WEBHOOK_EVENTS });
+  }
+  return channels;
+}
+
+export class Notifier {
+  // options.channels:    [{ name, kind: discord|telegram|slack|webhook, url, events, chatId }]
+  // options.queueFile:   undelivered alerts (NOTIFY_QUEUE_FILE)
+  // options.maxAttempts: per alert before it is dropped (NOTIFY_MAX_ATTEMPTS)
+  // options.fetch:       fetch implementation (tests / proxies)
+  constructor(options = {}) {
+    this.channels    = {};
+    for (const ch of options.channels || channelsFromEnv()) {
+      this.channels[ch.name] = {
+        ...ch,
+        events:        parseEvents(Array.isArray(ch.events) ? ch.events.join(',') : ch.events, ch.name),
+        minIntervalMs: ch.minIntervalMs ?? MIN_INTERVAL_MS[ch.kind] ?? 0,
+        lastSentAt:    0,
+        blockedUntil:  0,
+      };
+    }
+    this.queueFile   = options.queueFile   || process.env.NOTIFY_QUEUE_FILE || '/tmp/scalp_notify_queue.json';
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 8;
+    this.fetch       = options.fetch       || ((...args) => fetch(...args));
+    this.queue       = this._load();
+    this._seq        = 0;
+    this._timer      = null;
+    this._draining   = null;
+    if (this.queue.length) {
+      console.log(`📨 ${this.queue.length} undelivered alert(s) from the last run — retrying`);
+      this._schedule(0);
+    }
+  }
+
+  get enabled() {
+    return Object.keys(this.channels).length > 0;
+  }
+
+  // ── Queue one alert for every channel that wants this event type ──
+  notify(type, message, data = {}) {
+    const targets = Object.values(this.channels).filter(ch => ch.events.includes(type));
+    if (!targets.length) return Promise.resolve();
+    const card = CARDS[type] && data?.symbol ? CARDS[type](data) : null;
+    const now  = Date.now();
+    for (const ch of targets) {
+      this.queue.push({
+        id:        `${now}_${++this._seq}`,
+        channel:   ch.name,
+        type,
+        body:      RENDERERS[ch.kind](type, message, data, card, ch),
+        attempts:  0,
+        createdAt: now,
+        nextAt:    now,
+      });
+    }
+    this._save();
+    return this.drain();
+  }
+
+  // ── Send everything that is due; one drain at a time ──
+  drain() {
+    if (!this._draining) {
+      this._draining = this._drainOnce().finally(() => {
+        this._draining = null;
+        this._scheduleNext();
+      });
+    }
+    return this._draining;
+  }
+
+  async _drainOnce() {
+    for (const item of [...this.queue]) {
+      const ch  = this.channels[item.channel];
+      const now = Date.now();
+      if (!ch) {
+        this._drop(item, `channel '${item.channel}' is no longer configured`);
+        continue;
+      }
+      if (now - item.createdAt > MAX_AGE_MS) {
+        this._drop(item, `older than ${MAX_AGE_MS / 3600000}h`);
+        continue;
+      }
+      if (item.nextAt > now || ch.blockedUntil > now) continue;
+      const wait = ch.lastSentAt + ch.minIntervalMs - now;
+      if (wait > 0) await new Promise(r => setTimeout(r, wait));
+      await this._deliver(ch, item);
+    }
+  }
+
+  async _deliver(ch, item) {
+    ch.lastSentAt = Date.now();
+    let res;
+    try {
+      res = await this.fetch(ch.url, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify(item.body),
+        signal:  AbortSignal.timeout(SEND_TIMEOUT_MS),
+      });
+    } catch (err) {
+      return this._retry(item, `network: ${err.message}`);
+    }
+    if (res.ok) return this._remove(item);
+
+    const text = await res.text().catch(() => '');
+    if (res.status === 429) {
+      ch.blockedUntil = Date.now() + this._retryAfterMs(res, text);
+      console.warn(`⏳ ${ch.name} rate limited — pausing ${Math.ceil((ch.blockedUntil - Date.now()) / 1000)}s`);
+      return;
+    }
+    if (res.status >= 500) return this._retry(item, `HTTP ${res.status}`);
+    this._drop(item, `HTTP ${res.status} ${text.slice(0, 200)}`);
+  }
+
+  // Retry-After header (s), Discord { retry_after } or Telegram { parameters: { retry_after } }
+  _retryAfterMs(res, text) {
+    const header = parseFloat(res.headers?.get?.('retry-after'));
+    if (Number.isFinite(header)) return header * 1000;
+    try {
+      const body = JSON.parse(text);
+      const secs = body.retry_after ?? body.parameters?.retry_after;
+      if (Number.isFinite(+secs)) return +secs * 1000;
+    } catch {}
+    return 5000;
+  }
+
+  _retry(item, reason) {
+    item.attempts++;
+    if (item.attempts >= this.maxAttempts) return this._drop(item, `${reason} after ${item.attempts} attempts`);
+    item.nextAt = Date.now() + Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (item.attempts - 1));
+    console.warn(`⚠️ ${item.channel} ${item.type} alert failed (${reason}) — retry ${item.attempts}/${this.maxAttempts - 1} in ${Math.round((item.nextAt - Date.now()) / 1000)}s`);
+    this._save();
+  }
+
+  _drop(item, reason) {
+    console.error(`❌ ${item.channel} ${item.type} alert dropped: ${reason}`);
+    this._remove(item);
+  }
+
+  _remove(item) {
+    this.queue = this.queue.filter(q => q !== item);
+    this._save();
+  }
+
+  // ── Wake up for the next due item (retry / rate-limit pause) ──
+  _scheduleNext() {
+    if (!this.queue.length) return;
+    const dueAt = Math.min(...this.queue.map(q => Math.max(q.nextAt, this.channels[q.channel]?.blockedUntil || 0)));
+    this._schedule(dueAt - Date.now());
+  }
+
+  _schedule(delayMs) {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this.drain(), Math.max(0, delayMs));
+    this._timer.unref?.();
+  }
+
+  // ── Before exit: keep delivering up to timeoutMs; true when the queue is empty ──
+  async flush(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (this.queue.length && Date.now() < deadline) {
+      await this.drain();
+      if (!this.queue.length) break;
+      const dueAt = Math.min(...this.queue.map(q => Math.max(q.nextAt, this.channels[q.channel]?.blockedUntil || 0)));
+      await new Promise(r => setTimeout(r, Math.max(50, Math.min(dueAt, deadline) - Date.now())));
+    }
+    if (this.queue.length) console.warn(`📨 ${this.queue.length} alert(s) still queued in ${this.queueFile} — sent on the next run`);
+    return this.queue.length === 0;
+  }
+
+  _load() {
+    try {
+      const items = JSON.parse(fs.readFileSync(this.queueFile, 'utf8'));
+      return Array.isArray(items) ? items : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`⚠️ Notify queue unreadable, starting empty: ${err.message}`);
+      return [];
+    }
+  }
+
+  // Atomic rewrite (tmp → rename), same as StateStore
+  _save() {
+    const tmp = path.join(path.dirname(this.queueFile), `.${path.basename(this.queueFile)}.${process.pid}.tmp`);
+    try {
+      fs.mkdirSync(path.dirname(this.queueFile), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify(this.queue));
+      fs.renameSync(tmp, this.queueFile);
+    } catch (err) {
+      console.error(`❌ Notify queue write failed:`, err.message);
+    }
+  }
+}
@@ -0,0 +1,202 @@
+import { summarizeTrades } from './ScalpBacktester.js';
+
+// ═══════════════════════════════════════════════════════════════
+// PerformanceAnalytics.js — what a closed-trade list says beyond W/L
+// analyzeTrades(trades) takes engine trades (backtest `trades`,
+// TradeJournal.readDay / readRange) or journal rows (toRow, export
+// JSON) and returns:
+//   summary       trades, W/L/BE/E, win rate, expectancy, profit factor
+//                 from R (expired −0.15R closes included), avg win / loss
+//   equity        curve in R after every close, and in account currency
+//                 when trades carry it (MT5 pnl, else rPnL × riskMoney)
+//   drawdown      max peak-to-trough in R / currency (+ % of balance)
+//   streaks       longest losing / winning run (rPnL < 0 / > 0)
+//   sessions      R per session (UTC day) → Sharpe and Sortino of the
+//                 session returns (not annualized: one session per day)
+//   breakdowns    byTime (open time, bucketMin buckets), byWeekday,
+//                 bySymbol, byStrategy, byConfidence (10-point buckets)
+// Trades still open (no result) are skipped; order is by close time.
+// ═══════════════════════════════════════════════════════════════
+
+export const ANALYTICS_DEFAULTS = {
+  BUCKET_MIN:      15,   // open-time buckets for byTime
+  CONFIDENCE_STEP: 10,   // confidence buckets: 70-79, 80-89, ...
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toMs  = value => typeof value === 'number' ? value : value ? Date.parse(value) : NaN;
+const round = (value, dp) => +value.toFixed(dp);
+const pad2  = n => String(n).padStart(2, '0');
+
+// ── Engine trade or journal row → the fields analytics needs (null = still open / unusable) ──
+export function normalizeTrade(t) {
+  const rPnL = typeof t.rPnL === 'string' ? parseFloat(t.rPnL) : t.rPnL;
+  if (!t.result || !Number.isFinite(rPnL)) return null;
+  const openTime  = toMs(t.openTime);
+  const closeTime = toMs(t.closeTime);
+  const pnl       = t.pnl != null && t.pnl !== '' ? +t.pnl : null;
+  const riskMoney = t.riskMoney != null && t.riskMoney !== '' ? +t.riskMoney : null;
+  return {
+    id:         t.id,
+    symbol:     t.symbol,
+    strategy:   t.strategy ?? null,
+    result:     t.result,
+    rPnL,
+    openTime,
+    closeTime:  Number.isFinite(closeTime) ? closeTime : openTime,
+    money:      Number.isFinite(pnl) ? pnl : Number.isFinite(riskMoney) ? rPnL * riskMoney : null,
+    confidence: t.confidence != null && t.confidence !== '' ? +t.confidence : null,
+  };
+}
+
+// ── Max peak-to-trough fall of a running total (starting at `start`) ──
+function maxDrawdown(values, start = 0) {
+  let peak = start, worst = 0, worstPeak = start;
+  for (const v of values) {
+    if (v > peak) peak = v;
+    if (peak - v > worst) { worst = peak - v; worstPeak = peak; }
+  }
+  return { amount: worst, peak: worstPeak };
+}
+
+function streaks(trades) {
+  let losing = 0, winning = 0, runL = 0, runW = 0;
+  for (const t of trades) {
+    runL = t.rPnL < 0 ? runL + 1 : 0;
+    runW = t.rPnL > 0 ? runW + 1 : 0;
+    losing  = Math.max(losing, runL);
+    winning = Math.max(winning, runW);
+  }
+  return { longestLosing: losing, longestWinning: winning };
+}
+
+// ── Sharpe / Sortino of per-session R (sample std; downside deviation vs 0) ──
+function sessionRatios(returns) {
+  const n = returns.length;
+  if (n < 2) return { sharpe: null, sortino: null };
+  const mean     = returns.reduce((sum, r) => sum + r, 0) / n;
+  const std      = Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (n - 1));
+  const downside = Math.sqrt(returns.reduce((sum, r) => sum + Math.min(0, r) ** 2, 0) / n);
+  return {
+    sharpe:  std > 0 ? round(mean / std, 2) : null,
+    sortino: downside > 0 ? round(mean / downside, 2) : null,
+  };
+}
+
+// ── trades → { key: summary } in key order (numeric-aware: 70-79 before 100-109) ──
+function breakdown(trades, keyOf) {
+  const groups = {};
+  for (const t of trades) {
+    const key = keyOf(t);
+    if (key !== null && key !== undefined) (groups[key] ||= []).push(t);
+  }
+  const keys = Object.keys(groups).sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+  return Object.fromEntries(keys.map(key => [key, summarize(groups[key])]));
+}
+
+function summarize(trades) {
+  const s      = summarizeTrades(trades);
+  const wins   = trades.filter(t => t.rPnL > 0);
+  const losses = trades.filter(t => t.rPnL < 0);
+  return {
+    ...s,
+    avgWinR:  wins.length   ? round(wins.reduce((sum, t) => sum + t.rPnL, 0) / wins.length, 3) : 0,
+    avgLossR: losses.length ? round(losses.reduce((sum, t) => sum + t.rPnL, 0) / losses.length, 3) : 0,
+  };
+}
+
+// options.balance:        starting balance for the currency curve / drawdown %
+// options.bucketMin:      byTime bucket width in minutes
+// options.confidenceStep: byConfidence bucket width
+export function analyzeTrades(trades, options = {}) {
+  const bucketMin = options.bucketMin || ANALYTICS_DEFAULTS.BUCKET_MIN;
+  const confStep  = options.confidenceStep || ANALYTICS_DEFAULTS.CONFIDENCE_STEP;
+  const balance   = options.balance ?? null;
+  const closed    = trades.map(normalizeTrade).filter(Boolean).sort((a, b) => a.closeTime - b.closeTime);
+
+  // Equity curves: R always, currency only when every trade has a money figure
+  let cumR = 0, cumMoney = 0;
+  const hasMoney = closed.length > 0 && closed.every(t => t.money !== null);
+  const equity = closed.map(t => {
+    cumR += t.rPnL;
+    if (hasMoney) cumMoney += t.money;
+    return {
+      ts: t.closeTime, id: t.id, r: round(cumR, 3),
+      ...(hasMoney && { pnl: round(cumMoney, 2), ...(balance !== null && { balance: round(balance + cumMoney, 2) }) }),
+    };
+  });
+
+  const ddR = maxDrawdown(equity.map(p => p.r));
+  let money = null;
+  if (hasMoney) {
+    const ddMoney = maxDrawdown(equity.map(p => p.pnl));
+    money = {
+      total:       round(cumMoney, 2),
+      maxDrawdown: round(ddMoney.amount, 2),
+      ...(balance !== null && {
+        returnPct:      round(cumMoney / balance * 100, 2),
+        maxDrawdownPct: round(ddMoney.amount / (balance + ddMoney.peak) * 100, 2),
+      }),
+    };
+  }
+
+  // Sessions: one per UTC day of the open time
+  const byDay = {};
+  for (const t of closed) {
+    const day = new Date(t.openTime).toISOString().slice(0, 10);
+    const s = byDay[day] ||= { day, trades: 0, totalR: 0 };
+    s.trades++;
+    s.totalR += t.rPnL;
+  }
+  const sessions = Object.values(byDay).sort((a, b) => a.day.localeCompare(b.day)).map(s => ({ ...s, totalR: round(s.totalR, 3) }));
+
+  const timeKey = t => {
+    const d   = new Date(t.openTime);
+    const min = Math.floor((d.getUTCHours() * 60 + d.getUTCMinutes()) / bucketMin) * bucketMin;
+    return `${pad2(Math.floor(min / 60))}:${pad2(min % 60)}`;
+  };
+  const confKey = t => {
+    if (t.confidence === null || !Number.isFinite(t.confidence)) return null;
+    const lo = Math.floor(t.confidence / confStep) * confStep;
+    return `${lo}-${lo + confStep - 1}`;
+  };
+
+  return {
+    summary:  summarize(closed),
+    equity,
+    drawdown: { maxR: round(ddR.amount, 3), money },
+    streaks:  streaks(closed),
+    sessions: { count: sessions.length, ...sessionRatios(sessions.map(s => s.totalR)), days: sessions },
+    breakdowns: {
+      byTime:       breakdown(closed, timeKey),
+      byWeekday:    breakdown(closed, t => { const d = new Date(t.openTime).getUTCDay(); return `${d}-${WEEKDAYS[d]}`; }),
+      bySymbol:     breakdown(closed, t => t.symbol),
+      byStrategy:   breakdown(closed, t => t.strategy),
+      byConfidence: breakdown(closed, confKey),
+    },
+  };
+}
+
+// ── Report → console text ──
+export function formatAnalytics(report) {
+  const s = report.summary;
+  const m = report.drawdown.money;
+  const lines = [
+    `   Trades: ${s.trades} | ${s.wins}W ${s.losses}L ${s.breakeven}BE ${s.expired}E | WR: ${s.winRate}%`,
+    `   Total: ${s.totalR}R | Expectancy: ${s.expectancy}R | PF: ${s.profitFactor} | Avg win ${s.avgWinR}R / loss ${s.avgLossR}R`,
+    `   Max drawdown: ${report.drawdown.maxR}R${m ? ` | ${m.maxDrawdown}${m.maxDrawdownPct !== undefined ? ` (${m.maxDrawdownPct}%)` : ''}` : ''}`
+      + ` | Longest losing streak: ${report.streaks.longestLosing}`,
+    `   Sessions: ${report.sessions.count} | Sharpe ${report.sessions.sharpe ?? '–'} | Sortino ${report.sessions.sortino ?? '–'} (per session R)`,
+  ];
+  if (m) lines.push(`   P&L: ${m.total}${m.returnPct !== undefined ? ` (${m.returnPct}%)` : ''}`);
+  for (const [name, groups] of Object.entries(report.breakdowns)) {
+    const rows = Object.entries(groups);
+    if (!rows.length) continue;
+    lines.push(`   ${name}:`);
+    for (const [key, g] of rows) {
+      lines.push(`     ${String(key).padEnd(10)} ${String(g.trades).padStart(4)} trades | WR ${String(g.winRate).padStart(5)}% | ${String(g.totalR).padStart(7)}R | exp ${g.expectancy}R | PF ${g.profitFactor}`);
+    }
+  }
+  return lines.join('\n');
+}
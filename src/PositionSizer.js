@@ -0,0 +1,122 @@
+import fs from 'fs';
+
+// ═══════════════════════════════════════════════════════════════
+// PositionSizer.js — lot size from account risk and contract specs
+// lots = (basis × riskPercent%) / (SL distance / tickSize × tickValue)
+// rounded DOWN to the volume step, clamped to [minLot, maxLot].
+// tickValue is in account currency per lot: given directly, or
+// derived from contractSize when the quote currency is the account
+// currency (XAU/USD) or the base is (USD/JPY: ÷ price).
+// Broker specs differ — override with CONTRACT_SPECS_FILE (JSON
+// { symbol: { ...spec } }) using the values MT5 shows in Specification.
+// ═══════════════════════════════════════════════════════════════
+
+export const CONTRACT_SPECS = {
+  'XAU/USD': { contractSize: 100,    tickSize: 0.01,    volumeStep: 0.01, minLot: 0.01, maxLot: 50 },
+  'XAG/USD': { contractSize: 5000,   tickSize: 0.001,   volumeStep: 0.01, minLot: 0.01, maxLot: 50 },
+  'EUR/USD': { contractSize: 100000, tickSize: 0.00001, volumeStep: 0.01, minLot: 0.01, maxLot: 100 },
+  'GBP/USD': { contractSize: 100000, tickSize: 0.00001, volumeStep: 0.01, minLot: 0.01, maxLot: 100 },
+  'AUD/USD': { contractSize: 100000, tickSize: 0.00001, volumeStep: 0.01, minLot: 0.01, maxLot: 100 },
+  'USD/JPY': { contractSize: 100000, tickSize: 0.001,   volumeStep: 0.01, minLot: 0.01, maxLot: 100 },
+  'USD/CHF': { contractSize: 100000, tickSize: 0.00001, volumeStep: 0.01, minLot: 0.01, maxLot: 100 },
+};
+
+// Refuse a trade when even minLot risks more than this × the target
+const MAX_MIN_LOT_OVERSHOOT = 1.5;
+
+function loadSpecFile(file) {
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`⚠️ Contract specs file unreadable (${file}): ${err.message}`);
+    return {};
+  }
+}
+
+// ── Round down to the volume step without float noise (0.07 / 0.01) ──
+function floorToStep(value, step) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  return +(Math.floor(value / step + 1e-9) * step).toFixed(decimals);
+}
+
+export class PositionSizer {
+  // options.balance / options.equity: account figures (ACCOUNT_BALANCE; MT5 results update them)
+  // options.riskPercent: % of the sizing basis risked per trade (MT5_RISK_PERCENT)
+  // options.basis:       'balance' | 'equity' (SIZING_BASIS)
+  // options.specs:       { symbol: partial spec } merged over CONTRACT_SPECS
+  constructor(options = {}) {
+    this.balance         = options.balance     || parseFloat(process.env.ACCOUNT_BALANCE) || 10000;
+    this.equity          = options.equity      || null;
+    this.riskPercent     = options.riskPercent || parseFloat(process.env.MT5_RISK_PERCENT) || 1.0;
+    this.basis           = options.basis       || process.env.SIZING_BASIS || 'balance';
+    this.accountCurrency = options.accountCurrency || process.env.ACCOUNT_CURRENCY || 'USD';
+    const fileSpecs = loadSpecFile(options.specsFile ?? process.env.CONTRACT_SPECS_FILE);
+    this.specs = { ...CONTRACT_SPECS };
+    for (const [symbol, spec] of Object.entries({ ...fileSpecs, ...(options.specs || {}) })) {
+      this.specs[symbol] = { ...(this.specs[symbol] || {}), ...spec };
+    }
+  }
+
+  // ── Live account figures (MT5 reports them with every result) ──
+  setAccount({ balance, equity } = {}) {
+    if (balance > 0) this.balance = balance;
+    if (equity  > 0) this.equity  = equity;
+  }
+
+  get sizingBase() {
+    return this.basis === 'equity' && this.equity ? this.equity : this.balance;
+  }
+
+  // ── Account-currency value of one tick for one lot (null = unknown) ──
+  tickValue(symbol, price) {
+    const spec = this.specs[symbol];
+    if (!spec) return null;
+    if (spec.tickValue) return spec.tickValue;
+    const [base, quote] = symbol.split('/');
+    if (quote === this.accountCurrency) return spec.tickSize * spec.contractSize;
+    if (base === this.accountCurrency && price > 0) return spec.tickSize * spec.contractSize / price;
+    return null; // cross pair: give tickValue in the spec
+  }
+
+  // ── Size one trade: { symbol, entryPrice, sl } ──
+  // Returns { lots, riskMoney, riskPerLot, actualRisk, actualRiskPct, note, eaSized }
+  // lots = 0 (with note) when the trade cannot be sized safely; eaSized: true
+  // when Node lacks the spec / tick value — the EA sizes it from riskPercent
+  // with the broker's own tick value.
+  size({ symbol, entryPrice, sl }) {
+    const spec      = this.specs[symbol];
+    const riskMoney = +(this.sizingBase * this.riskPercent / 100).toFixed(2);
+    const empty     = note => ({ lots: 0, riskMoney, riskPerLot: null, actualRisk: 0, actualRiskPct: 0, note });
+
+    if (!spec) return { ...empty(`no contract spec for ${symbol} — EA sizes`), eaSized: true };
+    const tickValue = this.tickValue(symbol, entryPrice);
+    if (!tickValue) return { ...empty(`no tick value for ${symbol} in ${this.accountCurrency} — EA sizes`), eaSized: true };
+    const distance = Math.abs(entryPrice - sl);
+    if (!(distance > 0)) return empty('SL distance is zero');
+
+    const riskPerLot = distance / spec.tickSize * tickValue;
+    let lots = floorToStep(riskMoney / riskPerLot, spec.volumeStep);
+    let note = null;
+    if (lots < spec.minLot) {
+      if (spec.minLot * riskPerLot > riskMoney * MAX_MIN_LOT_OVERSHOOT) {
+        return { ...empty(`min lot ${spec.minLot} risks ${(spec.minLot * riskPerLot).toFixed(2)} > ${MAX_MIN_LOT_OVERSHOOT}× target`), riskPerLot };
+      }
+      lots = spec.minLot;
+      note = 'raised to min lot';
+    } else if (lots > spec.maxLot) {
+      lots = spec.maxLot;
+      note = 'capped at max lot';
+    }
+
+    const actualRisk = +(lots * riskPerLot).toFixed(2);
+    return {
+      lots,
+      riskMoney,
+      riskPerLot:    +riskPerLot.toFixed(4),
+      actualRisk,
+      actualRiskPct: +(actualRisk / this.sizingBase * 100).toFixed(3),
+      note,
+    };
+  }
+}
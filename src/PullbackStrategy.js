@@ -0,0 +1,343 @@
+import fs from 'fs';
+import { Strategy } from './Strategy.js';
+
+// ═══════════════════════════════════════════════════════════════
+// PullbackStrategy.js — EMA21 PULLBACK (the original ScalpEngine setup)
+// Trend filters: 1h macro blocks counter-trend, 5m EMA 9/21/50 stack
+// + ADX picks the side. Entry: a clean tap of the 1m EMA21 that is
+// now rejecting (EMA8 side, momentum, RSI, EMA slopes, stoch, MACD),
+// scored for confidence. SL = ATR_MUL × ATR, TP = RR × risk.
+// Exits are the fixed SL / TP / MAX_HOLD from Strategy.resolve.
+// Confidence = base + the weights of the scoring components that hold
+// (capped); the components ride on the signal / trade as `scoring`
+// so scalp_calibrate.js can fit weights from outcomes. A fitted file
+// (SCALP_CONF_WEIGHTS_FILE) replaces the hand-picked defaults below.
+// ═══════════════════════════════════════════════════════════════
+
+// SELL wording; BUY mirrors each condition
+export const CONFIDENCE_WEIGHTS = {
+  base:            50,
+  tapPerfect:      20,   // pullback extreme < 0.15 ATR from EMA21
+  tapClean:        12,   //   else < 0.3 ATR
+  tapNear:          5,   //   else < 0.4 ATR
+  rsiStrong:       12,   // RSI > 60 and falling
+  rsiSide:          6,   //   else RSI > 50
+  stochFreshCross: 12,   // K crossed below D on this bar
+  stochCrossed:     5,   //   else K below D
+  stochZone:        5,   // K > 65 and below D (overbought rejection)
+  macdSide:         8,   // histogram < 0
+  macdAccel:        6,   // histogram < 0 and falling
+  ema21Slope:       5,   // EMA21 sloping down
+  ema8Slope:        4,   // EMA8 sloping down
+  cap:             95,
+};
+
+// ── { weights } or a flat weights object from a JSON file; {} when unset / unreadable ──
+function loadWeightsFile(file) {
+  if (!file) return {};
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const weights = data.weights || data;
+    const unknown = Object.keys(weights).filter(k => !(k in CONFIDENCE_WEIGHTS));
+    if (unknown.length) console.warn(`⚠️ Confidence weights ${file}: unknown component(s) ${unknown.join(', ')} ignored`);
+    console.log(`⚖️ Confidence weights from ${file}`);
+    return Object.fromEntries(Object.entries(weights).filter(([k, v]) => k in CONFIDENCE_WEIGHTS && Number.isFinite(v)));
+  } catch (err) {
+    console.error(`⚠️ Confidence weights file unreadable (${file}): ${err.message}`);
+    return {};
+  }
+}
+
+export class PullbackStrategy extends Strategy {
+  // options: see Strategy — defaults name 'pullback', tag 'pb', magic 88888 (EA MagicNumber)
+  // options.weightsFile: fitted confidence weights (SCALP_CONF_WEIGHTS_FILE)
+  // options.weights:     { component: points } over CONFIDENCE_WEIGHTS
+  constructor(options = {}) {
+    super({ name: 'pullback', tag: 'pb', magic: 88888, ...options });
+    this.weights = {
+      ...CONFIDENCE_WEIGHTS,
+      ...loadWeightsFile(options.weightsFile ?? process.env.SCALP_CONF_WEIGHTS_FILE),
+      ...(options.weights || {}),
+    };
+  }
+
+  // ── 1m streams, periods from the config (ema8 / ema21 keep their names: EMA_FAST / EMA_SLOW default to 8 / 21) ──
+  indicators(cfg) {
+    return {
+      '1min': {
+        ema8:  ['ema',   cfg.EMA_FAST],
+        ema21: ['ema',   cfg.EMA_SLOW],
+        rsi:   ['rsi',   cfg.RSI_PERIOD],
+        atr:   ['atr',   cfg.ATR_PERIOD],
+        stoch: ['stoch', cfg.STOCH_PERIOD, cfg.STOCH_SIGNAL],
+        macd:  ['macd',  cfg.MACD_FAST, cfg.MACD_SLOW, cfg.MACD_SIGNAL],
+      },
+    };
+  }
+
+  evaluate({ engine, symbol, cfg, trace }) {
+    // 1h MACRO FILTER: block SELL if macro is BULLISH, BUY if BEARISH
+    const direction = engine.getDirection(symbol, cfg);
+    const macro     = engine.get1hMacro(symbol, cfg);
+    const allowSell = (direction === 'SELL' || direction === 'BOTH') && macro !== 'BULLISH';
+    const allowBuy  = (direction === 'BUY'  || direction === 'BOTH') && macro !== 'BEARISH';
+    if (!trace.check('macro_1h', allowSell || allowBuy, { macro, direction })) {
+      const blocked = direction === 'BOTH' ? 'SELL/BUY' : direction;
+      return { action: 'HOLD', reason: `1h macro ${macro} — ${blocked} blocked (trading with trend only)` };
+    }
+
+    // 5min trend
+    const { trend, adx: adx5m } = engine.get5mTrendDetail(symbol, cfg);
+    const wantSell = allowSell && trend === 'BEARISH';
+    const wantBuy  = allowBuy  && trend === 'BULLISH';
+    const need = allowSell && allowBuy ? 'BEARISH or BULLISH' : allowSell ? 'BEARISH' : 'BULLISH';
+    if (!trace.check('trend_5m', wantSell || wantBuy, { trend, adx: adx5m, need })) {
+      return { action: 'HOLD', reason: `5min trend: ${trend} (need ${need})` };
+    }
+
+    // 1min setup (each gate lands in the trace)
+    const candles = engine.candles1m[symbol];
+    const ind     = engine.indicatorSet(symbol, '1min', this.indicators(cfg)['1min']);
+    const sig = wantSell ? this.getSellSignal(candles, ind, cfg, trace) : this.getBuySignal(candles, ind, cfg, trace);
+    if (!sig) {
+      return { action: 'HOLD', reason: `No valid pullback setup on 1min — ${trace.describeFailure()}` };
+    }
+
+    return {
+      action: sig.action,
+      signal: sig,
+      // Indicator values at entry (trade journal)
+      snapshot: {
+        macro1h:     macro,
+        trend5m:     trend,
+        adx5m,
+        rsi:         sig.rsi,
+        stochK:      sig.stochK,
+        stochD:      sig.stochD,
+        macd:        sig.macd,
+        macdSignal:  sig.macdSignal,
+        macdHist:    sig.macdHist,
+        atr:         sig.atr,
+        ema8:        sig.ema8,
+        ema21:       sig.ema21,
+        distToEMA:   sig.distToEMA,
+        pullbackAtr: sig.pullbackAtr,
+      },
+    };
+  }
+
+  // ── 1MIN INDICATORS shared by the SELL and BUY setups (ind: the streamed 1m IndicatorSet) ──
+  _calc1mIndicators(c1, ind, cfg) {
+    if (!c1 || ind.bars < Math.max(30, cfg.EMA_SLOW + 2, cfg.MACD_SLOW + cfg.MACD_SIGNAL + 2)) return null;
+
+    const { last, prev } = ind;
+    if (last.ema21 === undefined || last.rsi === undefined || last.atr === undefined) return null;
+
+    const cur    = c1[c1.length - 1];
+    const before = c1[c1.length - 2];
+    return {
+      lookback:  c1.slice(-8, -1),
+      price:     cur.close || cur.c,
+      prevPrice: before.close || before.c,
+      e8:        last.ema8,
+      e8Prev:    prev.ema8,
+      e21:       last.ema21,
+      e21Prev:   prev.ema21,
+      rsiVal:    last.rsi,
+      rsiPrev:   prev.rsi,
+      atrVal:    last.atr,
+      stochCur:  last.stoch,
+      stochPrev: prev.stoch,
+      macdCur:   last.macd,
+      macdPrev:  prev.macd,
+    };
+  }
+
+  // ── 1MIN SELL SIGNAL: pullback to EMA21 rejection ──
+  // ind: streamed 1m IndicatorSet | trace: DecisionTrace — every gate below is recorded with its values
+  getSellSignal(candles, ind, cfg, trace) {
+    trace.side = 'SELL';
+    try {
+      const values = this._calc1mIndicators(candles, ind, cfg);
+      if (!trace.check('data', values, { bars: ind.bars })) return null;
+      const { lookback, price, prevPrice, e8, e8Prev, e21, e21Prev, rsiVal, rsiPrev,
+              atrVal, stochCur, stochPrev, macdCur, macdPrev } = values;
+
+      if (!this.checkAtr(trace, cfg, atrVal, price)) return null;
+
+      // ── PULLBACK CHECK: price touched EMA21, now rejecting ──
+      const pullbackHigh = Math.max(...lookback.map(c => c.high || c.h));
+      const distToEMA    = Math.abs(pullbackHigh - e21);
+
+      // too far from EMA21 / overshot EMA21
+      if (!trace.check('ema21_distance', distToEMA <= atrVal * cfg.MAX_PB_ATR, { distToEMA, limit: atrVal * cfg.MAX_PB_ATR })) return null;
+      if (!trace.check('ema21_overshoot', pullbackHigh <= e21 + atrVal * 1.0, { pullbackHigh, limit: e21 + atrVal })) return null;
+      if (!trace.check('ema8_side', price < e8, { price, ema8: e8 })) return null;                 // not below EMA8 yet
+      if (!trace.check('price_momentum', price < prevPrice, { price, prevPrice })) return null;    // not moving down
+      if (!trace.check('rsi_extreme', rsiVal >= 35, { rsi: rsiVal, floor: 35 })) return null;     // no sell into oversold
+      if (!trace.check('rsi_direction', rsiVal < rsiPrev, { rsi: rsiVal, rsiPrev })) return null; // RSI must be falling
+      if (!trace.check('ema21_slope', e21 < e21Prev, { ema21: e21, ema21Prev: e21Prev })) return null; // EMA21 must slope down
+      if (!trace.check('ema8_slope', e8 < e8Prev, { ema8: e8, ema8Prev: e8Prev })) return null;       // EMA8 must slope down
+
+      if (!trace.check('stoch_level', stochCur && stochPrev && stochCur.k >= 25, { k: stochCur?.k, floor: 25 })) return null;
+      if (!trace.check('stoch_cross', stochCur.k < stochCur.d || stochPrev.k < stochPrev.d,
+        { k: stochCur.k, d: stochCur.d, kPrev: stochPrev.k, dPrev: stochPrev.d })) return null;
+
+      const hist = macdCur?.histogram, histPrev = macdPrev?.histogram;
+      if (!trace.check('macd_histogram', macdCur && !(hist > 0 && (!macdPrev || hist >= histPrev)), { hist, histPrev })) return null;
+
+      // ── CONFIDENCE SCORING ──
+      const { conf, components } = this._score('SELL', values, distToEMA);
+      if (!trace.check('confidence', conf >= cfg.MIN_CONF, { confidence: conf, min: cfg.MIN_CONF })) return null;
+
+      // ── CALCULATE SL/TP ──
+      const sl   = price + atrVal * cfg.ATR_MUL;
+      const risk = Math.abs(price - sl);
+      if (!trace.check('risk_size', risk > 0 && risk <= atrVal * 3, { risk, limit: atrVal * 3 })) return null;
+      const tp = price - risk * cfg.RR;
+
+      return {
+        action:       'SELL',
+        confidence:   conf,
+        scoring:      components,
+        price,
+        sl,
+        tp,
+        risk,
+        atr:          atrVal,
+        pullbackHigh,
+        distToEMA,
+        pullbackAtr:  distToEMA / atrVal,
+        ema8:         e8,
+        ema21:        e21,
+        rsi:          rsiVal,
+        stochK:       stochCur.k,
+        stochD:       stochCur.d,
+        macd:         macdCur.MACD,
+        macdSignal:   macdCur.signal,
+        macdHist:     macdCur.histogram,
+        reasons:      this._buildReasons('SELL', distToEMA, atrVal, rsiVal, stochCur, stochPrev, macdCur, macdPrev),
+      };
+    } catch (err) {
+      trace.check('error', false, { message: err.message });
+      return null;
+    }
+  }
+
+  // ── 1MIN BUY SIGNAL: pullback to EMA21 support (mirror of getSellSignal) ──
+  getBuySignal(candles, ind, cfg, trace) {
+    trace.side = 'BUY';
+    try {
+      const values = this._calc1mIndicators(candles, ind, cfg);
+      if (!trace.check('data', values, { bars: ind.bars })) return null;
+      const { lookback, price, prevPrice, e8, e8Prev, e21, e21Prev, rsiVal, rsiPrev,
+              atrVal, stochCur, stochPrev, macdCur, macdPrev } = values;
+
+      if (!this.checkAtr(trace, cfg, atrVal, price)) return null;
+
+      // ── PULLBACK CHECK: price dipped to EMA21, now bouncing ──
+      const pullbackLow = Math.min(...lookback.map(c => c.low || c.l));
+      const distToEMA   = Math.abs(pullbackLow - e21);
+
+      // too far from EMA21 / undercut EMA21
+      if (!trace.check('ema21_distance', distToEMA <= atrVal * cfg.MAX_PB_ATR, { distToEMA, limit: atrVal * cfg.MAX_PB_ATR })) return null;
+      if (!trace.check('ema21_overshoot', pullbackLow >= e21 - atrVal * 1.0, { pullbackLow, limit: e21 - atrVal })) return null;
+      if (!trace.check('ema8_side', price > e8, { price, ema8: e8 })) return null;                 // not above EMA8 yet
+      if (!trace.check('price_momentum', price > prevPrice, { price, prevPrice })) return null;    // not moving up
+      if (!trace.check('rsi_extreme', rsiVal <= 65, { rsi: rsiVal, ceiling: 65 })) return null;   // no buy into overbought
+      if (!trace.check('rsi_direction', rsiVal > rsiPrev, { rsi: rsiVal, rsiPrev })) return null; // RSI must be rising
+      if (!trace.check('ema21_slope', e21 > e21Prev, { ema21: e21, ema21Prev: e21Prev })) return null; // EMA21 must slope up
+      if (!trace.check('ema8_slope', e8 > e8Prev, { ema8: e8, ema8Prev: e8Prev })) return null;       // EMA8 must slope up
+
+      if (!trace.check('stoch_level', stochCur && stochPrev && stochCur.k <= 75, { k: stochCur?.k, ceiling: 75 })) return null;
+      if (!trace.check('stoch_cross', stochCur.k > stochCur.d || stochPrev.k > stochPrev.d,
+        { k: stochCur.k, d: stochCur.d, kPrev: stochPrev.k, dPrev: stochPrev.d })) return null;
+
+      const hist = macdCur?.histogram, histPrev = macdPrev?.histogram;
+      if (!trace.check('macd_histogram', macdCur && !(hist < 0 && (!macdPrev || hist <= histPrev)), { hist, histPrev })) return null;
+
+      // ── CONFIDENCE SCORING ──
+      const { conf, components } = this._score('BUY', values, distToEMA);
+      if (!trace.check('confidence', conf >= cfg.MIN_CONF, { confidence: conf, min: cfg.MIN_CONF })) return null;
+
+      // ── CALCULATE SL/TP ──
+      const sl   = price - atrVal * cfg.ATR_MUL;
+      const risk = Math.abs(price - sl);
+      if (!trace.check('risk_size', risk > 0 && risk <= atrVal * 3, { risk, limit: atrVal * 3 })) return null;
+      const tp = price + risk * cfg.RR;
+
+      return {
+        action:       'BUY',
+        confidence:   conf,
+        scoring:      components,
+        price,
+        sl,
+        tp,
+        risk,
+        atr:          atrVal,
+        pullbackLow,
+        distToEMA,
+        pullbackAtr:  distToEMA / atrVal,
+        ema8:         e8,
+        ema21:        e21,
+        rsi:          rsiVal,
+        stochK:       stochCur.k,
+        stochD:       stochCur.d,
+        macd:         macdCur.MACD,
+        macdSignal:   macdCur.signal,
+        macdHist:     macdCur.histogram,
+        reasons:      this._buildReasons('BUY', distToEMA, atrVal, rsiVal, stochCur, stochPrev, macdCur, macdPrev),
+      };
+    } catch (err) {
+      trace.check('error', false, { message: err.message });
+      return null;
+    }
+  }
+
+  // ── CONFIDENCE: components that hold (CONFIDENCE_WEIGHTS order) → base + their weights, capped ──
+  _score(action, v, distToEMA) {
+    const { atrVal, rsiVal, rsiPrev, stochCur, stochPrev, macdCur, macdPrev, e8, e8Prev, e21, e21Prev } = v;
+    const sell  = action === 'SELL';
+    const along = (a, b) => sell ? a < b : a > b;   // moving the trade's way
+    const hist  = macdCur.histogram;
+    const rsiStrong = (sell ? rsiVal > 60 : rsiVal < 40) && along(rsiVal, rsiPrev);
+    const held  = {
+      // Pullback quality (closer to EMA21 = better)
+      tapPerfect:      distToEMA < atrVal * 0.15,
+      tapClean:        distToEMA >= atrVal * 0.15 && distToEMA < atrVal * 0.3,
+      tapNear:         distToEMA >= atrVal * 0.3  && distToEMA < atrVal * 0.4,
+      // RSI
+      rsiStrong,
+      rsiSide:         !rsiStrong && (sell ? rsiVal > 50 : rsiVal < 50),
+      // Stoch cross / overbought (oversold) zone rejection
+      stochFreshCross: along(stochCur.k, stochCur.d) && !along(stochPrev.k, stochPrev.d),
+      stochCrossed:    along(stochCur.k, stochCur.d) && along(stochPrev.k, stochPrev.d),
+      stochZone:       (sell ? stochCur.k > 65 : stochCur.k < 35) && along(stochCur.k, stochCur.d),
+      // MACD
+      macdSide:        along(hist, 0),
+      macdAccel:       along(hist, 0) && !!macdPrev && along(hist, macdPrev.histogram),
+      // EMA momentum
+      ema21Slope:      along(e21, e21Prev),
+      ema8Slope:       along(e8, e8Prev),
+    };
+    const components = Object.keys(held).filter(name => held[name]);
+    const score = components.reduce((sum, name) => sum + this.weights[name], this.weights.base);
+    return { conf: Math.min(this.weights.cap, Math.round(score)), components };
+  }
+
+  _buildReasons(action, dist, atr, rsi, stoch, stochPrev, macd, macdPrev) {
+    const r = [];
+    if (dist < atr * 0.15) r.push('Perfect EMA21 tap');
+    else if (dist < atr * 0.3) r.push('Clean EMA21 pullback');
+    if (action === 'BUY') {
+      if (rsi < 40) r.push(`RSI rising from oversold (${rsi.toFixed(0)})`);
+      if (stoch.k > stoch.d && stochPrev.k <= stochPrev.d) r.push('Fresh stoch bullish cross');
+      if (macd.histogram > 0 && macdPrev && macd.histogram > macdPrev.histogram) r.push('MACD accelerating up');
+      return r;
+    }
+    if (rsi > 60) r.push(`RSI falling from overbought (${rsi.toFixed(0)})`);
+    if (stoch.k < stoch.d && stochPrev.k >= stochPrev.d) r.push('Fresh stoch bearish cross');
+    if (macd.histogram < 0 && macdPrev && macd.histogram < macdPrev.histogram) r.push('MACD accelerating down');
+    return r;
+  }
+}
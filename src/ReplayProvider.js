@@ -0,0 +1,59 @@
+import { MarketDataProvider, INTERVAL_MS } from './MarketDataProvider.js';
+import { loadCandleFile, findCandleFile, parseTimestamp } from './CandleLoader.js';
+
+// ═══════════════════════════════════════════════════════════════
+// ReplayProvider.js — serves recorded CSV/JSON candles on a replay clock
+// Files: {dir}/{SYMBOL}_{1min|5min|1h}.{csv|json}  (XAUUSD_1min.csv)
+// The clock starts at `start` and runs `speed`× real time, so the
+// unmodified agent loop trades a recorded session as if it were live.
+// Only bars that have fully closed at the replay time are returned.
+// ═══════════════════════════════════════════════════════════════
+
+export class ReplayProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({ name: 'replay' });
+    this.dir   = options.dir || process.env.REPLAY_DIR;
+    this.start = parseTimestamp(options.start ?? process.env.REPLAY_START);
+    this.speed = options.speed || parseFloat(process.env.REPLAY_SPEED) || 1;
+    this._startedAt = null;
+    this._files     = {};   // { 'XAU/USD|1min': [...candles] }
+
+    if (!this.dir) throw new Error('ReplayProvider: REPLAY_DIR is required');
+    if (!Number.isFinite(this.start)) throw new Error('ReplayProvider: REPLAY_START must be a date/time (UTC)');
+  }
+
+  async connect() {
+    this._startedAt = Date.now();
+    console.log(`⏪ Replay: ${this.dir} from ${new Date(this.start).toISOString()} at ${this.speed}× speed`);
+  }
+
+  now() {
+    if (this._startedAt === null) return this.start;
+    return this.start + (Date.now() - this._startedAt) * this.speed;
+  }
+
+  _load(symbol, interval) {
+    const key = `${symbol}|${interval}`;
+    if (!(key in this._files)) {
+      const file = findCandleFile(this.dir, symbol, interval);
+      this._files[key] = file ? loadCandleFile(file) : null;
+      if (!file) console.warn(`⚠️ Replay: no ${interval} file for ${symbol} in ${this.dir}`);
+    }
+    return this._files[key];
+  }
+
+  async fetchCandles(symbol, interval, outputsize) {
+    const candles = this._load(symbol, interval);
+    if (!candles) return null;
+    const cutoff = this.now() - INTERVAL_MS[interval];
+    // Binary search: first bar still forming at the replay time
+    let lo = 0, hi = candles.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (candles[mid].ts <= cutoff) lo = mid + 1; else hi = mid;
+    }
+    const end = lo;
+    if (!end) return null;
+    return candles.slice(Math.max(0, end - outputsize), end);
+  }
+}
@@ -0,0 +1,174 @@
+import { EventEmitter } from 'events';
+
+// ═══════════════════════════════════════════════════════════════
+// RequestScheduler.js — API credit budget + retry for data requests
+// Every request goes through run(label, fn, cost):
+//   • spaced by minIntervalMs and held until the per-minute budget
+//     (sliding 60s window) has room
+//   • refused once the per-day budget (UTC day) is spent — the count
+//     survives restarts through the StateStore ('credits')
+//   • retried with exponential backoff when fn throws a retryable
+//     RequestError (rate limit, 5xx, network); others fail at once
+// Emits 'warning' (message, status) once per day when usage passes
+// WARN_AT of the daily budget, and forecast() warns up front when a
+// watchlist needs more than the budgets allow.
+// Defaults match TwelveData's free plan: 8 credits / min, 800 / day.
+// ═══════════════════════════════════════════════════════════════
+
+export const SCHEDULER_DEFAULTS = {
+  PER_MINUTE:      8,
+  PER_DAY:         800,
+  MIN_INTERVAL_MS: 1200,
+  MAX_RETRIES:     4,
+  BACKOFF_BASE_MS: 2000,
+  BACKOFF_MAX_MS:  60000,
+  WARN_AT:         0.8,
+};
+
+const MINUTE_MS = 60000;
+const dayOf     = ts => new Date(ts).toISOString().slice(0, 10);
+const sleep     = ms => new Promise(r => setTimeout(r, ms));
+
+function numberOr(value, fallback) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// ── A failed request: retryable (rate limit / server / network) or not; retryAfterMs from the API if given ──
+export class RequestError extends Error {
+  constructor(message, { code = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name         = 'RequestError';
+    this.code         = code;
+    this.retryable    = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class RequestScheduler extends EventEmitter {
+  // options.perMinute / perDay: credit budgets (TWELVEDATA_CREDITS_PER_MIN / _PER_DAY)
+  // options.minIntervalMs:      spacing between requests
+  // options.maxRetries:         retries after the first attempt
+  // options.stateStore:         StateStore — today's usage survives a restart
+  // options.clock:              () => ms — wall clock (budgets are real time, not replay time)
+  // options.sleep:              (ms) => Promise — injectable for tests
+  constructor(options = {}) {
+    super();
+    const env = process.env;
+    this.perMinute     = options.perMinute ?? numberOr(env.TWELVEDATA_CREDITS_PER_MIN, SCHEDULER_DEFAULTS.PER_MINUTE);
+    this.perDay        = options.perDay    ?? numberOr(env.TWELVEDATA_CREDITS_PER_DAY, SCHEDULER_DEFAULTS.PER_DAY);
+    this.minIntervalMs = options.minIntervalMs ?? SCHEDULER_DEFAULTS.MIN_INTERVAL_MS;
+    this.maxRetries    = options.maxRetries    ?? SCHEDULER_DEFAULTS.MAX_RETRIES;
+    this.backoffBaseMs = options.backoffBaseMs ?? SCHEDULER_DEFAULTS.BACKOFF_BASE_MS;
+    this.backoffMaxMs  = options.backoffMaxMs  ?? SCHEDULER_DEFAULTS.BACKOFF_MAX_MS;
+    this.warnAt        = options.warnAt        ?? SCHEDULER_DEFAULTS.WARN_AT;
+    this.stateStore    = options.stateStore || null;
+    this.clock         = options.clock || (() => Date.now());
+    this.sleep         = options.sleep || sleep;
+    this._window       = [];     // [{ ts, cost }] spent in the last minute
+    this._last         = 0;      // last request start
+    this._queue        = Promise.resolve();   // requests go out one at a time
+    this.retries       = 0;      // retries since start (status)
+    const saved = this.stateStore?.get('credits');
+    this.day       = dayOf(this.clock());
+    this.usedToday = saved?.day === this.day ? saved.used   : 0;
+    this.warnedDay = saved?.day === this.day ? saved.warned : null;
+  }
+
+  // ── Run fn() under the budget; resolves with its result or rejects with the last error ──
+  run(label, fn, cost = 1) {
+    const job = this._queue.then(() => this._attempt(label, fn, cost, 0));
+    this._queue = job.catch(() => {});
+    return job;
+  }
+
+  async _attempt(label, fn, cost, attempt) {
+    await this._reserve(label, cost);
+    try {
+      return await fn();
+    } catch (err) {
+      if (!err.retryable || attempt >= this.maxRetries) throw err;
+      const backoff = Math.min(this.backoffMaxMs, this.backoffBaseMs * 2 ** attempt);
+      const waitMs  = Math.max(backoff, err.retryAfterMs || 0);
+      this.retries++;
+      console.warn(`⏳ ${label}: ${err.message} — retry ${attempt + 1}/${this.maxRetries} in ${Math.round(waitMs / 1000)}s`);
+      await this.sleep(waitMs);
+      return this._attempt(label, fn, cost, attempt + 1);
+    }
+  }
+
+  // ── Wait for spacing + per-minute room, spend `cost` credits of today's budget ──
+  async _reserve(label, cost) {
+    this._rollDay();
+    if (this.usedToday + cost > this.perDay) {
+      throw new RequestError(`daily credit budget spent (${this.usedToday}/${this.perDay}) — ${label} skipped`, { code: 'BUDGET' });
+    }
+    for (;;) {
+      const now = this.clock();
+      this._window = this._window.filter(r => now - r.ts < MINUTE_MS);
+      const usedMin = this._window.reduce((sum, r) => sum + r.cost, 0);
+      const spacing = this._last + this.minIntervalMs - now;
+      if (usedMin + cost <= this.perMinute && spacing <= 0) break;
+      const untilRoom = usedMin + cost > this.perMinute ? this._window[0].ts + MINUTE_MS - now : 0;
+      await this.sleep(Math.max(spacing, untilRoom, 1));
+    }
+    const now = this.clock();
+    this._last = now;
+    this._window.push({ ts: now, cost });
+    this.usedToday += cost;
+    this._persist();
+    if (!this.warnedDay && this.usedToday >= this.perDay * this.warnAt) {
+      this.warnedDay = this.day;
+      this._persist();
+      this._warn(`API credits: ${this.usedToday}/${this.perDay} used today (${Math.round(this.warnAt * 100)}% budget warning)`);
+    }
+  }
+
+  _rollDay() {
+    const today = dayOf(this.clock());
+    if (today === this.day) return;
+    this.day       = today;
+    this.usedToday = 0;
+    this.warnedDay = null;
+  }
+
+  _persist() {
+    this.stateStore?.set('credits', { day: this.day, used: this.usedToday, warned: this.warnedDay });
+  }
+
+  _warn(message) {
+    console.warn(`⚠️ ${message}`);
+    this.emit('warning', message, this.status());
+  }
+
+  // ── Up-front check: requestsPerMin while polling, activeMin of polling per day,
+  //    plus oneOff requests (warm-up) → warnings (also emitted), [] when it fits ──
+  forecast({ requestsPerMin, activeMin, oneOff = 0 }) {
+    this._rollDay();
+    const warnings = [];
+    if (requestsPerMin > this.perMinute) {
+      warnings.push(`${requestsPerMin} requests/min needed, budget ${this.perMinute}/min — polls will lag behind the clock`);
+    }
+    const need = Math.ceil(requestsPerMin * activeMin + oneOff);
+    const left = this.perDay - this.usedToday;
+    if (need > left) {
+      warnings.push(`~${need} credits needed today, ${left} of ${this.perDay} left — data stops before the session ends`);
+    } else if (this.usedToday + need > this.perDay * this.warnAt) {
+      warnings.push(`~${need} credits needed today puts usage at ${this.usedToday + need}/${this.perDay}`);
+    }
+    for (const w of warnings) this._warn(`API credits: ${w}`);
+    return warnings;
+  }
+
+  status() {
+    const now = this.clock();
+    return {
+      day:        this.day,
+      usedToday:  this.usedToday,
+      perDay:     this.perDay,
+      lastMinute: this._window.filter(r => now - r.ts < MINUTE_MS).reduce((sum, r) => sum + r.cost, 0),
+      perMinute:  this.perMinute,
+      retries:    this.retries,
+    };
+  }
+}
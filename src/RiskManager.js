@@ -0,0 +1,204 @@
+import fs from 'fs';
+
+// ═══════════════════════════════════════════════════════════════
+// RiskManager.js — session-wide exposure limits
+// Sits in front of ScalpEngine firing a trade and in front of
+// MT5ScalpBridge.sendSignal. A block comes back as a HOLD reason.
+//   • max daily loss in R and in account currency
+//   • max trades per session (UTC day)
+//   • pause for PAUSE_MIN after N consecutive losses
+//   • max total open risk (R still at stake across symbols and strategies)
+//   • kill switch: kill()/resume() or the RISK_KILL_FILE existing
+// Counters persist under StateStore key 'risk' and reset each UTC day;
+// the kill switch survives restarts until resumed.
+// ═══════════════════════════════════════════════════════════════
+
+export const RISK_LIMITS = {
+  MAX_DAILY_LOSS_R:   3,    // stop for the day at -3R
+  MAX_DAILY_LOSS:     0,    // account currency, 0 = off
+  MAX_TRADES:         6,    // per session
+  MAX_CONSEC_LOSSES:  3,    // then pause
+  PAUSE_MIN:          60,
+  MAX_OPEN_R:         2,    // sum of R at stake on open trades (incl. the new one)
+};
+
+const dayOf = ts => new Date(ts).toISOString().slice(0, 10);
+
+function envLimits(env) {
+  const map = {
+    MAX_DAILY_LOSS_R:  env.RISK_MAX_DAILY_LOSS_R,
+    MAX_DAILY_LOSS:    env.RISK_MAX_DAILY_LOSS,
+    MAX_TRADES:        env.RISK_MAX_TRADES,
+    MAX_CONSEC_LOSSES: env.RISK_MAX_CONSEC_LOSSES,
+    PAUSE_MIN:         env.RISK_PAUSE_MIN,
+    MAX_OPEN_R:        env.RISK_MAX_OPEN_R,
+  };
+  return Object.fromEntries(Object.entries(map).filter(([, v]) => v !== undefined && v !== '').map(([k, v]) => [k, parseFloat(v)]));
+}
+
+// ── R still at stake on an open trade (0 once the stop is at/after entry) ──
+export function openRiskR(trade) {
+  const risk = trade.initialRisk || trade.risk;
+  if (!risk) return 0;
+  const atStake = (trade.action === 'BUY' ? trade.entryPrice - trade.sl : trade.sl - trade.entryPrice) / risk;
+  return Math.max(0, atStake) * (trade.remaining ?? 1);
+}
+
+export class RiskManager {
+  // options.limits:      partial RISK_LIMITS (else RISK_* env vars)
+  // options.balance:     account balance for currency limits (ACCOUNT_BALANCE)
+  // options.riskPercent: % of balance risked per trade = 1R (MT5_RISK_PERCENT)
+  // options.stateStore:  StateStore — counters survive a restart
+  constructor(options = {}) {
+    this.limits      = { ...RISK_LIMITS, ...envLimits(process.env), ...(options.limits || {}) };
+    this.balance     = options.balance     || parseFloat(process.env.ACCOUNT_BALANCE) || 10000;
+    this.riskPercent = options.riskPercent || parseFloat(process.env.MT5_RISK_PERCENT) || 1.0;
+    this.killFile    = options.killFile    || process.env.RISK_KILL_FILE || '/tmp/scalp_kill_switch';
+    this.clock       = options.clock       || (() => Date.now());
+    this.stateStore  = options.stateStore  || null;
+    this.state       = this._fresh(dayOf(this.clock()));
+
+    const saved = this.stateStore?.get('risk');
+    if (saved) {
+      if (saved.day === this.state.day) this.state = { ...this.state, ...saved };
+      else this.state = { ...this.state, killed: saved.killed, killReason: saved.killReason };
+    }
+  }
+
+  _fresh(day) {
+    return { day, trades: 0, dailyR: 0, dailyPnl: 0, consecLosses: 0, pausedUntil: 0, killed: false, killReason: null };
+  }
+
+  // ── New UTC day → new session (kill switch stays) ──
+  _roll(ts) {
+    const day = dayOf(ts);
+    if (day === this.state.day) return;
+    this.state = { ...this._fresh(day), killed: this.state.killed, killReason: this.state.killReason };
+    this._persist();
+  }
+
+  _persist() {
+    this.stateStore?.set('risk', this.state);
+  }
+
+  // 1R in account currency
+  get riskMoney() {
+    return this.balance * this.riskPercent / 100;
+  }
+
+  // ── Kill switch ──
+  kill(reason = 'manual') {
+    this.state.killed     = true;
+    this.state.killReason = reason;
+    this._persist();
+  }
+
+  resume() {
+    this.state.killed      = false;
+    this.state.killReason  = null;
+    this.state.pausedUntil = 0;
+    this.state.consecLosses = 0;
+    try { fs.unlinkSync(this.killFile); } catch {}
+    this._persist();
+  }
+
+  isKilled() {
+    if (this.state.killed) return this.state.killReason || 'manual';
+    if (fs.existsSync(this.killFile)) {
+      let reason = '';
+      try { reason = fs.readFileSync(this.killFile, 'utf8').trim(); } catch {}
+      return reason || `kill file ${this.killFile}`;
+    }
+    return null;
+  }
+
+  // ── Gate a new trade. stage 'signal': before ScalpEngine fires;
+  //    stage 'send': before MT5 (trade already counted → only hard stops).
+  //    openTrades: [trade] — every strategy's open trades (ScalpEngine.openTrades()).
+  //    Returns null (ok) or a HOLD reason. ──
+  check(symbol, openTrades = [], ts = this.clock(), stage = 'signal') {
+    this._roll(ts);
+    const L = this.limits;
+    const s = this.state;
+
+    const killed = this.isKilled();
+    if (killed) return `Risk: kill switch on (${killed})`;
+    if (L.MAX_DAILY_LOSS_R > 0 && s.dailyR <= -L.MAX_DAILY_LOSS_R) {
+      return `Risk: daily loss limit hit (${s.dailyR.toFixed(2)}R ≤ -${L.MAX_DAILY_LOSS_R}R)`;
+    }
+    if (L.MAX_DAILY_LOSS > 0 && s.dailyPnl <= -L.MAX_DAILY_LOSS) {
+      return `Risk: daily loss limit hit (${s.dailyPnl.toFixed(2)} ≤ -${L.MAX_DAILY_LOSS})`;
+    }
+    if (s.pausedUntil > ts) {
+      return `Risk: paused after ${L.MAX_CONSEC_LOSSES} consecutive losses until ${new Date(s.pausedUntil).toISOString().slice(11, 16)} UTC`;
+    }
+    if (stage === 'send') return null;
+
+    if (L.MAX_TRADES > 0 && s.trades >= L.MAX_TRADES) {
+      return `Risk: max trades per session reached (${s.trades}/${L.MAX_TRADES})`;
+    }
+    if (L.MAX_OPEN_R > 0) {
+      const open = openTrades
+        .filter(Boolean)
+        .reduce((sum, t) => sum + openRiskR(t), 0);
+      if (open + 1 > L.MAX_OPEN_R) {
+        return `Risk: open risk ${open.toFixed(2)}R + 1R exceeds ${L.MAX_OPEN_R}R`;
+      }
+    }
+    return null;
+  }
+
+  // ── A trade fired / was withdrawn before reaching the broker ──
+  recordTrade(trade) {
+    this._roll(trade.openTime ?? this.clock());
+    this.state.trades++;
+    this._persist();
+  }
+
+  unrecordTrade(trade) {
+    if (dayOf(trade.openTime ?? this.clock()) === this.state.day && this.state.trades > 0) this.state.trades--;
+    this._persist();
+  }
+
+  // ── A trade closed. `replaced`: the simulated result a broker close
+  //    corrects (its R / P&L are backed out; the loss streak is not). ──
+  recordClose(result, replaced = null) {
+    const ts = result.closeTime ?? this.clock();
+    this._roll(ts);
+    const s = this.state;
+    if (replaced && dayOf(replaced.closeTime ?? ts) === s.day) {
+      s.dailyR   -= replaced.rPnL || 0;
+      s.dailyPnl -= this._pnlOf(replaced);
+    }
+    s.dailyR   += result.rPnL || 0;
+    s.dailyPnl += this._pnlOf(result);
+
+    if (!replaced) {
+      if (result.result === 'LOSS') s.consecLosses++;
+      else if (result.result === 'WIN') s.consecLosses = 0;
+      const L = this.limits;
+      if (L.MAX_CONSEC_LOSSES > 0 && s.consecLosses >= L.MAX_CONSEC_LOSSES) {
+        s.pausedUntil  = ts + L.PAUSE_MIN * 60000;
+        s.consecLosses = 0;
+      }
+    }
+    this._persist();
+  }
+
+  // Broker P&L when MT5 reported it, else R × the trade's 1R in money
+  _pnlOf(result) {
+    return result.broker && Number.isFinite(+result.pnl) ? +result.pnl : (result.rPnL || 0) * (result.riskMoney || this.riskMoney);
+  }
+
+  status(ts = this.clock()) {
+    this._roll(ts);
+    return {
+      ...this.state,
+      dailyR:   +this.state.dailyR.toFixed(3),
+      dailyPnl: +this.state.dailyPnl.toFixed(2),
+      killed:   this.isKilled(),
+      paused:   this.state.pausedUntil > ts,
+      limits:   this.limits,
+    };
+  }
+}
@@ -0,0 +1,121 @@
+import { ScalpEngine } from './ScalpEngine.js';
+import { aggregateCandles } from './CandleAggregator.js';
+import { RejectionHistogram } from './DecisionTrace.js';
+
+// ═══════════════════════════════════════════════════════════════
+// ScalpBacktester.js — offline replay of historical candles
+// Steps minute by minute through ScalpEngine exactly like the live
+// loop does: resolve open trades on the new 1m bar, then generate —
+// for every strategy registered on the engine (engineOptions.strategies).
+// The engine runs on a replay clock (bar close time), so MAX_HOLD,
+// cooldown and session checks all see historical time.
+// Missing 5m / 1h series are aggregated from the 1m candles.
+// With a NewsFilter in engineOptions, news flattening runs per bar too.
+// Every decision trace is folded into one rejection histogram for the
+// whole run; run({ onTrace }) sees each trace (e.g. to write them out).
+// ═══════════════════════════════════════════════════════════════
+
+const MS_1M = 60000;
+const MS_5M = 5  * MS_1M;
+const MS_1H = 60 * MS_1M;
+
+// 1m bars replayed before `from` so indicators are warm (engine keeps 100)
+const WARMUP_1M = 200;
+
+// ── First index with candle.ts >= ts (candles ascending) ──
+function lowerBound(candles, ts) {
+  let lo = 0, hi = candles.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (candles[mid].ts < ts) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+// ── Summary figures from a closed-trade list ──
+//    profitFactor: number, '∞' without losing R (JSON-safe, like ScalpEngine.getStats)
+export function summarizeTrades(trades) {
+  const wins    = trades.filter(t => t.result === 'WIN').length;
+  const losses  = trades.filter(t => t.result === 'LOSS').length;
+  const expired = trades.filter(t => t.result === 'EXPIRED').length;
+  const breakeven = trades.filter(t => t.result === 'BREAKEVEN').length;
+  const totalR  = trades.reduce((sum, t) => sum + t.rPnL, 0);
+  const grossWin  = trades.filter(t => t.rPnL > 0).reduce((sum, t) => sum + t.rPnL, 0);
+  const grossLoss = trades.filter(t => t.rPnL < 0).reduce((sum, t) => sum - t.rPnL, 0);
+  const decided = wins + losses;
+  return {
+    trades:       trades.length,
+    wins, losses, expired, breakeven,
+    winRate:      decided > 0 ? +(wins / decided * 100).toFixed(1) : 0,
+    totalR:       +totalR.toFixed(2),
+    expectancy:   trades.length ? +(totalR / trades.length).toFixed(3) : 0,
+    profitFactor: grossLoss > 0 ? +(grossWin / grossLoss).toFixed(2) : (grossWin > 0 ? '∞' : 0),
+  };
+}
+
+export class ScalpBacktester {
+  constructor(options = {}) {
+    this.symbol        = options.symbol || 'XAU/USD';
+    this.candles1m     = options.candles1m || [];
+    this.candles5m     = options.candles5m?.length ? options.candles5m : aggregateCandles(this.candles1m, MS_5M);
+    this.candles1h     = options.candles1h?.length ? options.candles1h : aggregateCandles(this.candles1m, MS_1H);
+    this.engineOptions = options.engineOptions || {};  // passed to ScalpEngine (clock is overridden)
+  }
+
+  // ── Replay [from, to) — both optional ms timestamps ──
+  run({ from = -Infinity, to = Infinity, onTrace = null } = {}) {
+    const symbol = this.symbol;
+    let now = 0;
+    const engine = new ScalpEngine({ ...this.engineOptions, clock: () => now });
+
+    const c1m = this.candles1m;
+    const c5m = this.candles5m;
+    const c1h = this.candles1h;
+
+    const first = Math.max(0, lowerBound(c1m, from) - WARMUP_1M);
+    const startTs = c1m[first]?.ts ?? 0;
+    // Higher timeframes: start far enough back to fill the engine buffers
+    let i5 = Math.max(0, lowerBound(c5m, startTs) - 80);
+    let ih = Math.max(0, lowerBound(c1h, startTs) - 100);
+
+    const trades  = [];
+    const signals = [];
+    const rejections = new RejectionHistogram({ daily: false });
+
+    for (let i = first; i < c1m.length; i++) {
+      const bar = c1m[i];
+      if (bar.ts >= to) break;
+      now = bar.ts + MS_1M; // decision is made at the bar close
+
+      // Only higher-timeframe bars that have fully closed are visible
+      while (i5 < c5m.length && c5m[i5].ts + MS_5M <= now) engine.push5mCandle(symbol, c5m[i5++]);
+      while (ih < c1h.length && c1h[ih].ts + MS_1H <= now) engine.push1hCandle(symbol, c1h[ih++]);
+      engine.push1mCandle(symbol, bar);
+
+      if (bar.ts < from) continue; // warm-up only
+
+      trades.push(...engine.resolveOpenTrades(symbol, bar));
+      trades.push(...engine.flattenForNews(symbol, bar.close, now));
+
+      for (const result of engine.generateSignals(symbol, bar.close, now)) {
+        if (result.action !== 'HOLD') signals.push(result.trade);
+        rejections.record(result.trace);
+        if (onTrace) onTrace(result.trace);
+      }
+    }
+
+    const openTrades = engine.openTrades();
+
+    return {
+      symbol,
+      from:     Number.isFinite(from) ? from : (c1m[0]?.ts ?? null),
+      to:       Number.isFinite(to)   ? to   : (c1m[c1m.length - 1]?.ts ?? null),
+      trades,
+      signals,
+      openTrades,
+      summary:  summarizeTrades(trades),
+      rejections: rejections.summary(),
+      stats:    engine.getStats(),
+    };
+  }
+}
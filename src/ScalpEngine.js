@@ -1,388 +1,840 @@
-import { EMA, RSI, ATR, Stochastic, ADX, MACD } from 'technicalindicators';
+import { STRATEGY_PROFILES, profileNameFor, resolveProfile } from './StrategyProfiles.js';
+import { SessionCalendar } from './SessionCalendar.js';
+import { DecisionTrace, RejectionHistogram } from './DecisionTrace.js';
+import { PullbackStrategy } from './PullbackStrategy.js';
+import { IndicatorSet } from './StreamingIndicators.js';
 
 // ═══════════════════════════════════════════════════════════════
-// ScalpEngine.js — SELL-ONLY PULLBACK SCALPER
+// ScalpEngine.js — candle store + trade lifecycle for strategy plugins
+// Default strategy: EMA21 PULLBACK (SELL default, BUY/BOTH per symbol)
 // Proven backtest: 51.2% WR | PF 1.89 | All years profitable
 // Session: 12:00-13:00 UTC only (London/NY overlap peak)
 // Settings: RR 1.8 | ATR_MUL 1.0 | MaxPB 0.4×ATR | MinConf 65%
+// Per-symbol values come from strategy profiles (StrategyProfiles.js);
+// SCALP_CONFIG is the base every profile inherits from.
+// Setups are Strategy plugins (Strategy.js) run over the same candles;
+// open trade, cooldown and stats are kept per strategy and symbol.
 // ═══════════════════════════════════════════════════════════════
 
-const SCALP_CONFIG = {
+export const TRADE_DIRECTIONS = ['SELL', 'BUY', 'BOTH'];   // per symbol (DIRECTION, SCALP_DIRECTIONS, --direction)
+
+export const SCALP_CONFIG = {
   RR:          1.8,
   ATR_MUL:     1.0,
   MAX_PB_ATR:  0.4,   // only clean EMA21 taps
   MIN_CONF:    65,
   MAX_HOLD:    20,    // 20 candles = 20 min max hold
   COOLDOWN:    5,     // minutes between signals
+  DIRECTION:   'SELL', // default per symbol: 'SELL' | 'BUY' | 'BOTH'
+  BROKER_GRACE: 5,    // minutes past MAX_HOLD to wait for an MT5 close before simulating one
   HOUR_START:  12,
   HOUR_END:    13,    // 12:00-13:00 UTC only
+  SESSIONS:    null,  // [{ name, start, end, tz, days }] — replaces HOUR_* (SessionCalendar.js)
+  // ── Volatility limits on the 1m ATR (0 = off); _PCT = % of price ──
+  MIN_ATR:     0,
+  MAX_ATR:     0,
+  MIN_ATR_PCT: 0,
+  MAX_ATR_PCT: 0,
+  // ── Indicator periods ──
+  EMA_FAST:    8,     // 1m
+  EMA_SLOW:    21,    // 1m pullback EMA
+  RSI_PERIOD:  7,
+  ATR_PERIOD:  7,
+  STOCH_PERIOD: 5,
+  STOCH_SIGNAL: 3,
+  MACD_FAST:   5,
+  MACD_SLOW:   13,
+  MACD_SIGNAL: 4,
+  TREND_ADX:   25,    // 5m trend needs ADX ≥ this
+  MACRO_ADX:   20,    // 1h macro is NEUTRAL below this
+  // ── Trade management (0 = off → plain fixed SL / TP) ──
+  BE_AT_R:      0,    // move SL to breakeven once price has run +X R
+  BE_OFFSET_R:  0,    // ...locking in this many R past entry
+  TRAIL_ATR:    0,    // trail SL this many ATR behind the best price
+  TRAIL_AT_R:   0,    // ...starting once price has run +X R
+  PARTIAL_AT_R: 0,    // close part of the position at +X R
+  PARTIAL_PCT:  0.5,  // ...this fraction of it
+};
+
+const BE_EPS_R = 0.05; // |R| below this counts as a breakeven close
+
+// ── Candle buffers: interval → [store, bars kept]. Indicators are streamed,
+//    so the buffers only serve lookbacks / trade resolution ──
+const BUFFERS = {
+  '1min': ['candles1m', 100],
+  '5min': ['candles5m', 80],
+  '1h':   ['candles1h', 100],
 };
 
+// ── Engine-level trend filters (IndicatorSet specs) ──
+const TREND_5M = { ema9: ['ema', 9], ema21: ['ema', 21], ema50: ['ema', 50], adx: ['adx', 14] };
+const MACRO_1H = { ema21: ['ema', 21], ema50: ['ema', 50], adx: ['adx', 14] };
+const MIN_TREND_BARS = 55;
+
+// ── Result counters: every close lands in exactly one count, its R in totalR
+//    and in grossWinR / grossLossR (profit factor from R, expired trades included) ──
+const STAT_KEY = { WIN: 'wins', LOSS: 'losses', BREAKEVEN: 'breakeven' };   // anything else: expired
+const emptyStats = () => ({ wins: 0, losses: 0, expired: 0, breakeven: 0, totalR: 0, grossWinR: 0, grossLossR: 0 });
+
+// sign −1 reverses a recorded result; counters missing from older saves start at 0
+function tally(stats, outcome, rPnL, sign = 1) {
+  const key = STAT_KEY[outcome] || 'expired';
+  stats[key]    = (stats[key] || 0) + sign;
+  stats.totalR  = (stats.totalR || 0) + sign * rPnL;
+  if (rPnL > 0) stats.grossWinR  = (stats.grossWinR  || 0) + sign * rPnL;
+  else          stats.grossLossR = (stats.grossLossR || 0) - sign * rPnL;
+}
+
+// Same representation as summarizeTrades: number, '∞' without losing R
+const profitFactor = s => s.grossLossR > 0 ? +(s.grossWinR / s.grossLossR).toFixed(2) : s.grossWinR > 0 ? '∞' : 0;
+
 export class ScalpEngine {
-  constructor() {
+  // options.clock:      () => ms timestamp — inject a replay clock for backtests
+  // options.directions: { symbol: 'SELL' | 'BUY' | 'BOTH' } — overrides DIRECTION
+  // options.config:     partial SCALP_CONFIG overrides for every symbol (optimizer / backtests)
+  // options.profiles:   { name: profile } — defaults to STRATEGY_PROFILES
+  // options.symbolProfiles: { symbol: profileName } — overrides the built-in mapping
+  // options.calendar:   SessionCalendar — session windows, holidays, early closes
+  // options.stateStore: StateStore — persist open trades / cooldowns / stats
+  // options.onManage:   (symbol, action) => void — SL moves / partial closes to forward to MT5
+  // options.riskManager: RiskManager — session limits checked before a trade fires
+  // options.positionSizer: PositionSizer — lot size recorded on every trade
+  // options.newsFilter: NewsFilter — no new trades around releases, optional flatten
+  // options.dataGuard:  DataQualityGuard — repairs candles on load / push, holds on untrusted data
+  // options.strategies: [Strategy] — evaluated in order; defaults to [PullbackStrategy]
+  constructor(options = {}) {
     this.candles1m    = {};   // { symbol: [...] }
     this.candles5m    = {};   // { symbol: [...] }
     this.candles1h    = {};   // { symbol: [...] } ← 1h macro filter
-    this.openTrade    = {};   // { symbol: tradeObj | null }
-    this.lastSignalTs = {};   // { symbol: timestamp }
-    this.config       = SCALP_CONFIG;
+    this.indicators   = {};   // { symbol: { interval: { spec: IndicatorSet } } } — streamed, bar by bar
+    this.strategies   = [];   // registered Strategy plugins
+    this.openTrade    = {};   // { strategy: { symbol: tradeObj | null } }
+    this.lastSignalTs = {};   // { strategy: { symbol: timestamp } }
+    this.overrides    = options.config || {};
+    this.config       = { ...SCALP_CONFIG, ...this.overrides };   // base profile
+    this.profiles     = options.profiles || STRATEGY_PROFILES;
+    this.symbolProfiles = options.symbolProfiles || {};
+    this._configs     = {};   // { symbol | strategy|symbol: resolved config }
+    this.calendar     = options.calendar || new SessionCalendar();
+    this.clock        = options.clock || (() => Date.now());
+    this.directions   = options.directions || {};
+    this.stateStore   = options.stateStore || null;
+    this.onManage     = options.onManage || null;
+    this.riskManager  = options.riskManager || null;
+    this.positionSizer = options.positionSizer || null;
+    this.newsFilter   = options.newsFilter || null;
+    this.dataGuard    = options.dataGuard || null;
+    this.lastPrice    = {};   // { symbol: last close seen while a trade was open }
+    this.lastDecision = {};   // { symbol: { strategy: { action, reason, failed, ts } } } — control API
+    this.rejections   = new RejectionHistogram();   // failed gate counts this session
+    this.recentClosed = {};   // { tradeId: result } — lets a late broker close correct a simulated one
     this.stats        = {     // live performance tracking
-      wins: 0, losses: 0, expired: 0, totalR: 0,
-      bySymbol: {}
+      ...emptyStats(),
+      bySymbol: {}, byStrategy: {}
     };
+    for (const strategy of options.strategies || [new PullbackStrategy()]) this.register(strategy);
+  }
+
+  // ── Add a strategy plugin: own open trades, cooldowns, stats and magic number ──
+  register(strategy) {
+    const clash = this.strategies.find(s => s.name === strategy.name || s.tag === strategy.tag
+      || (strategy.magic && s.magic === strategy.magic));
+    if (clash) throw new Error(`Strategy ${strategy.name} clashes with ${clash.name} (name, tag and magic must be unique)`);
+    this.strategies.push(strategy);
+    this.openTrade[strategy.name]    ||= {};
+    this.lastSignalTs[strategy.name] ||= {};
+    this.stats.byStrategy[strategy.name] ||= emptyStats();
+    return this;
+  }
+
+  strategy(name) {
+    const found = this.strategies.find(s => s.name === name);
+    if (!found) throw new Error(`Unknown strategy: ${name}`);
+    return found;
+  }
+
+  // ── Effective config for a symbol: SCALP_CONFIG ← profile ← options.config
+  //    (← the strategy's overrides when a strategy name is given) ──
+  configFor(symbol, name = null) {
+    if (!symbol) return this.config;
+    if (!this._configs[symbol]) {
+      const profile = resolveProfile(this.profileName(symbol), this.profiles);
+      this._configs[symbol] = { ...SCALP_CONFIG, ...profile, ...this.overrides };
+    }
+    if (!name) return this._configs[symbol];
+    const key = `${name}|${symbol}`;
+    return this._configs[key] ||= this.strategy(name).config(this._configs[symbol]);
   }
 
-  // ── Load historical 1min candles (called on startup) ──
+  profileName(symbol) {
+    return profileNameFor(symbol, this.symbolProfiles);
+  }
+
+  // ── Load / merge 1min candles (startup history, then every poll): bars already
+  //    seen are skipped, the forming bar replaces its earlier version ──
   load1mCandles(symbol, candles) {
-    this.candles1m[symbol] = candles.slice(-100); // keep last 100
-    this.openTrade[symbol]    = null;
-    this.lastSignalTs[symbol] = 0;
-    if (!this.stats.bySymbol[symbol]) {
-      this.stats.bySymbol[symbol] = { wins:0, losses:0, totalR:0 };
+    this._loadCandles('1min', symbol, candles);
+    // Called every poll: never wipe a live trade or cooldown
+    for (const { name } of this.strategies) {
+      if (!this.openTrade[name][symbol])    this.openTrade[name][symbol]    = null;
+      if (!this.lastSignalTs[name][symbol]) this.lastSignalTs[name][symbol] = 0;
     }
+    this.stats.bySymbol[symbol] ||= emptyStats();
     console.log(`   📊 ScalpEngine: Loaded ${candles.length} × 1min candles for ${symbol}`);
   }
 
   // ── Load historical 5min candles ──
   load5mCandles(symbol, candles) {
-    this.candles5m[symbol] = candles.slice(-80);
+    this._loadCandles('5min', symbol, candles);
     console.log(`   📊 ScalpEngine: Loaded ${candles.length} × 5min candles for ${symbol}`);
   }
 
   // ── Load 1h candles for macro filter ──
   load1hCandles(symbol, candles) {
-    this.candles1h[symbol] = candles.slice(-100);
+    this._loadCandles('1h', symbol, candles);
     console.log(`   📊 ScalpEngine: Loaded ${candles.length} × 1h candles for ${symbol} (macro filter)`);
   }
 
+  // ── Every known indicator set exists before history arrives, so all of it seeds them.
+  //    With a DataQualityGuard, only its repaired bars get through ──
+  _loadCandles(interval, symbol, candles) {
+    this._prepareIndicators(symbol);
+    const bars = this.dataGuard ? this.dataGuard.clean(symbol, interval, candles, this.clock()) : candles;
+    for (const candle of bars) this._pushCandle(interval, symbol, candle);
+  }
+
+  _prepareIndicators(symbol) {
+    if (this.indicators[symbol]) return;
+    this.indicatorSet(symbol, '5min', TREND_5M);
+    this.indicatorSet(symbol, '1h', MACRO_1H);
+    for (const strategy of this.strategies) {
+      const specs = strategy.indicators(this.configFor(symbol, strategy.name));
+      for (const [interval, spec] of Object.entries(specs)) this.indicatorSet(symbol, interval, spec);
+    }
+  }
+
+  // ── Streamed indicators for a symbol's interval (spec: see IndicatorSet).
+  //    A set asked for the first time is seeded from the candle buffer ──
+  indicatorSet(symbol, interval, spec) {
+    const sets = (this.indicators[symbol] ||= {})[interval] ||= {};
+    const key  = JSON.stringify(spec);
+    return sets[key] ||= new IndicatorSet(spec).seed(this[BUFFERS[interval][0]][symbol] || []);
+  }
+
   // ── 1H MACRO TREND: hard block counter-macro trades ──
-  get1hMacro(symbol) {
-    const c1h = this.candles1h[symbol];
-    if (!c1h || c1h.length < 55) return 'NEUTRAL';
-    const closes = c1h.map(c => c.close || c.c);
-    const highs  = c1h.map(c => c.high  || c.h);
-    const lows   = c1h.map(c => c.low   || c.l);
-    try {
-      const ema21 = EMA.calculate({ values: closes, period: 21 });
-      const ema50 = EMA.calculate({ values: closes, period: 50 });
-      const adx   = ADX.calculate({ high: highs, low: lows, close: closes, period: 14 });
-      if (!ema21.length || !ema50.length || !adx.length) return 'NEUTRAL';
-      const e21    = ema21[ema21.length - 1];
-      const e50    = ema50[ema50.length - 1];
-      const price  = closes[closes.length - 1];
-      const adxVal = adx[adx.length - 1].adx;
-      if (adxVal < 20) return 'NEUTRAL';
-      if (e21 > e50 && price > e21) return 'BULLISH';
-      if (e21 < e50 && price < e21) return 'BEARISH';
-      return 'NEUTRAL';
-    } catch { return 'NEUTRAL'; }
+  get1hMacro(symbol, cfg = this.configFor(symbol)) {
+    const ind = this.indicatorSet(symbol, '1h', MACRO_1H);
+    if (ind.bars < MIN_TREND_BARS) return 'NEUTRAL';
+    const { ema21: e21, ema50: e50, adx } = ind.last;
+    if (e21 === undefined || e50 === undefined || !adx) return 'NEUTRAL';
+    const c1h   = this.candles1h[symbol];
+    const last  = c1h[c1h.length - 1];
+    const price = last.close || last.c;
+    if (adx.adx < cfg.MACRO_ADX) return 'NEUTRAL';
+    if (e21 > e50 && price > e21) return 'BULLISH';
+    if (e21 < e50 && price < e21) return 'BEARISH';
+    return 'NEUTRAL';
+  }
+
+  // ── Append to a candle buffer and its indicator sets: same timestamp replaces, older is ignored ──
+  _pushCandle(interval, symbol, candle) {
+    const [store, max] = BUFFERS[interval];
+    const buf  = this[store][symbol] ||= [];
+    const last = buf[buf.length - 1];
+    if (last && candle.ts < last.ts) return;
+    if (last && candle.ts === last.ts) buf[buf.length - 1] = candle;
+    else {
+      buf.push(candle);
+      if (buf.length > max) buf.shift();
+    }
+    for (const set of Object.values(this.indicators[symbol]?.[interval] || {})) set.push(candle);
   }
 
   // ── Push new 1min candle (called every minute) ──
   push1mCandle(symbol, candle) {
-    if (!this.candles1m[symbol]) this.candles1m[symbol] = [];
-    this.candles1m[symbol].push(candle);
-    if (this.candles1m[symbol].length > 100) this.candles1m[symbol].shift();
+    this._loadCandles('1min', symbol, [candle]);
   }
 
   // ── Push new 5min candle ──
   push5mCandle(symbol, candle) {
-    if (!this.candles5m[symbol]) this.candles5m[symbol] = [];
-    this.candles5m[symbol].push(candle);
-    if (this.candles5m[symbol].length > 80) this.candles5m[symbol].shift();
-  }
-
-  // ── SESSION CHECK ──
-  isScalpSession(ts = Date.now()) {
-    const d    = new Date(ts);
-    const hour = d.getUTCHours();
-    const day  = d.getUTCDay();
-    if (day === 0 || day === 6) return false;
-    if (day === 1 && hour < 10) return false;
-    if (day === 5 && hour >= this.config.HOUR_END) return false;
-    return hour >= this.config.HOUR_START && hour < this.config.HOUR_END;
-  }
-
-  // ── 5MIN TREND: strict bearish stack required ──
-  get5mTrend(symbol) {
-    const c5 = this.candles5m[symbol];
-    if (!c5 || c5.length < 55) return 'NEUTRAL';
-
-    const closes = c5.map(c => c.close || c.c);
-    const highs  = c5.map(c => c.high  || c.h);
-    const lows   = c5.map(c => c.low   || c.l);
-
-    try {
-      const ema9  = EMA.calculate({ values: closes, period: 9 });
-      const ema21 = EMA.calculate({ values: closes, period: 21 });
-      const ema50 = EMA.calculate({ values: closes, period: 50 });
-      const adx   = ADX.calculate({ high: highs, low: lows, close: closes, period: 14 });
-
-      if (!ema9.length || !ema21.length || !ema50.length || !adx.length) return 'NEUTRAL';
-
-      const e9  = ema9[ema9.length - 1];
-      const e21 = ema21[ema21.length - 1];
-      const e50 = ema50[ema50.length - 1];
-      const p   = closes[closes.length - 1];
-      const adxVal = adx[adx.length - 1].adx;
-
-      // STRICT bearish: full stack + ADX ≥ 25
-      // 3/4 conditions: price < e9 removed — pullbacks temporarily push price above EMA9
-      // entry signal already validates price position (getSellSignal: price >= e8 → null)
-      if (e9 < e21 && e21 < e50 && adxVal >= 25) return 'BEARISH';
-      return 'NEUTRAL';
-    } catch { return 'NEUTRAL'; }
-  }
-
-  // ── 1MIN SELL SIGNAL: pullback to EMA21 rejection ──
-  getSellSignal(symbol) {
-    const c1 = this.candles1m[symbol];
-    if (!c1 || c1.length < 30) return null;
-
-    const closes = c1.map(c => c.close || c.c);
-    const highs  = c1.map(c => c.high  || c.h);
-    const lows   = c1.map(c => c.low   || c.l);
-
-    try {
-      const ema8  = EMA.calculate({ values: closes, period: 8 });
-      const ema21 = EMA.calculate({ values: closes, period: 21 });
-      const rsi   = RSI.calculate({ values: closes, period: 7 });
-      const atr   = ATR.calculate({ high: highs, low: lows, close: closes, period: 7 });
-      const stoch = Stochastic.calculate({ high: highs, low: lows, close: closes, period: 5, signalPeriod: 3 });
-      const macd  = MACD.calculate({ values: closes, fastPeriod: 5, slowPeriod: 13, signalPeriod: 4, SimpleMAOscillator: false, SimpleMASignal: false });
-
-      if (!ema21.length || !rsi.length || !atr.length) return null;
-
-      const price     = closes[closes.length - 1];
-      const prevPrice = closes[closes.length - 2];
-      const e8        = ema8[ema8.length - 1];
-      const e8Prev    = ema8[ema8.length - 2];
-      const e21       = ema21[ema21.length - 1];
-      const e21Prev   = ema21[ema21.length - 2];
-      const rsiVal    = rsi[rsi.length - 1];
-      const rsiPrev   = rsi[rsi.length - 2];
-      const atrVal    = atr[atr.length - 1];
-      const stochCur  = stoch[stoch.length - 1];
-      const stochPrev = stoch[stoch.length - 2];
-      const macdCur   = macd[macd.length - 1];
-      const macdPrev  = macd[macd.length - 2];
-
-      if (!atrVal || atrVal < 0.3) return null;
-
-      // ── PULLBACK CHECK: price touched EMA21, now rejecting ──
-      const lookback     = c1.slice(-8, -1);
-      const pullbackHigh = Math.max(...lookback.map(c => c.high || c.h));
-      const distToEMA    = Math.abs(pullbackHigh - e21);
-
-      if (distToEMA > atrVal * this.config.MAX_PB_ATR) return null; // too far from EMA21
-      if (pullbackHigh > e21 + atrVal * 1.0) return null;           // overshot EMA21
-      if (price >= e8) return null;                                   // not below EMA8 yet
-      if (price >= prevPrice) return null;                            // not moving down
-      if (rsiVal < 35) return null;                                   // no sell into oversold
-      if (rsiVal >= rsiPrev) return null;                             // RSI must be falling
-      if (e21 >= e21Prev) return null;                               // EMA21 must slope down
-      if (e8 >= e8Prev) return null;                                  // EMA8 must slope down
-
-      if (!stochCur || !stochPrev) return null;
-      if (stochCur.k < 25) return null;
-      if (stochCur.k >= stochCur.d && stochPrev.k >= stochPrev.d) return null;
-
-      if (!macdCur) return null;
-      if (macdCur.histogram > 0 && (!macdPrev || macdCur.histogram >= macdPrev.histogram)) return null;
-
-      // ── CONFIDENCE SCORING ──
-      let conf = 50;
-
-      // Pullback quality (closer to EMA21 = better)
-      if (distToEMA < atrVal * 0.15)      conf += 20;
-      else if (distToEMA < atrVal * 0.3)  conf += 12;
-      else if (distToEMA < atrVal * 0.4)  conf += 5;
-
-      // RSI
-      if (rsiVal > 60 && rsiVal < rsiPrev)  conf += 12;
-      else if (rsiVal > 50)                  conf += 6;
-
-      // Stoch cross
-      if (stochCur.k < stochCur.d && stochPrev.k >= stochPrev.d) conf += 12;
-      else if (stochCur.k < stochCur.d) conf += 5;
-
-      // Stoch overbought zone rejection
-      if (stochCur.k > 65 && stochCur.k < stochCur.d) conf += 5;
-
-      // MACD
-      if (macdCur.histogram < 0) conf += 8;
-      if (macdCur.histogram < 0 && macdPrev && macdCur.histogram < macdPrev.histogram) conf += 6;
-
-      // EMA momentum
-      if (e21 < e21Prev) conf += 5;
-      if (e8 < e8Prev)   conf += 4;
-
-      conf = Math.min(conf, 95);
-      if (conf < this.config.MIN_CONF) return null;
-
-      // ── CALCULATE SL/TP ──
-      const sl   = price + atrVal * this.config.ATR_MUL;
-      const risk = Math.abs(price - sl);
-      if (risk <= 0 || risk > atrVal * 3) return null;
-      const tp = price - risk * this.config.RR;
+    this._loadCandles('5min', symbol, [candle]);
+  }
 
-      return {
-        action:       'SELL',
-        confidence:   conf,
-        price,
-        sl,
-        tp,
-        risk,
-        atr:          atrVal,
-        pullbackHigh,
-        ema21:        e21,
-        rsi:          rsiVal,
-        stochK:       stochCur.k,
-        macdHist:     macdCur.histogram,
-        reasons:      this._buildReasons(conf, distToEMA, atrVal, rsiVal, stochCur, stochPrev, macdCur, macdPrev),
-      };
-    } catch (err) {
+  // ── Push new 1h candle ──
+  push1hCandle(symbol, candle) {
+    this._loadCandles('1h', symbol, [candle]);
+  }
+
+  // ── SESSION CHECK: one of the symbol's calendar windows is open ──
+  isScalpSession(ts = this.clock(), symbol = null, cfg = this.configFor(symbol)) {
+    return this.sessionAt(ts, symbol, cfg) !== null;
+  }
+
+  // ── Open session window { name, start, end } at ts, or null ──
+  sessionAt(ts = this.clock(), symbol = null, cfg = this.configFor(symbol)) {
+    return this.calendar.isOpen(symbol, symbol ? this.profileName(symbol) : 'base', cfg, ts);
+  }
+
+  // ── Next trading day's windows for a watchlist, every strategy's sessions (poll loop / shutdown) ──
+  nextSessionDay(symbols, ts = this.clock()) {
+    const entries = symbols.flatMap(symbol => this.strategies.map(({ name }) =>
+      ({ symbol, profile: this.profileName(symbol), cfg: this.configFor(symbol, name) })));
+    return this.calendar.nextSessionDay(entries, ts);
+  }
+
+  // ── Allowed trade direction for a symbol ──
+  getDirection(symbol, cfg = this.configFor(symbol)) {
+    return (this.directions[symbol] || cfg.DIRECTION).toUpperCase();
+  }
+
+  // ── 5MIN TREND: strict bearish / bullish stack required ──
+  get5mTrend(symbol, cfg = this.configFor(symbol)) {
+    return this.get5mTrendDetail(symbol, cfg).trend;
+  }
+
+  // ── 5MIN TREND + the ADX behind it (journal snapshot) ──
+  get5mTrendDetail(symbol, cfg = this.configFor(symbol)) {
+    const neutral = { trend: 'NEUTRAL', adx: null };
+    const ind = this.indicatorSet(symbol, '5min', TREND_5M);
+    if (ind.bars < MIN_TREND_BARS) return neutral;
+
+    const { ema9: e9, ema21: e21, ema50: e50, adx } = ind.last;
+    if (e9 === undefined || e21 === undefined || e50 === undefined || !adx) return neutral;
+    const adxVal = adx.adx;
+
+    // STRICT bearish: full stack + ADX ≥ TREND_ADX (25)
+    // 3/4 conditions: price < e9 removed — pullbacks temporarily push price above EMA9
+    // entry signal already validates price position (PullbackStrategy.getSellSignal: price >= e8 → null)
+    if (e9 < e21 && e21 < e50 && adxVal >= cfg.TREND_ADX) return { trend: 'BEARISH', adx: adxVal };
+    if (e9 > e21 && e21 > e50 && adxVal >= cfg.TREND_ADX) return { trend: 'BULLISH', adx: adxVal };
+    return { trend: 'NEUTRAL', adx: adxVal };
+  }
+
+  // ── Open trades: one symbol (every strategy) / all ──
+  openTradesFor(symbol) {
+    return this.strategies.map(({ name }) => this.openTrade[name][symbol]).filter(Boolean);
+  }
+
+  openTrades() {
+    return this.strategies.flatMap(({ name }) => Object.values(this.openTrade[name]).filter(Boolean));
+  }
+
+  tradeById(id) {
+    return this.openTrades().find(t => t.id === id) || null;
+  }
+
+  // ── RESOLVE OPEN TRADES (check if SL/TP hit on new candle), every strategy ──
+  resolveOpenTrades(symbol, newCandle) {
+    return this.strategies.map(s => this._resolve(s, symbol, newCandle)).filter(Boolean);
+  }
+
+  // now: the bar's decision time (catch-up replays bars at their own close time)
+  _resolve(strategy, symbol, newCandle, now = this.clock()) {
+    const trade = this.openTrade[strategy.name][symbol];
+    if (!trade) return null;
+
+    const h   = newCandle.high  || newCandle.h;
+    const l   = newCandle.low   || newCandle.l;
+    const ageMin  = (now - trade.openTime) / 60000;
+    const cfg     = this.configFor(symbol, strategy.name);
+    const maxHold = trade.maxHoldMin ?? cfg.MAX_HOLD;
+    this.lastPrice[symbol] = newCandle.close || newCandle.c;
+
+    // Broker-managed: MT5 reports the real close (applyBrokerEvent).
+    // Only simulate if the EA has gone quiet well past MAX_HOLD.
+    // SL moves / partial closes are still decided here and sent as commands.
+    if (trade.broker && ageMin < maxHold + cfg.BROKER_GRACE) {
+      this._checkPartial(trade, cfg, h, l);
+      this._manageStop(trade, cfg, h, l);
+      this._persist();
       return null;
     }
+
+    // Exit rule is the strategy's (default: fixed SL / TP / max hold)
+    const exit = strategy.resolve(trade, newCandle, {
+      cfg, now, ageMin, maxHold,
+      riskOf:    t => this._riskOf(t),
+      blendR:    exitR => this._blendR(trade, exitR),
+      outcomeOf: rPnL => this._outcomeOf(rPnL),
+      partial:   () => this._checkPartial(trade, cfg, h, l),
+    });
+    if (exit) return this._closeTrade(strategy.name, symbol, exit.outcome, exit.rPnL, exit.price, now);
+
+    // Breakeven / trailing stop — takes effect from the next bar
+    this._manageStop(trade, cfg, h, l);
+
+    this._persist(); // keep lastPrice fresh for crash recovery
+    return null; // still open
+  }
+
+  // ── TRADE MANAGEMENT ──
+  // R is always measured against the initial risk; after a partial
+  // close the remaining size earns the exit R and the closed part keeps
+  // what it locked in: rPnL = realizedR + remaining × exitR.
+  _riskOf(trade) {
+    return trade.initialRisk || trade.risk;
+  }
+
+  _blendR(trade, exitR) {
+    return +((trade.realizedR || 0) + (trade.remaining ?? 1) * exitR).toFixed(3);
+  }
+
+  _outcomeOf(rPnL) {
+    return rPnL > BE_EPS_R ? 'WIN' : rPnL < -BE_EPS_R ? 'LOSS' : 'BREAKEVEN';
+  }
+
+  _manage(trade, action) {
+    (trade.management ||= []).push({ ...action, ts: this.clock() });
+    if (this.onManage) this.onManage(trade.symbol, { ...action, tradeId: trade.id, strategy: trade.strategy });
+  }
+
+  // ── Close PARTIAL_PCT at +PARTIAL_AT_R (broker trades: request it) ──
+  _checkPartial(trade, cfg, h, l) {
+    if (cfg.PARTIAL_AT_R <= 0 || trade.partialDone || trade.partialRequested) return;
+    const isBuy  = trade.action === 'BUY';
+    const target = trade.entryPrice + (isBuy ? 1 : -1) * cfg.PARTIAL_AT_R * this._riskOf(trade);
+    if (isBuy ? h < target : l > target) return;
+
+    if (trade.broker) {
+      trade.partialRequested = true; // realized on the PARTIAL broker event
+    } else {
+      trade.realizedR   = +((trade.realizedR || 0) + cfg.PARTIAL_PCT * cfg.PARTIAL_AT_R).toFixed(3);
+      trade.remaining   = +((trade.remaining ?? 1) - cfg.PARTIAL_PCT).toFixed(3);
+      trade.partialDone = true;
+    }
+    this._manage(trade, { type: 'PARTIAL', fraction: cfg.PARTIAL_PCT, price: target });
+  }
+
+  // ── Breakeven / trailing: only ever tighten the stop ──
+  _manageStop(trade, cfg, h, l) {
+    if (cfg.BE_AT_R <= 0 && cfg.TRAIL_ATR <= 0) return;
+    const dir  = trade.action === 'BUY' ? 1 : -1;
+    const risk = this._riskOf(trade);
+    const best = trade.bestPrice ?? trade.entryPrice;
+    trade.bestPrice = dir > 0 ? Math.max(best, h) : Math.min(best, l);
+    const runR = dir * (trade.bestPrice - trade.entryPrice) / risk;
+
+    let sl = trade.sl, reason = null;
+    if (cfg.BE_AT_R > 0 && runR >= cfg.BE_AT_R) {
+      const be = trade.entryPrice + dir * cfg.BE_OFFSET_R * risk;
+      if (dir * (be - sl) > 0) { sl = be; reason = 'BREAKEVEN'; }
+    }
+    if (cfg.TRAIL_ATR > 0 && runR >= cfg.TRAIL_AT_R) {
+      const trail = trade.bestPrice - dir * cfg.TRAIL_ATR * trade.atr;
+      if (dir * (trail - sl) > 0) { sl = trail; reason = 'TRAIL'; }
+    }
+    if (!reason) return;
+    trade.sl = sl;
+    this._manage(trade, { type: 'MODIFY', reason, sl, tp: trade.tp });
   }
 
-  _buildReasons(conf, dist, atr, rsi, stoch, stochPrev, macd, macdPrev) {
-    const r = [];
-    if (dist < atr * 0.15) r.push('Perfect EMA21 tap');
-    else if (dist < atr * 0.3) r.push('Clean EMA21 pullback');
-    if (rsi > 60) r.push(`RSI falling from overbought (${rsi.toFixed(0)})`);
-    if (stoch.k < stoch.d && stochPrev.k >= stochPrev.d) r.push('Fresh stoch bearish cross');
-    if (macd.histogram < 0 && macdPrev && macd.histogram < macdPrev.histogram) r.push('MACD accelerating down');
-    return r;
+  // ── Close a strategy's open trade for symbol and record the outcome ──
+  _closeTrade(name, symbol, outcome, rPnL, closePrice, closeTime, extra = {}) {
+    const result = { ...this.openTrade[name][symbol], result: outcome, rPnL, closePrice, closeTime, ...extra };
+    this.openTrade[name][symbol] = null;
+    this._rememberClosed(result);
+    this.riskManager?.recordClose(result);
+    this._recordResult(name, symbol, outcome, rPnL);
+    return result;
   }
 
-  // ── RESOLVE OPEN TRADE (check if SL/TP hit on new candle) ──
-  resolveOpenTrade(symbol, newCandle) {
-    const trade = this.openTrade[symbol];
+  // ── Close the symbol's open trades at market ahead of a news release (NEWS_FLATTEN_MIN) ──
+  flattenForNews(symbol, price, ts = this.clock()) {
+    const event = this.openTradesFor(symbol).length && this.newsFilter?.flattenDue(symbol, ts);
+    if (!event) return [];
+    return this.flattenOpenTrades(symbol, price, 'NEWS', ts, `NEWS ${this.newsFilter.describe(event)}`, { newsEvent: event });
+  }
+
+  // ── Close every strategy's open trade on symbol at market (closeReason NEWS | API ...).
+  //    Broker trades: send a CLOSE command once (onManage), MT5 reports the close.
+  //    Returns the simulated trades closed here. ──
+  flattenOpenTrades(symbol, price = this.lastPrice[symbol], reason = 'MANUAL', ts = this.clock(), detail = reason, extra = {}) {
+    const closed = [];
+    for (const { name } of this.strategies) {
+      const trade = this.openTrade[name][symbol];
+      if (!trade) continue;
+      if (trade.broker) {
+        if (!trade.closeRequested) {
+          trade.closeRequested = reason;
+          this._manage(trade, { type: 'CLOSE', reason: detail });
+          this._persist();
+        }
+        continue;
+      }
+      const exitR = (trade.action === 'BUY' ? price - trade.entryPrice : trade.entryPrice - price) / this._riskOf(trade);
+      const rPnL  = this._blendR(trade, exitR);
+      closed.push(this._closeTrade(name, symbol, this._outcomeOf(rPnL), rPnL, price, ts, { closeReason: reason, ...extra }));
+    }
+    return closed;
+  }
+
+  // ── Withdraw a strategy's open trade without a result (never reached the broker) ──
+  cancelOpenTrade(symbol, name = this.strategies[0].name) {
+    const trade = this.openTrade[name][symbol];
     if (!trade) return null;
+    this.openTrade[name][symbol] = null;
+    this.riskManager?.unrecordTrade(trade);
+    this._persist();
+    return trade;
+  }
 
-    const { sl, tp, openTime, action } = trade;
-    const h = newCandle.high  || newCandle.h;
-    const l = newCandle.low   || newCandle.l;
+  _rememberClosed(result) {
+    if (!result.id) return;
+    this.recentClosed[result.id] = result;
+    const ids = Object.keys(this.recentClosed);
+    if (ids.length > 50) delete this.recentClosed[ids[0]];
+  }
 
-    // Check SL hit (SELL: price goes up)
-    if (h >= sl) {
-      const result = { ...trade, result: 'LOSS', rPnL: -1, closePrice: sl };
-      this.openTrade[symbol] = null;
-      this._recordResult(symbol, 'LOSS', -1);
-      return result;
+  // ── BROKER LIFECYCLE: MT5ScalpBridge result → engine state ──
+  // Broker fills take precedence over the candle simulation:
+  //   OPENED   → trade becomes broker-managed, entry = real fill
+  //   MODIFIED → SL/TP follow the broker
+  //   PARTIAL  → part of the position closed (realized R so far)
+  //   REJECTED → trade never existed on the broker, drop it (no stats)
+  //   CLOSED   → close with real R; if already simulated, replace it
+  // Returns { type, trade | result } or null if the signal is unknown.
+  applyBrokerEvent(event) {
+    const id     = event.signalId;
+    const trade  = this.tradeById(id);
+    const symbol = trade?.symbol;
+    const name   = trade?.strategy;
+    const now    = this.clock();
+
+    switch (event.status) {
+      case 'OPENED': {
+        if (!trade) return null;
+        const fill = event.entryPrice || trade.entryPrice;
+        trade.broker      = { ticket: event.ticket, fillPrice: fill };
+        trade.signalPrice = trade.entryPrice;
+        trade.entryPrice  = fill;
+        trade.risk        = Math.abs(fill - (trade.initialSl ?? trade.sl));
+        trade.initialRisk = trade.risk;
+        if (event.lotSize) trade.lotSize = event.lotSize;
+        trade.broker.lots = event.lotSize || trade.lotSize || null;
+        this._persist();
+        return { type: 'opened', trade };
+      }
+      case 'PARTIAL': {
+        if (!trade) return null;
+        const lots = trade.broker?.lots;
+        const closedFrac = lots && event.lotSize ? event.lotSize / lots : this.configFor(symbol, name).PARTIAL_PCT;
+        trade.realizedR   = +((trade.realizedR || 0) + (+event.rPnL || 0)).toFixed(3);
+        trade.remaining   = +Math.max(0, (trade.remaining ?? 1) - closedFrac).toFixed(3);
+        trade.partialDone = true;
+        this._persist();
+        return { type: 'partial', trade };
+      }
+      case 'MODIFIED': {
+        if (!trade) return null;
+        if (event.sl) trade.sl = event.sl;
+        if (event.tp) trade.tp = event.tp;
+        this._persist();
+        return { type: 'modified', trade };
+      }
+      case 'REJECTED': {
+        if (!trade) return null;
+        this.cancelOpenTrade(symbol, name);
+        return { type: 'rejected', trade };
+      }
+      case 'CLOSED': {
+        const rPnL    = +event.rPnL || 0;
+        const outcome = event.reason === 'EXPIRED' ? 'EXPIRED' : this._outcomeOf(rPnL);
+        const reason  = trade?.closeRequested && event.reason === 'EA' ? trade.closeRequested : event.reason;
+        const extra   = { pnl: event.pnl, currency: event.currency, closeReason: reason, ticket: event.ticket, broker: true };
+        if (trade) {
+          return { type: 'closed', result: this._closeTrade(name, symbol, outcome, rPnL, event.closePrice, now, extra) };
+        }
+        const simulated = this.recentClosed[id];
+        if (!simulated || simulated.broker) return null;
+        const simName = simulated.strategy || this.strategies[0].name;
+        this._unrecordResult(simName, simulated.symbol, simulated.result, simulated.rPnL);
+        const corrected = {
+          ...simulated, result: outcome, rPnL, closePrice: event.closePrice, closeTime: now, ...extra,
+          simulated: { result: simulated.result, rPnL: simulated.rPnL, closePrice: simulated.closePrice },
+        };
+        this.recentClosed[id] = corrected;
+        this.riskManager?.recordClose(corrected, simulated);
+        this._recordResult(simName, simulated.symbol, outcome, rPnL);
+        return { type: 'corrected', result: corrected };
+      }
     }
+    return null;
+  }
 
-    // Check TP hit (SELL: price goes down)
-    if (l <= tp) {
-      const result = { ...trade, result: 'WIN', rPnL: this.config.RR, closePrice: tp };
-      this.openTrade[symbol] = null;
-      this._recordResult(symbol, 'WIN', this.config.RR);
-      return result;
+  // ── Replay buffered 1m candles since entry (after restart/restore) ──
+  //    Each closed bar is resolved at its own close time, so an SL / TP hit
+  //    while we were down wins over MAX_HOLD. A trade the candles can't
+  //    settle and that is past MAX_HOLD by the clock is closed as EXPIRED.
+  catchUpOpenTrades(symbol, now = this.clock()) {
+    const closed = [];
+    for (const strategy of this.strategies) {
+      const trade = this.openTrade[strategy.name][symbol];
+      if (!trade) continue;
+      const entryBar = Math.floor(trade.openTime / 60000) * 60000;
+      let resolved = null;
+      for (const candle of this.candles1m[symbol] || []) {
+        if (candle.ts < entryBar || candle.ts + 60000 > now) continue;
+        resolved = this._resolve(strategy, symbol, candle, candle.ts + 60000);
+        if (resolved) break;
+      }
+      resolved ||= this._expireStale(strategy.name, symbol, now);
+      if (resolved) closed.push(resolved);
     }
+    return closed;
+  }
+
+  // ── Close a trade past MAX_HOLD (broker trades: + BROKER_GRACE) at the last price ──
+  _expireStale(name, symbol, now) {
+    const trade   = this.openTrade[name][symbol];
+    const cfg     = this.configFor(symbol, name);
+    const ageMin  = (now - trade.openTime) / 60000;
+    const maxHold = trade.maxHoldMin ?? cfg.MAX_HOLD;
+    if (ageMin < maxHold || (trade.broker && ageMin < maxHold + cfg.BROKER_GRACE)) return null;
+    const rPnL = this._blendR(trade, -0.15);
+    const closePrice = this.lastPrice[symbol] ?? trade.entryPrice;
+    return this._closeTrade(name, symbol, trade.partialDone ? this._outcomeOf(rPnL) : 'EXPIRED', rPnL, closePrice, now, { restored: true });
+  }
+
+  _recordResult(name, symbol, outcome, rPnL) {
+    tally(this.stats, outcome, rPnL);
+    tally(this.stats.bySymbol[symbol] ||= emptyStats(), outcome, rPnL);
+    tally(this.stats.byStrategy[name] ||= emptyStats(), outcome, rPnL);
+    this._persist();
+  }
+
+  // ── Reverse a recorded result (a broker close replaced the simulation) ──
+  _unrecordResult(name, symbol, outcome, rPnL) {
+    tally(this.stats, outcome, rPnL, -1);
+    if (this.stats.bySymbol[symbol])  tally(this.stats.bySymbol[symbol], outcome, rPnL, -1);
+    if (this.stats.byStrategy[name])  tally(this.stats.byStrategy[name], outcome, rPnL, -1);
+  }
+
+  // ── PERSISTENCE ──
+  // version 2: openTrade / lastSignalTs keyed by strategy, then symbol
+  exportState() {
+    return {
+      version:      2,
+      savedAt:      this.clock(),
+      openTrade:    this.openTrade,
+      lastSignalTs: this.lastSignalTs,
+      lastPrice:    this.lastPrice,
+      recentClosed: this.recentClosed,
+      stats:        this.stats,
+      rejections:   this.rejections.toJSON(),
+    };
+  }
+
+  _persist() {
+    if (this.stateStore) this.stateStore.set('engine', this.exportState());
+  }
 
-    // Check max hold time
-    const ageMin = (Date.now() - openTime) / 60000;
-    if (ageMin >= this.config.MAX_HOLD) {
-      const result = { ...trade, result: 'EXPIRED', rPnL: -0.15, closePrice: newCandle.close || newCandle.c };
-      this.openTrade[symbol] = null;
-      this._recordResult(symbol, 'EXPIRED', -0.15);
-      return result;
+  // ── Restore after a restart. Cooldowns are kept, open trades come back
+  //    open — even past MAX_HOLD: catchUpOpenTrades settles them once the
+  //    downtime candles are loaded. Stats only carry over within the same
+  //    UTC day (one session per day). Version 1 saves (one strategy,
+  //    keyed by symbol) belong to the first registered strategy. ──
+  restoreState(now = this.clock()) {
+    const saved = this.stateStore?.get('engine');
+    if (!saved) return { restored: false };
+
+    const byStrategy = map => saved.version >= 2 ? (map || {}) : { [this.strategies[0].name]: map || {} };
+    const sameDay = new Date(saved.savedAt).toISOString().slice(0, 10) === new Date(now).toISOString().slice(0, 10);
+    if (sameDay && saved.stats) this.stats = { ...this.stats, ...saved.stats }; // older saves lack newer counters
+    if (sameDay) this.rejections.load(saved.rejections);
+    for (const [name, bySymbol] of Object.entries(byStrategy(saved.lastSignalTs))) {
+      if (this.lastSignalTs[name]) this.lastSignalTs[name] = { ...this.lastSignalTs[name], ...bySymbol };
+    }
+    this.lastPrice    = { ...(saved.lastPrice || {}) };
+    this.recentClosed = { ...(saved.recentClosed || {}) };
+
+    for (const [name, bySymbol] of Object.entries(byStrategy(saved.openTrade))) {
+      for (const [symbol, stored] of Object.entries(bySymbol)) {
+        if (!stored) continue;
+        if (!this.openTrade[name]) {
+          console.log(`⚠️ Saved trade ${stored.id} belongs to unregistered strategy "${name}" — not restored`);
+          continue;
+        }
+        this.openTrade[name][symbol] = { strategy: name, ...stored };
+      }
     }
+    this._persist();
+    return { restored: true };
+  }
 
-    return null; // still open
+  // ── MAIN: evaluate every registered strategy for symbol → [result] ──
+  generateSignals(symbol, currentPrice, ts = this.clock()) {
+    return this.strategies.map(({ name }) => this.generateSignal(symbol, currentPrice, ts, name));
   }
 
-  _recordResult(symbol, outcome, rPnL) {
-    if (outcome === 'WIN')       { this.stats.wins++;    this.stats.totalR += rPnL; this.stats.bySymbol[symbol].wins++;  this.stats.bySymbol[symbol].totalR += rPnL; }
-    else if (outcome === 'LOSS') { this.stats.losses++;  this.stats.totalR += rPnL; this.stats.bySymbol[symbol].losses++; this.stats.bySymbol[symbol].totalR += rPnL; }
-    else                         { this.stats.expired++; this.stats.totalR += rPnL; }
+  // ── One strategy (default: the first registered) ──
+  // Every result carries its strategy name and a DecisionTrace (result.trace);
+  // the trace feeds the session's rejection histogram and the control API's last decision.
+  generateSignal(symbol, currentPrice, ts = this.clock(), name = this.strategies[0].name) {
+    const strategy = this.strategy(name);
+    const trace    = new DecisionTrace(symbol, ts, name);
+    const result   = this._decide(strategy, symbol, currentPrice, ts, trace);
+    result.strategy = name;
+    result.trace    = trace;
+    this.rejections.record(trace);
+    (this.lastDecision[symbol] ||= {})[name] = { action: result.action, reason: result.reason || null, failed: trace.failed, ts };
+    return result;
   }
 
-  // ── MAIN: Generate signal for symbol ──
-  generateSignal(symbol, currentPrice, ts = Date.now()) {
-    const now = new Date(ts);
+  _decide(strategy, symbol, currentPrice, ts, trace) {
+    const now  = new Date(ts);
+    const name = strategy.name;
+    const cfg  = this.configFor(symbol, name);
 
     // 1. Session check
-    if (!this.isScalpSession(ts)) {
-      return { action: 'HOLD', reason: `Outside scalp session (need 12-13 UTC, got ${now.getUTCHours()}h)` };
+    if (!trace.check('session', this.isScalpSession(ts, symbol, cfg), { now: now.toISOString().slice(11, 16) })) {
+      return { action: 'HOLD', reason: `Outside scalp session (need ${this.calendar.describe(cfg)}, now ${now.toISOString().slice(11, 16)} UTC)` };
+    }
+
+    // 1b. Data quality: stale, gapped or outlier candles can't be traded on
+    const dataIssue = this.dataGuard?.check(symbol, this._buffersOf(symbol), ts);
+    if (!trace.check('data_quality', !dataIssue, dataIssue?.values || {})) {
+      return { action: 'HOLD', reason: `Data quality: ${dataIssue.reason}`, dataBlocked: true, dataIssue };
     }
 
-    // 2. Cooldown check
-    const cooldownMs = this.config.COOLDOWN * 60000;
-    if (ts - (this.lastSignalTs[symbol] || 0) < cooldownMs) {
-      const waitMin = Math.ceil((cooldownMs - (ts - this.lastSignalTs[symbol])) / 60000);
+    // 1c. News blackout around high-impact releases for the symbol's currencies
+    const news = this.newsFilter?.blackout(symbol, ts);
+    if (!trace.check('news', !news, news ? { event: this.newsFilter.describe(news) } : {})) {
+      return { action: 'HOLD', reason: `News blackout: ${this.newsFilter.describe(news)}`, newsBlocked: true, event: news };
+    }
+
+    // 2. Cooldown check (per strategy)
+    const lastTs     = this.lastSignalTs[name][symbol] || 0;
+    const cooldownMs = cfg.COOLDOWN * 60000;
+    const sinceLast  = ts - lastTs;
+    if (!trace.check('cooldown', sinceLast >= cooldownMs, { sinceLastMin: lastTs ? sinceLast / 60000 : null, cooldownMin: cfg.COOLDOWN })) {
+      const waitMin = Math.ceil((cooldownMs - sinceLast) / 60000);
       return { action: 'HOLD', reason: `Cooldown: ${waitMin}min remaining` };
     }
 
-    // 3. Already in trade for this symbol
-    if (this.openTrade[symbol]) {
-      const t = this.openTrade[symbol];
+    // 3. Already in trade for this symbol (this strategy)
+    const open = this.openTrade[name][symbol];
+    if (!trace.check('open_trade', !open, open ? { id: open.id } : {})) {
       return {
         action: 'HOLD',
-        reason: `Open trade: SELL @ ${t.entryPrice?.toFixed(2)} | SL: ${t.sl?.toFixed(2)} | TP: ${t.tp?.toFixed(2)}`,
-        openTrade: t,
+        reason: `Open trade: ${open.action} @ ${open.entryPrice?.toFixed(2)} | SL: ${open.sl?.toFixed(2)} | TP: ${open.tp?.toFixed(2)}`,
+        openTrade: open,
       };
     }
 
-    // 4. 1h MACRO FILTER: block SELL if macro is BULLISH
-    const macro = this.get1hMacro(symbol);
-    if (macro === 'BULLISH') {
-      return { action: 'HOLD', reason: `1h macro BULLISH — SELL blocked (trading with trend only)` };
-    }
+    // 4. Strategy setup: its own filters and entry (each gate lands in the trace)
+    const decision = strategy.evaluate({ engine: this, symbol, price: currentPrice, ts, cfg, trace });
+    if (decision.action === 'HOLD') return decision;
+    const sig = decision.signal;
 
-    // 5. 5min trend
-    const trend = this.get5mTrend(symbol);
-    if (trend !== 'BEARISH') {
-      return { action: 'HOLD', reason: `5min trend: ${trend} (need BEARISH)` };
+    // 5. Session risk limits (daily loss, max trades, loss streak, open risk, kill switch)
+    const riskBlock = this.riskManager?.check(symbol, this.openTrades(), ts, 'signal');
+    if (!trace.check('risk', !riskBlock, riskBlock ? { reason: riskBlock } : {})) {
+      return { action: 'HOLD', reason: riskBlock, riskBlocked: true };
     }
 
-    // 6. Get 1min signal
-    const sig = this.getSellSignal(symbol);
-    if (!sig) {
-      return { action: 'HOLD', reason: 'No valid pullback setup on 1min' };
-    }
-
-    // 7. Fire signal — store as open trade
+    // 6. Fire signal — store as the strategy's open trade
+    const sizing = this.positionSizer?.size({ symbol, entryPrice: currentPrice, sl: sig.sl }) || null;
     const trade = {
+      id:          `${symbol}_${ts}_${strategy.tag}`,   // also the MT5 order comment (≤ 31 chars)
       symbol,
-      action:      'SELL',
+      strategy:    name,
+      magic:       strategy.magic || null,
+      action:      sig.action,
       entryPrice:  currentPrice,
       sl:          sig.sl,
       tp:          sig.tp,
       risk:        sig.risk,
-      rr:          this.config.RR,
+      initialSl:   sig.sl,      // R is measured against this even after the stop moves
+      initialRisk: sig.risk,
+      remaining:   1,           // open fraction of the position (partial TP)
+      realizedR:   0,           // R already banked by partial closes
+      rr:          cfg.RR,
       confidence:  sig.confidence,
+      scoring:     sig.scoring || null,   // confidence components that held (calibration)
       atr:         sig.atr,
       openTime:    ts,
+      maxHoldMin:  cfg.MAX_HOLD,
       reasons:     sig.reasons,
-      // MT5 fields
-      lotSize:     null,  // set by caller based on account risk %
+      profile:     this.profileName(symbol),
+      snapshot:    decision.snapshot || {},   // indicator values at entry (trade journal)
+      // MT5 fields (null without a PositionSizer or spec → EA sizes from riskPercent;
+      // 0 → refused, the minimum lot would overshoot the risk)
+      lotSize:     sizing && !sizing.eaSized ? sizing.lots : null,
+      riskMoney:   sizing ? sizing.actualRisk || sizing.riskMoney : null,  // 1R in account currency
+      sizingNote:  sizing?.note || null,
     };
 
-    this.openTrade[symbol]    = trade;
-    this.lastSignalTs[symbol] = ts;
+    this.openTrade[name][symbol]    = trade;
+    this.lastSignalTs[name][symbol] = ts;
+    this.riskManager?.recordTrade(trade);
+    this._persist();
 
     return {
-      action:     'SELL',
+      action:     sig.action,
       signal:     sig,
       trade,
-      trend5m:    trend,
+    };
+  }
+
+  // ── Rejection histogram for this session (which gate starves the strategy) ──
+  getRejections() {
+    return this.rejections.summary();
+  }
+
+  // ── { interval: candles } for the data-quality check ──
+  _buffersOf(symbol) {
+    return Object.fromEntries(Object.entries(BUFFERS).map(([interval, [store]]) => [interval, this[store][symbol]]));
+  }
+
+  // ── Per-symbol snapshot with one entry per strategy (control API / dashboard) ──
+  statusOf(symbol, ts = this.clock()) {
+    const last1m = this.candles1m[symbol]?.at(-1);
+    return {
+      symbol,
+      profile:    this.profileName(symbol),
+      direction:  this.getDirection(symbol),
+      price:      last1m ? (last1m.close || last1m.c) : null,
+      macro1h:    this.get1hMacro(symbol),
+      trend5m:    this.get5mTrend(symbol),
+      dataIssue:  this.dataGuard?.check(symbol, this._buffersOf(symbol), ts)?.reason || null,
+      strategies: this.strategies.map(({ name, magic }) => {
+        const cfg      = this.configFor(symbol, name);
+        const cooldown = cfg.COOLDOWN * 60000 - (ts - (this.lastSignalTs[name][symbol] || 0));
+        return {
+          name,
+          magic,
+          session:      this.sessionAt(ts, symbol, cfg)?.name || null,
+          cooldownMin:  cooldown > 0 ? Math.ceil(cooldown / 60000) : 0,
+          openTrade:    this.openTrade[name][symbol] || null,
+          lastDecision: this.lastDecision[symbol]?.[name] || null,
+        };
+      }),
     };
   }
 
   // ── STATS REPORT ──
+  // closed / winRate: wins + losses only; trades / expectancy / profitFactor:
+  // every close (breakeven and expired included). Deeper figures (drawdown,
+  // streaks, breakdowns) come from PerformanceAnalytics on the journal.
   getStats() {
+    const withRatios = s => {
+      const trades = s.wins + s.losses + s.breakeven + s.expired;
+      return {
+        ...s,
+        trades,
+        expectancy:   trades > 0 ? +(s.totalR / trades).toFixed(3) : 0,
+        profitFactor: profitFactor(s),
+      };
+    };
     const closed = this.stats.wins + this.stats.losses;
     const wr  = closed > 0 ? (this.stats.wins / closed * 100).toFixed(1) : '0';
-    const pf  = this.stats.losses > 0
-      ? (this.stats.wins * this.config.RR / this.stats.losses).toFixed(2)
-      : '∞';
+    const mapOf = group => Object.fromEntries(Object.entries(group).map(([k, s]) => [k, withRatios({ ...emptyStats(), ...s })]));
     return {
-      ...this.stats,
+      ...withRatios({ ...emptyStats(), ...this.stats }),
+      bySymbol:   mapOf(this.stats.bySymbol),
+      byStrategy: mapOf(this.stats.byStrategy),
       winRate: wr,
-      profitFactor: pf,
       closed,
     };
   }
-}
\ No newline at end of file
+}
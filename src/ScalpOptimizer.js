@@ -0,0 +1,162 @@
+import { ScalpBacktester } from './ScalpBacktester.js';
+import { ScalpEngine } from './ScalpEngine.js';
+import { aggregateCandles, AGGREGATE_INTERVALS } from './CandleAggregator.js';
+
+// ═══════════════════════════════════════════════════════════════
+// ScalpOptimizer.js — walk-forward search over SCALP_CONFIG
+// For each rolling window: pick the best params on the in-sample
+// slice, then score those params (and the live config) on the
+// following out-of-sample slice. A real edge keeps its OOS
+// expectancy; a curve-fit one collapses to ≤ 0 out of sample.
+// ═══════════════════════════════════════════════════════════════
+
+const MS_DAY = 86400000;
+
+export const DEFAULT_PARAM_GRID = {
+  RR:          [1.2, 1.5, 1.8, 2.2],
+  ATR_MUL:     [0.8, 1.0, 1.3],
+  MAX_PB_ATR:  [0.25, 0.4, 0.6],
+  MIN_CONF:    [60, 65, 70, 75],
+  MAX_HOLD:    [10, 20, 30],
+  COOLDOWN:    [3, 5, 10],
+};
+
+// ── Deterministic PRNG so random searches are reproducible ──
+function mulberry32(seed) {
+  return () => {
+    seed |= 0; seed = seed + 0x6D2B79F5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+// ── Cartesian product of the grid → [{ RR, ATR_MUL, ... }] ──
+function expandGrid(grid) {
+  return Object.entries(grid).reduce(
+    (combos, [key, values]) => combos.flatMap(c => values.map(v => ({ ...c, [key]: v }))),
+    [{}]
+  );
+}
+
+export class ScalpOptimizer {
+  constructor(options = {}) {
+    this.symbol        = options.symbol || 'XAU/USD';
+    this.candles1m     = options.candles1m || [];
+    // Missing 5m / 1h are aggregated once here, not in every backtest the search runs
+    this.candles5m     = options.candles5m?.length ? options.candles5m : aggregateCandles(this.candles1m, AGGREGATE_INTERVALS['5min']);
+    this.candles1h     = options.candles1h?.length ? options.candles1h : aggregateCandles(this.candles1m, AGGREGATE_INTERVALS['1h']);
+    this.grid          = options.grid || DEFAULT_PARAM_GRID;
+    this.mode          = options.mode || 'random';      // 'grid' | 'random'
+    this.samples       = options.samples || 60;         // random mode only
+    this.seed          = options.seed ?? 1;
+    this.inSampleDays  = options.inSampleDays  || 60;
+    this.outSampleDays = options.outSampleDays || 20;
+    this.stepDays      = options.stepDays || this.outSampleDays;
+    this.minTrades     = options.minTrades ?? 10;       // in-sample trades needed to qualify
+    this.engineOptions = options.engineOptions || {};
+  }
+
+  // ── Parameter sets to evaluate in every window ──
+  candidates() {
+    if (this.mode === 'grid') return expandGrid(this.grid);
+    const rand = mulberry32(this.seed);
+    const seen = new Set();
+    const out  = [];
+    const max  = expandGrid(this.grid).length;
+    while (out.length < Math.min(this.samples, max)) {
+      const params = Object.fromEntries(
+        Object.entries(this.grid).map(([key, values]) => [key, values[Math.floor(rand() * values.length)]])
+      );
+      const key = JSON.stringify(params);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push(params);
+    }
+    return out;
+  }
+
+  // ── Rolling [in-sample | out-of-sample] windows aligned to UTC days ──
+  windows() {
+    const c1m = this.candles1m;
+    if (!c1m.length) return [];
+    const start = Math.floor(c1m[0].ts / MS_DAY) * MS_DAY;
+    const end   = c1m[c1m.length - 1].ts + 60000;
+    const out   = [];
+    for (let isFrom = start; ; isFrom += this.stepDays * MS_DAY) {
+      const isTo  = isFrom + this.inSampleDays * MS_DAY;
+      const oosTo = isTo + this.outSampleDays * MS_DAY;
+      if (oosTo > end) break;
+      out.push({ isFrom, isTo, oosFrom: isTo, oosTo });
+    }
+    return out;
+  }
+
+  _backtest(params, from, to) {
+    const bt = new ScalpBacktester({
+      symbol:        this.symbol,
+      candles1m:     this.candles1m,
+      candles5m:     this.candles5m,
+      candles1h:     this.candles1h,
+      engineOptions: { ...this.engineOptions, config: { ...(this.engineOptions.config || {}), ...params } },
+    });
+    return bt.run({ from, to }).summary;
+  }
+
+  // ── Best in-sample params: highest expectancy with enough trades ──
+  _selectBest(results) {
+    const qualified = results.filter(r => r.summary.trades >= this.minTrades);
+    if (!qualified.length) return null;
+    return qualified.reduce((best, r) => {
+      if (r.summary.expectancy > best.summary.expectancy) return r;
+      if (r.summary.expectancy === best.summary.expectancy && r.summary.trades > best.summary.trades) return r;
+      return best;
+    });
+  }
+
+  // ── Run the walk-forward. onProgress(windowIndex, windowCount) is optional ──
+  run(onProgress) {
+    const candidates = this.candidates();
+    const windows    = this.windows();
+    const live       = new ScalpEngine(this.engineOptions).configFor(this.symbol); // symbol's profile
+    const liveParams = Object.fromEntries(Object.keys(this.grid).map(k => [k, live[k]]));
+    const report     = [];
+
+    windows.forEach((w, idx) => {
+      if (onProgress) onProgress(idx, windows.length);
+      const results = candidates.map(params => ({ params, summary: this._backtest(params, w.isFrom, w.isTo) }));
+      const best    = this._selectBest(results);
+      report.push({
+        ...w,
+        params:     best ? best.params : null,
+        inSample:   best ? best.summary : null,
+        outSample:  best ? this._backtest(best.params, w.oosFrom, w.oosTo) : null,
+        baseline:   this._backtest(liveParams, w.oosFrom, w.oosTo),   // live profile config, same OOS slice
+      });
+    });
+
+    return {
+      symbol:     this.symbol,
+      mode:       this.mode,
+      candidates: candidates.length,
+      windows:    report,
+      aggregate:  {
+        optimized: this._aggregate(report.map(w => w.outSample).filter(Boolean)),
+        baseline:  this._aggregate(report.map(w => w.baseline)),
+      },
+    };
+  }
+
+  // ── Pool out-of-sample summaries into trade-weighted totals ──
+  _aggregate(summaries) {
+    const trades = summaries.reduce((sum, s) => sum + s.trades, 0);
+    const totalR = summaries.reduce((sum, s) => sum + s.totalR, 0);
+    return {
+      windows:    summaries.length,
+      trades,
+      totalR:     +totalR.toFixed(2),
+      expectancy: trades ? +(totalR / trades).toFixed(3) : 0,
+      positiveWindows: summaries.filter(s => s.totalR > 0).length,
+    };
+  }
+}
@@ -0,0 +1,167 @@
+import fs from 'fs';
+
+// ═══════════════════════════════════════════════════════════════
+// SessionCalendar.js — when each symbol may trade
+// A profile lists named windows in a market timezone (DST-aware):
+//   SESSIONS: [{ name: 'ny_open', start: '09:30', end: '11:30',
+//                tz: 'America/New_York', days: [1,2,3,4,5] }]
+// Without SESSIONS the profile's HOUR_START-HOUR_END (UTC, Mon-Fri)
+// is the single window. A local calendar file (SESSION_CALENDAR_FILE)
+// removes holidays and shortens early-close days:
+//   { "holidays":    [{ "date": "2026-12-25", "symbols": ["*"], "name": "Christmas" }],
+//     "earlyCloses": [{ "date": "2026-11-27", "close": "13:00", "tz": "America/New_York",
+//                       "symbols": ["index"] }] }
+// `date` is the window's local date; `symbols` lists symbols and/or
+// profile names ("*" or missing = all). One calendar is shared by
+// the engine, the poll loop and the shutdown scheduler.
+// ═══════════════════════════════════════════════════════════════
+
+const MS_DAY = 86400000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = {};
+function formatterFor(tz) {
+  return formatters[tz] || (formatters[tz] = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }));
+}
+
+// ── Wall-clock parts of ts in tz ──
+function localParts(ts, tz) {
+  if (tz === 'UTC') {
+    const d = new Date(ts);
+    return { y: d.getUTCFullYear(), m: d.getUTCMonth() + 1, d: d.getUTCDate(), weekday: d.getUTCDay(),
+             hh: d.getUTCHours(), mm: d.getUTCMinutes(), ss: d.getUTCSeconds() };
+  }
+  const p = Object.fromEntries(formatterFor(tz).formatToParts(ts).map(x => [x.type, x.value]));
+  return { y: +p.year, m: +p.month, d: +p.day, weekday: WEEKDAYS[p.weekday], hh: +p.hour, mm: +p.minute, ss: +p.second };
+}
+
+// ── tz offset (ms, local - UTC) at ts ──
+function tzOffset(ts, tz) {
+  if (tz === 'UTC') return 0;
+  const p = localParts(ts, tz);
+  return Date.UTC(p.y, p.m - 1, p.d, p.hh, p.mm, p.ss) - Math.floor(ts / 1000) * 1000;
+}
+
+// ── UTC ms of a wall-clock time in tz (re-checked across DST jumps) ──
+export function zonedTimeToUtc(y, m, d, hh, mm, tz) {
+  const guess = Date.UTC(y, m - 1, d, hh, mm);
+  const first = guess - tzOffset(guess, tz);
+  return guess - tzOffset(first, tz);
+}
+
+const parseHHMM = str => str.split(':').map(Number);
+const dateKey   = (y, m, d) => `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+
+function appliesTo(entry, symbol, profile) {
+  const list = entry.symbols;
+  return !list || !list.length || list.includes('*') || list.includes(symbol) || list.includes(profile);
+}
+
+export class SessionCalendar {
+  // options.file:        calendar JSON (SESSION_CALENDAR_FILE)
+  // options.holidays / options.earlyCloses: same entries as the file
+  constructor(options = {}) {
+    const file = options.file ?? process.env.SESSION_CALENDAR_FILE;
+    let data = {};
+    if (file) {
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (err) {
+        console.error(`⚠️ Session calendar unreadable (${file}): ${err.message}`);
+      }
+    }
+    this.holidays    = [...(data.holidays || []),    ...(options.holidays || [])];
+    this.earlyCloses = [...(data.earlyCloses || []), ...(options.earlyCloses || [])];
+    this._cache      = new WeakMap();   // cfg → Map(key → windows)
+  }
+
+  // ── Window definitions for a resolved profile config ──
+  definitions(cfg) {
+    if (cfg.SESSIONS?.length) return cfg.SESSIONS;
+    const pad = h => `${String(h).padStart(2, '0')}:00`;
+    return [{ name: 'session', start: pad(cfg.HOUR_START), end: pad(cfg.HOUR_END), tz: 'UTC' }];
+  }
+
+  // ── "ny_open 09:30-11:30 America/New_York" ──
+  describe(cfg) {
+    return this.definitions(cfg).map(w => `${w.name} ${w.start}-${w.end} ${w.tz || 'UTC'}`).join(', ');
+  }
+
+  // ── Concrete windows [{ name, start, end }] (UTC ms) for the local days
+  //    around one UTC day, after holidays / early closes ──
+  _windowsAround(symbol, profile, cfg, utcDay) {
+    let byKey = this._cache.get(cfg);
+    if (!byKey) this._cache.set(cfg, byKey = new Map());
+    const key = `${symbol}|${profile}|${utcDay}`;
+    if (byKey.has(key)) return byKey.get(key);
+
+    const out = [];
+    for (const def of this.definitions(cfg)) {
+      const tz   = def.tz || 'UTC';
+      const days = def.days || [1, 2, 3, 4, 5];
+      const [sh, sm] = parseHHMM(def.start);
+      const [eh, em] = parseHHMM(def.end);
+      for (let offset = -1; offset <= 1; offset++) {
+        const p = localParts(utcDay + offset * MS_DAY + 12 * 3600000, tz); // midday: safe local date
+        if (!days.includes(p.weekday)) continue;
+        const date = dateKey(p.y, p.m, p.d);
+        if (this.holidays.some(h => h.date === date && appliesTo(h, symbol, profile))) continue;
+
+        const start = zonedTimeToUtc(p.y, p.m, p.d, sh, sm, tz);
+        let end     = zonedTimeToUtc(p.y, p.m, p.d, eh, em, tz);
+        if (end <= start) end += MS_DAY; // window crosses local midnight
+        for (const ec of this.earlyCloses) {
+          if (ec.date !== date || !appliesTo(ec, symbol, profile)) continue;
+          const [ch, cm] = parseHHMM(ec.close);
+          end = Math.min(end, zonedTimeToUtc(p.y, p.m, p.d, ch, cm, ec.tz || tz));
+        }
+        if (end > start) out.push({ name: def.name, start, end });
+      }
+    }
+    out.sort((a, b) => a.start - b.start);
+    byKey.set(key, out);
+    return out;
+  }
+
+  // ── Window open at ts, or null ──
+  isOpen(symbol, profile, cfg, ts) {
+    const day = Math.floor(ts / MS_DAY) * MS_DAY;
+    return this._windowsAround(symbol, profile, cfg, day).find(w => ts >= w.start && ts < w.end) || null;
+  }
+
+  // ── Windows not yet ended at ts, over the next `days` days, sorted ──
+  // entries: [{ symbol, profile, cfg }]
+  upcoming(entries, ts, days = 7) {
+    const seen = new Set();
+    const out  = [];
+    const day0 = Math.floor(ts / MS_DAY) * MS_DAY;
+    for (let d = 0; d <= days; d++) {
+      for (const { symbol, profile, cfg } of entries) {
+        for (const w of this._windowsAround(symbol, profile, cfg, day0 + d * MS_DAY)) {
+          const id = `${symbol}|${w.name}|${w.start}`;
+          if (w.end <= ts || seen.has(id)) continue;
+          seen.add(id);
+          out.push({ ...w, symbol });
+        }
+      }
+    }
+    return out.sort((a, b) => a.start - b.start);
+  }
+
+  // ── The next trading day's span for a watchlist: first start → last end
+  //    of the windows on the UTC day of the next window (null = none in range) ──
+  nextSessionDay(entries, ts, days = 7) {
+    const windows = this.upcoming(entries, ts, days);
+    if (!windows.length) return null;
+    const day  = Math.floor(windows[0].start / MS_DAY);
+    const same = windows.filter(w => Math.floor(w.start / MS_DAY) === day);
+    return {
+      start:   Math.min(...same.map(w => w.start)),
+      end:     Math.max(...same.map(w => w.end)),
+      windows: same,
+    };
+  }
+}
@@ -0,0 +1,45 @@
+import fs from 'fs';
+import path from 'path';
+
+// ═══════════════════════════════════════════════════════════════
+// StateStore.js — crash-safe JSON state file
+// One document with a section per component ({ engine: {...} }).
+// Every set() rewrites the file atomically (write tmp → rename), so
+// a crash mid-write leaves the previous version intact.
+// ═══════════════════════════════════════════════════════════════
+
+export class StateStore {
+  constructor(options = {}) {
+    this.file = options.file || process.env.SCALP_STATE_FILE || '/tmp/scalp_agent_state.json';
+    this.data = this._read();
+  }
+
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`⚠️ State file unreadable, starting fresh: ${err.message}`);
+      return {};
+    }
+  }
+
+  get(key) {
+    return this.data[key] ?? null;
+  }
+
+  set(key, value) {
+    this.data[key] = value;
+    this._write();
+  }
+
+  _write() {
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmp, this.file);
+    } catch (err) {
+      console.error(`❌ State write failed:`, err.message);
+    }
+  }
+}
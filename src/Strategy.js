@@ -0,0 +1,105 @@
+// ═══════════════════════════════════════════════════════════════
+// Strategy.js — interface every setup plugged into ScalpEngine implements
+// The engine owns the candle store (1m / 5m / 1h per symbol), the
+// shared filters (session, news, cooldown, one open trade per
+// strategy and symbol, risk limits) and the trade lifecycle. A
+// strategy only decides:
+//   config(base)            its config for a symbol: the symbol's
+//                           profile config + the strategy's overrides
+//   indicators(cfg)         streamed indicators it reads, per interval
+//   evaluate(ctx)           HOLD, or an entry with SL / TP (ctx below)
+//   resolve(trade, bar, ctx) exit on a closed 1m bar, or null
+// Each registered strategy gets its own open trade, cooldown and
+// stats per symbol, and its own MT5 magic number, so several setups
+// can trade the same symbol side by side.
+// ═══════════════════════════════════════════════════════════════
+
+export class Strategy {
+  // options.name:   registry key, recorded on every trade (trade.strategy)
+  // options.tag:    short id in trade ids — MT5 order comments hold 31 chars
+  // options.magic:  MT5 magic number for this strategy's orders (0 = EA default)
+  // options.config: SCALP_CONFIG overrides for this strategy only (RR, COOLDOWN, SESSIONS, ...)
+  constructor(options = {}) {
+    this.name      = options.name  || 'base';
+    this.tag       = options.tag   || this.name.slice(0, 3);
+    this.magic     = options.magic || 0;
+    this.overrides = options.config || {};
+  }
+
+  // ── Effective config for a symbol: the engine's (SCALP_CONFIG ← profile ← options.config) ← overrides ──
+  config(base) {
+    return { ...base, ...this.overrides };
+  }
+
+  // ── Indicators to stream for a symbol: { interval: IndicatorSet spec }
+  //    ({ '1min': { e21: ['ema', 21] } }). The engine creates them before
+  //    history is loaded and advances them bar by bar; read them back with
+  //    engine.indicatorSet(symbol, interval, spec).last / .prev ──
+  indicators(cfg) {
+    return {};
+  }
+
+  // ── Entry decision. ctx: { engine, symbol, price, ts, cfg, trace }
+  //    engine gives read access to the candle store and shared filters
+  //    (candles1m / indicatorSet / get5mTrendDetail / get1hMacro / getDirection).
+  //    Every check goes through trace.check(gate, pass, values).
+  //    Returns { action: 'HOLD', reason } or
+  //    { action: 'SELL' | 'BUY', signal: { sl, tp, risk, atr, confidence, reasons, scoring?, ... }, snapshot } ──
+  evaluate(ctx) {
+    throw new Error(`${this.constructor.name}.evaluate not implemented`);
+  }
+
+  // ── Exit decision for a simulated trade on a closed 1m bar.
+  //    ctx: { cfg, now, ageMin, maxHold, riskOf, blendR, outcomeOf, partial }
+  //    partial(): lets the engine take the PARTIAL_AT_R profit at this point.
+  //    Returns { outcome, rPnL, price } or null (still open).
+  //    Default: fixed SL / TP / max hold, SL checked first (worst case). ──
+  resolve(trade, bar, ctx) {
+    const h     = bar.high || bar.h;
+    const l     = bar.low  || bar.l;
+    const isBuy = trade.action === 'BUY';
+    const sl    = trade.sl;
+
+    // SL with the stop from the previous bar (SELL: price goes up | BUY: price goes down)
+    if (isBuy ? l <= sl : h >= sl) {
+      const moved = sl !== (trade.initialSl ?? sl);
+      const exitR = moved ? (isBuy ? sl - trade.entryPrice : trade.entryPrice - sl) / ctx.riskOf(trade) : -1;
+      const rPnL  = ctx.blendR(exitR);
+      return { outcome: moved || trade.partialDone ? ctx.outcomeOf(rPnL) : 'LOSS', rPnL, price: sl };
+    }
+
+    // Partial take-profit on the way to TP
+    ctx.partial();
+
+    // TP (SELL: price goes down | BUY: price goes up)
+    if (isBuy ? h >= trade.tp : l <= trade.tp) {
+      return { outcome: 'WIN', rPnL: ctx.blendR(trade.rr ?? ctx.cfg.RR), price: trade.tp };
+    }
+
+    // Max hold time
+    if (ctx.ageMin >= ctx.maxHold) {
+      const rPnL = ctx.blendR(-0.15);
+      return { outcome: trade.partialDone ? ctx.outcomeOf(rPnL) : 'EXPIRED', rPnL, price: bar.close || bar.c };
+    }
+    return null;
+  }
+
+  // ── 1m ATR inside the profile's volatility limits (gate 'atr_range') ──
+  checkAtr(trace, cfg, atrVal, price) {
+    return trace.check('atr_range', atrInRange(cfg, atrVal, price), {
+      atr: atrVal, atrPct: atrVal / price * 100,
+      minAtr: cfg.MIN_ATR, maxAtr: cfg.MAX_ATR, minAtrPct: cfg.MIN_ATR_PCT, maxAtrPct: cfg.MAX_ATR_PCT,
+    });
+  }
+}
+
+// ── MIN_ATR / MAX_ATR (price units) and MIN_ATR_PCT / MAX_ATR_PCT (% of price), 0 = off ──
+export function atrInRange(cfg, atrVal, price) {
+  if (!atrVal) return false;
+  const pct = atrVal / price * 100;
+  if (cfg.MIN_ATR     > 0 && atrVal < cfg.MIN_ATR)     return false;
+  if (cfg.MAX_ATR     > 0 && atrVal > cfg.MAX_ATR)     return false;
+  if (cfg.MIN_ATR_PCT > 0 && pct    < cfg.MIN_ATR_PCT) return false;
+  if (cfg.MAX_ATR_PCT > 0 && pct    > cfg.MAX_ATR_PCT) return false;
+  return true;
+}
@@ -0,0 +1,107 @@
+import fs from 'fs';
+
+// ═══════════════════════════════════════════════════════════════
+// StrategyProfiles.js — named per-symbol overrides of SCALP_CONFIG
+// A profile only lists what differs from its parent (`extends`,
+// default 'base'); 'base' is SCALP_CONFIG itself. ScalpEngine
+// merges SCALP_CONFIG ← profile chain ← options.config per symbol.
+// Symbol → profile: SCALP_PROFILES / options.symbolProfiles first,
+// then SYMBOL_PROFILES, then a guess from the symbol shape.
+// Only 'gold' is backtested; 'fx' and 'index' are starting points
+// with scale-free ATR limits (% of price) — tune them before going live.
+// ═══════════════════════════════════════════════════════════════
+
+export const STRATEGY_PROFILES = {
+  base: {},
+  gold: {
+    MIN_ATR:     0.3,     // $0.30 1m ATR — quieter tape is noise
+  },
+  fx: {
+    DIRECTION:   'BOTH',
+    SESSIONS:    [{ name: 'ldn_ny_overlap', start: '08:00', end: '11:00', tz: 'America/New_York' }],
+    RR:          1.5,
+    MIN_ATR_PCT: 0.004,   // ≈ 0.4 pip on EUR/USD
+  },
+  index: {
+    DIRECTION:   'BOTH',
+    SESSIONS:    [{ name: 'ny_open', start: '09:30', end: '11:30', tz: 'America/New_York' }], // first two cash hours
+    RR:          1.5,
+    ATR_MUL:     1.2,
+    MIN_ATR_PCT: 0.008,
+    MAX_ATR_PCT: 0.15,    // skip open-auction spikes
+  },
+};
+
+export const SYMBOL_PROFILES = {
+  'XAU/USD': 'gold',
+};
+
+const INDEX_SYMBOLS = /^(US30|US500|US100|NAS100|SPX500|SPX|NDX|DJI|GER40|DE40|UK100|FRA40|JP225|USTEC)$/i;
+const FX_SYMBOL     = /^[A-Z]{3}\/[A-Z]{3}$/;
+const METALS        = /^X(AU|AG|PT|PD)\//;
+
+// ── Profile name for a symbol ──
+export function profileNameFor(symbol, symbolProfiles = {}) {
+  if (symbolProfiles[symbol]) return symbolProfiles[symbol];
+  if (SYMBOL_PROFILES[symbol]) return SYMBOL_PROFILES[symbol];
+  if (INDEX_SYMBOLS.test(symbol)) return 'index';
+  if (FX_SYMBOL.test(symbol) && !METALS.test(symbol)) return 'fx';
+  return 'base';
+}
+
+// ── Flatten a profile and its parents (child wins) ──
+export function resolveProfile(name, profiles = STRATEGY_PROFILES) {
+  const chain = [];
+  for (let cur = name; cur; ) {
+    if (chain.includes(cur)) throw new Error(`Strategy profile cycle: ${[...chain, cur].join(' → ')}`);
+    const profile = profiles[cur];
+    if (!profile) throw new Error(`Unknown strategy profile: ${cur}`);
+    chain.push(cur);
+    cur = profile.extends || (cur === 'base' ? null : 'base');
+  }
+  const merged = {};
+  for (const cur of chain.reverse()) {
+    const { extends: _parent, ...params } = profiles[cur];
+    Object.assign(merged, params);
+  }
+  return merged;
+}
+
+// ── SCALP_PROFILES=XAU/USD:gold,US30:index + SCALP_PROFILES_FILE ──
+// File: { "profiles": { "nas": { "extends": "index", "RR": 2 } },
+//         "symbols":  { "NAS100": "nas" } }
+export function loadProfiles(env = process.env) {
+  let file = {};
+  if (env.SCALP_PROFILES_FILE) {
+    try {
+      file = JSON.parse(fs.readFileSync(env.SCALP_PROFILES_FILE, 'utf8'));
+    } catch (err) {
+      console.error(`⚠️ Strategy profiles file unreadable (${env.SCALP_PROFILES_FILE}): ${err.message}`);
+    }
+  }
+  const profiles = { ...STRATEGY_PROFILES, ...(file.profiles || {}) };
+  const known    = Object.keys(profiles);
+
+  // Malformed entries / unknown profile names are skipped with a warning (the guess from the symbol applies)
+  const fromEnv = Object.fromEntries(
+    (env.SCALP_PROFILES || '').split(',').map(pair => pair.trim()).filter(Boolean).flatMap(pair => {
+      const idx     = pair.lastIndexOf(':');
+      const symbol  = idx > 0 ? pair.slice(0, idx).trim() : '';
+      const profile = pair.slice(idx + 1).trim();
+      if (!symbol || !profiles[profile]) {
+        console.warn(`⚠️ SCALP_PROFILES: ignoring '${pair}' (expected SYMBOL:${known.join('|')})`);
+        return [];
+      }
+      return [[symbol, profile]];
+    })
+  );
+  const fromFile = Object.fromEntries(Object.entries(file.symbols || {}).filter(([symbol, profile]) => {
+    if (profiles[profile]) return true;
+    console.warn(`⚠️ ${env.SCALP_PROFILES_FILE}: ignoring ${symbol} → unknown profile '${profile}'`);
+    return false;
+  }));
+  return {
+    profiles,
+    symbolProfiles: { ...fromFile, ...fromEnv },
+  };
+}
@@ -0,0 +1,254 @@
+// ═══════════════════════════════════════════════════════════════
+// StreamingIndicators.js — indicators updated one bar at a time
+// Each stream keeps only its running state (a few numbers, short
+// windows), so a new bar costs the same whatever the history length
+// and a long history can be replayed once at start-up as the seed.
+// Numerics follow technicalindicators' full recalculation (SMA-seeded
+// EMA / Wilder averages, RSI rounded to 2 dp), so a stream seeded
+// from the same bars returns the same last values.
+// IndicatorSet groups the streams of one candle series:
+//   push(candle)  new ts → advance | same ts → replace the forming bar
+//                 (state rolled back, then re-applied) | older → ignored
+//   last / prev   { name: value } at the last bar / the bar before
+// ═══════════════════════════════════════════════════════════════
+
+// ── Running SMA with technicalindicators' summation order ──
+function smaNext(st, x, period) {
+  st.win.push(x);
+  if (st.win.length <= period) {
+    st.sum = st.sum + x;
+    return st.win.length === period ? st.sum / period : undefined;
+  }
+  st.sum = st.sum - st.win.shift() + x;
+  return st.sum / period;
+}
+
+// ── Exponential average seeded with the SMA of the first `period` values ──
+function emaNext(st, x, period, k) {
+  st.value = st.value === undefined ? smaNext(st.sma, x, period) : (x - st.value) * k + st.value;
+  return st.value;
+}
+
+const emaState = () => ({ value: undefined, sma: { win: [], sum: 0 } });
+
+// ── Wilder running sum: sum of the first `period` values, then sum − sum/period + x ──
+function wilderNext(st, x, period) {
+  if (st.n < period) {
+    st.n++;
+    st.sum = st.sum + x;
+    if (st.n === period) st.value = st.sum;
+    return st.value;
+  }
+  st.value = st.value - st.value / period + x;
+  return st.value;
+}
+
+function trueRange(st, bar) {
+  const pc = st.prevClose;
+  st.prevClose = bar.close;
+  if (pc === undefined) return undefined;
+  return Math.max(bar.high - bar.low, Math.abs(bar.high - pc) || 0, Math.abs(bar.low - pc) || 0);
+}
+
+class Stream {
+  save()      { return structuredClone(this.s); }
+  load(saved) { this.s = structuredClone(saved); }
+}
+
+export class EmaStream extends Stream {
+  constructor(period) {
+    super();
+    this.period = period;
+    this.k      = 2 / (period + 1);
+    this.s      = emaState();
+  }
+
+  next(bar) {
+    return emaNext(this.s, bar.close, this.period, this.k);
+  }
+}
+
+export class RsiStream extends Stream {
+  constructor(period) {
+    super();
+    this.period = period;
+    this.s      = { last: undefined, n: 0, gainSum: 0, lossSum: 0, avgGain: undefined, avgLoss: undefined, value: undefined };
+  }
+
+  next(bar) {
+    const s = this.s, p = this.period, x = bar.close;
+    if (s.last === undefined) { s.last = x; return undefined; }
+    const gain = x > s.last ? x - s.last : 0;
+    const loss = s.last > x ? s.last - x : 0;
+    s.last = x;
+    s.gainSum += gain;
+    s.lossSum += loss;
+    if (++s.n < p) return undefined;
+    if (s.n === p) {
+      s.avgGain = s.gainSum / p;
+      s.avgLoss = s.lossSum / p;
+    } else {
+      s.avgGain = (s.avgGain * (p - 1) + gain) / p;
+      s.avgLoss = (s.avgLoss * (p - 1) + loss) / p;
+    }
+    if (s.avgLoss === 0)      s.value = 100;
+    else if (s.avgGain === 0) s.value = 0;
+    else s.value = parseFloat((100 - 100 / (1 + s.avgGain / s.avgLoss)).toFixed(2));
+    return s.value;
+  }
+}
+
+export class AtrStream extends Stream {
+  constructor(period) {
+    super();
+    this.period = period;
+    this.s      = { prevClose: undefined, wema: emaState() };
+  }
+
+  next(bar) {
+    const tr = trueRange(this.s, bar);
+    return tr === undefined ? undefined : emaNext(this.s.wema, tr, this.period, 1 / this.period);
+  }
+}
+
+export class StochasticStream extends Stream {
+  constructor(period, signalPeriod) {
+    super();
+    this.period       = period;
+    this.signalPeriod = signalPeriod;
+    this.s            = { highs: [], lows: [], d: { win: [], sum: 0 } };
+  }
+
+  next(bar) {
+    const s = this.s;
+    s.highs.push(bar.high);
+    s.lows.push(bar.low);
+    if (s.highs.length > this.period) { s.highs.shift(); s.lows.shift(); }
+    if (s.highs.length < this.period) return undefined;
+    const low = Math.min(...s.lows);
+    let k = (bar.close - low) / (Math.max(...s.highs) - low) * 100;
+    if (isNaN(k)) k = 0;   // flat window
+    return { k, d: smaNext(s.d, k, this.signalPeriod) };
+  }
+}
+
+// ── MACD on EMAs (SimpleMAOscillator / SimpleMASignal false) ──
+export class MacdStream extends Stream {
+  constructor(fastPeriod, slowPeriod, signalPeriod) {
+    super();
+    this.periods = [fastPeriod, slowPeriod, signalPeriod];
+    this.s       = { n: 0, fast: emaState(), slow: emaState(), signal: emaState() };
+  }
+
+  next(bar) {
+    const s = this.s, [fp, sp, gp] = this.periods;
+    const fast = emaNext(s.fast, bar.close, fp, 2 / (fp + 1));
+    const slow = emaNext(s.slow, bar.close, sp, 2 / (sp + 1));
+    if (++s.n < sp) return undefined;
+    const MACD      = fast - slow;
+    const signal    = emaNext(s.signal, MACD, gp, 2 / (gp + 1));
+    const histogram = MACD - signal;
+    return { MACD, signal: signal || undefined, histogram: isNaN(histogram) ? undefined : histogram };
+  }
+}
+
+export class AdxStream extends Stream {
+  constructor(period) {
+    super();
+    this.period = period;
+    this.s      = {
+      prevClose: undefined, prevBar: null,
+      tr: { n: 0, sum: 0, value: undefined }, pdm: { n: 0, sum: 0, value: undefined }, mdm: { n: 0, sum: 0, value: undefined },
+      dx: emaState(), adx: undefined,
+    };
+  }
+
+  next(bar) {
+    const s = this.s, p = this.period;
+    const tr   = trueRange(s, bar);
+    const last = s.prevBar;
+    s.prevBar  = { high: bar.high, low: bar.low };
+    if (tr === undefined) return undefined;
+
+    const up   = bar.high - last.high;
+    const down = last.low - bar.low;
+    const atr  = wilderNext(s.tr,  tr, p);
+    const apdm = wilderNext(s.pdm, up > down && up > 0 ? up : 0, p);
+    const amdm = wilderNext(s.mdm, down > up && down > 0 ? down : 0, p);
+    if (atr === undefined) return undefined;
+
+    const pdi = apdm * 100 / atr;
+    const mdi = amdm * 100 / atr;
+    s.adx = emaNext(s.dx, Math.abs(pdi - mdi) / (pdi + mdi) * 100, p, 1 / p);
+    return s.adx === undefined ? undefined : { adx: s.adx, pdi, mdi };
+  }
+}
+
+export const STREAMS = {
+  ema:   EmaStream,
+  rsi:   RsiStream,
+  atr:   AtrStream,
+  stoch: StochasticStream,
+  macd:  MacdStream,
+  adx:   AdxStream,
+};
+
+export class IndicatorSet {
+  // spec: { name: [type, ...periods] } — { e21: ['ema', 21], stoch: ['stoch', 5, 3], macd: ['macd', 5, 13, 4] }
+  constructor(spec) {
+    this.spec    = spec;
+    this.streams = Object.entries(spec).map(([name, [type, ...periods]]) => {
+      const Impl = STREAMS[type];
+      if (!Impl) throw new Error(`Unknown indicator "${type}" (${Object.keys(STREAMS).join(' | ')})`);
+      return [name, new Impl(...periods)];
+    });
+    this.bars    = 0;      // bars applied (forming-bar updates count once)
+    this.lastTs  = null;
+    this.last    = {};
+    this.prev    = {};
+    this._before = null;   // state before the last bar — undone when it is replaced
+  }
+
+  push(candle) {
+    if (this.lastTs !== null && candle.ts < this.lastTs) return false;
+    if (candle.ts === this.lastTs) {
+      this._restore(this._before);
+    } else {
+      this._before = this._save();
+      this.lastTs  = candle.ts;
+    }
+    const bar = {
+      high:  candle.high  || candle.h,
+      low:   candle.low   || candle.l,
+      close: candle.close || candle.c,
+    };
+    for (const [name, stream] of this.streams) {
+      this.prev[name] = this.last[name];
+      this.last[name] = stream.next(bar);
+    }
+    this.bars++;
+    return true;
+  }
+
+  // ── Replay a history (seed); bars already applied are skipped ──
+  seed(candles) {
+    for (const c of candles) this.push(c);
+    return this;
+  }
+
+  _save() {
+    return {
+      bars:   this.bars,
+      last:   { ...this.last },
+      prev:   { ...this.prev },
+      states: this.streams.map(([, stream]) => stream.save()),
+    };
+  }
+
+  _restore(saved) {
+    this.bars = saved.bars;
+    this.last = { ...saved.last };
+    this.prev = { ...saved.prev };
+    this.streams.forEach(([, stream], i) => stream.load(saved.states[i]));
+  }
+}
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+
+// ═══════════════════════════════════════════════════════════════
+// TradeJournal.js — permanent record of every signal and its outcome
+// Storage: {dir}/journal_YYYY-MM-DD.jsonl (UTC day of the signal),
+// append-only: one "signal" line when a trade fires, one "close"
+// line when it resolves. Readers merge the two by trade id, so a
+// crash between them just leaves the trade as OPEN.
+// Export as JSON or CSV for one day or a range of days; backtest
+// trades use the same row format (toRow) for side-by-side analysis.
+// ═══════════════════════════════════════════════════════════════
+
+const MS_DAY = 86400000;
+
+export const JOURNAL_COLUMNS = [
+  'id', 'symbol', 'strategy', 'action', 'status', 'result',
+  'openTime', 'closeTime', 'holdMin',
+  'entryPrice', 'sl', 'initialSl', 'tp', 'closePrice', 'risk', 'rPnL', 'pnl', 'closeReason', 'ticket', 'lotSize', 'riskMoney', 'confidence', 'scoring',
+  'macro1h', 'trend5m', 'adx5m',
+  'rsi', 'stochK', 'stochD', 'macd', 'macdSignal', 'macdHist',
+  'atr', 'ema8', 'ema21', 'distToEMA', 'pullbackAtr',
+  'reasons',
+];
+
+const dayOf = ts => new Date(ts).toISOString().slice(0, 10);
+
+// ── Flatten a trade (open or resolved) into one journal row ──
+export function toRow(trade) {
+  const closed = trade.result !== undefined && trade.result !== null;
+  return {
+    id:         trade.id,
+    symbol:     trade.symbol,
+    strategy:   trade.strategy ?? null,       // older records predate strategy plugins
+    action:     trade.action,
+    status:     closed ? 'CLOSED' : 'OPEN',
+    result:     trade.result ?? null,
+    openTime:   trade.openTime  ? new Date(trade.openTime).toISOString()  : null,
+    closeTime:  trade.closeTime ? new Date(trade.closeTime).toISOString() : null,
+    holdMin:    trade.closeTime ? +((trade.closeTime - trade.openTime) / 60000).toFixed(1) : null,
+    entryPrice: trade.entryPrice,
+    sl:         trade.sl,                   // final stop (after breakeven / trailing)
+    initialSl:  trade.initialSl ?? trade.sl,
+    tp:         trade.tp,
+    closePrice: trade.closePrice ?? null,
+    risk:       trade.risk,
+    rPnL:       trade.rPnL ?? null,
+    pnl:        trade.pnl ?? null,          // broker P&L (account currency), MT5 closes only
+    closeReason: trade.closeReason ?? null, // NEWS | SL | TP | EXPIRED | EA | MANUAL ... (MT5)
+    ticket:     trade.ticket ?? trade.broker?.ticket ?? null,
+    lotSize:    trade.lotSize ?? null,
+    riskMoney:  trade.riskMoney ?? null,      // 1R in account currency
+    confidence: trade.confidence,
+    scoring:    trade.scoring ? trade.scoring.join('; ') : null,   // confidence components (scalp_calibrate.js)
+    ...(trade.snapshot || {}),
+    reasons:    (trade.reasons || []).join('; '),
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = typeof value === 'number' ? String(+value.toFixed(6)) : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// ── Rows → CSV text (JOURNAL_COLUMNS order) ──
+export function toCSV(rows) {
+  const lines = [JOURNAL_COLUMNS.join(',')];
+  for (const row of rows) lines.push(JOURNAL_COLUMNS.map(col => csvCell(row[col])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+export class TradeJournal {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.SCALP_JOURNAL_DIR || '/tmp/scalp_journal';
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  _file(day) {
+    return path.join(this.dir, `journal_${day}.jsonl`);
+  }
+
+  _append(day, record) {
+    try {
+      fs.appendFileSync(this._file(day), JSON.stringify(record) + '\n');
+    } catch (err) {
+      console.error(`❌ Journal write failed:`, err.message);
+    }
+  }
+
+  // ── A trade fired (engine trade object) ──
+  recordSignal(trade) {
+    this._append(dayOf(trade.openTime), { event: 'signal', loggedAt: Date.now(), trade });
+  }
+
+  // ── A trade resolved (resolveOpenTrades / restore / MT5 close).
+  //    A later close line for the same id (broker correction) wins. ──
+  recordClose(result) {
+    this._append(dayOf(result.openTime), {
+      event:      'close',
+      loggedAt:   Date.now(),
+      id:         result.id,
+      result:     result.result,
+      rPnL:       result.rPnL,
+      closePrice: result.closePrice,
+      closeTime:  result.closeTime,
+      closeReason: result.closeReason,      // NEWS (flattened) or the MT5 reason
+      ...(result.broker && {
+        entryPrice:  result.entryPrice,
+        pnl:         result.pnl,
+        ticket:      result.ticket,
+      }),
+    });
+  }
+
+  // ── Merged trades for one UTC day ('YYYY-MM-DD') ──
+  readDay(day) {
+    let text;
+    try {
+      text = fs.readFileSync(this._file(day), 'utf8');
+    } catch {
+      return [];
+    }
+    const trades = new Map();
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let rec;
+      try { rec = JSON.parse(line); } catch { continue; /* skip torn line */ }
+      if (rec.event === 'signal') {
+        trades.set(rec.trade.id, { ...rec.trade, ...(trades.get(rec.trade.id) || {}) });
+      } else if (rec.event === 'close') {
+        const { event, loggedAt, ...outcome } = rec;
+        trades.set(rec.id, { ...(trades.get(rec.id) || {}), ...outcome });
+      }
+    }
+    return [...trades.values()].sort((a, b) => a.openTime - b.openTime);
+  }
+
+  // ── Merged trades for every day in [from, to] (inclusive, 'YYYY-MM-DD') ──
+  readRange(from, to) {
+    const out = [];
+    for (let ts = Date.parse(`${from}T00:00:00Z`); ts <= Date.parse(`${to}T00:00:00Z`); ts += MS_DAY) {
+      out.push(...this.readDay(dayOf(ts)));
+    }
+    return out;
+  }
+
+  // ── Days that have a journal file, ascending ──
+  days() {
+    return fs.readdirSync(this.dir)
+      .map(f => f.match(/^journal_(\d{4}-\d{2}-\d{2})\.jsonl$/)?.[1])
+      .filter(Boolean)
+      .sort();
+  }
+
+  // ── Export trades as 'json' or 'csv' text ──
+  export(trades, format = 'json') {
+    const rows = trades.map(toRow);
+    return format === 'csv' ? toCSV(rows) : JSON.stringify(rows, null, 2);
+  }
+}
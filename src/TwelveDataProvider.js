@@ -0,0 +1,88 @@
+import { MarketDataProvider, INTERVAL_MS } from './MarketDataProvider.js';
+import { parseCandleJSON } from './CandleLoader.js';
+import { RequestScheduler, RequestError } from './RequestScheduler.js';
+
+// ═══════════════════════════════════════════════════════════════
+// TwelveDataProvider.js — candles from api.twelvedata.com
+// Requests go through a RequestScheduler (credit budget per minute /
+// day, spacing, backoff on rate limits and error payloads).
+// Responses are cached per symbol / interval: a repeat request within
+// CACHE_MS of the last one in the same bar is served from the cache,
+// otherwise only the bars since the last cached one are asked for
+// (+ the last one again, it may have been forming) and merged in.
+// timezone=UTC: datetimes otherwise come in the exchange's zone and
+// CandleLoader reads zone-less timestamps as UTC.
+// ═══════════════════════════════════════════════════════════════
+
+const CACHE_MS  = 15000;   // serve a repeat request from the cache for this long (same bar only)
+const CACHE_MAX = 5000;    // bars kept per symbol / interval (TwelveData's outputsize limit)
+
+export class TwelveDataProvider extends MarketDataProvider {
+  // options.scheduler:  RequestScheduler — shared budget (default: one from TWELVEDATA_CREDITS_*)
+  // options.stateStore: StateStore for the default scheduler's daily usage
+  constructor(options = {}) {
+    super({ name: 'twelvedata' });
+    this.apiKey    = options.apiKey || process.env.TWELVEDATA_API_KEY;
+    this.baseUrl   = options.baseUrl || 'https://api.twelvedata.com';
+    this.scheduler = options.scheduler || new RequestScheduler({
+      stateStore: options.stateStore, minIntervalMs: options.minIntervalMs,   // API rate limit
+    });
+    this._cache    = {};   // { 'symbol|interval': { candles, fetchedAt } }
+  }
+
+  async fetchCandles(symbol, interval, outputsize) {
+    const key   = `${symbol}|${interval}`;
+    const ms    = INTERVAL_MS[interval];
+    const now   = Date.now();
+    const entry = this._cache[key];
+    const have  = entry?.candles || [];
+    const last  = have[have.length - 1];
+
+    if (entry && have.length >= outputsize && now - entry.fetchedAt < CACHE_MS
+      && Math.floor(now / ms) === Math.floor(entry.fetchedAt / ms)) {
+      return have.slice(-outputsize);
+    }
+
+    // Only what's new: bars since the last cached one, that one included
+    const size = last && have.length >= outputsize
+      ? Math.min(outputsize, Math.floor((now - last.ts) / ms) + 2)
+      : outputsize;
+
+    let fresh;
+    try {
+      fresh = await this.scheduler.run(`${symbol} ${interval}`, () => this._request(symbol, interval, size));
+    } catch (err) {
+      console.error(`❌ TwelveData ${symbol} ${interval}: ${err.message}`);
+      return have.length ? have.slice(-outputsize) : null;   // the data guard flags it once it goes stale
+    }
+    if (!fresh.length) return have.length ? have.slice(-outputsize) : null;
+
+    const first  = fresh[0].ts;
+    const merged = [...have.filter(c => c.ts < first), ...fresh].slice(-CACHE_MAX);
+    this._cache[key] = { candles: merged, fetchedAt: now };
+    return merged.slice(-outputsize);
+  }
+
+  // ── One HTTP request → candles, or a RequestError (retryable on rate limit / 5xx / network) ──
+  async _request(symbol, interval, outputsize) {
+    const url = `${this.baseUrl}/time_series?symbol=${encodeURIComponent(symbol)}&interval=${interval}&outputsize=${outputsize}&timezone=UTC&apikey=${this.apiKey}`;
+    let res, data;
+    try {
+      res  = await fetch(url);
+      data = await res.json();
+    } catch (err) {
+      throw new RequestError(`network: ${err.message}`, { retryable: true });
+    }
+    if (data.values) return parseCandleJSON(data);
+
+    // Error payload: { status: 'error', code: 429, message: '...' } (HTTP status may still be 200)
+    const code = data.code || res.status;
+    const retryAfter = parseFloat(res.headers.get('retry-after'));
+    throw new RequestError(`${code} ${data.message || data.status || 'no values in response'}`, {
+      code,
+      retryable:    code === 429 || code >= 500,
+      // per-minute credits refill on the minute
+      retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : (code === 429 ? 61000 - Date.now() % 60000 : null),
+    });
+  }
+}
@@ -0,0 +1,43 @@
+import { loadCandleFile, findCandleFile } from './CandleLoader.js';
+import { TRADE_DIRECTIONS } from './ScalpEngine.js';
+
+// ═══════════════════════════════════════════════════════════════
+// cli.js — shared helpers for the offline command-line tools
+// ═══════════════════════════════════════════════════════════════
+
+// ── --key value / --flag → { key: value, flag: true } ──
+export function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key  = argv[i].slice(2);
+    const next = argv[i + 1];
+    args[key] = next && !next.startsWith('--') ? (i++, next) : true;
+  }
+  return args;
+}
+
+// ── --direction SELL|BUY|BOTH → upper-cased, null when absent; throws on anything else ──
+export function parseDirection(value) {
+  if (value === undefined) return null;
+  const direction = String(value).trim().toUpperCase();
+  if (!TRADE_DIRECTIONS.includes(direction)) throw new Error(`Invalid --direction '${value}' (expected ${TRADE_DIRECTIONS.join('|')})`);
+  return direction;
+}
+
+// ── Load 1m/5m/1h candles from --1m/--5m/--1h files or --dir ──
+// 5m / 1h are optional: the backtester aggregates them from 1m.
+export function loadSymbolCandles(args, symbol) {
+  const resolve = (key, interval) => {
+    if (args[key]) return args[key];
+    if (args.dir) return findCandleFile(args.dir, symbol, interval);
+    return null;
+  };
+  const files = { '1m': resolve('1m', '1min'), '5m': resolve('5m', '5min'), '1h': resolve('1h', '1h') };
+  if (!files['1m']) throw new Error(`Missing 1m candle file for ${symbol} (use --1m <file> or --dir <dir>)`);
+  return {
+    candles1m: loadCandleFile(files['1m']),
+    candles5m: files['5m'] ? loadCandleFile(files['5m']) : [],
+    candles1h: files['1h'] ? loadCandleFile(files['1h']) : [],
+  };
+}
@@ -0,0 +1,23 @@
+import { TwelveDataProvider } from './TwelveDataProvider.js';
+import { ReplayProvider }     from './ReplayProvider.js';
+import { FeedProvider }       from './FeedProvider.js';
+
+// ═══════════════════════════════════════════════════════════════
+// dataProviders.js — pick the market data source from the environment
+// MARKET_DATA_PROVIDER = twelvedata (default) | replay | feed
+// options.stateStore: keeps TwelveData's daily credit usage across restarts
+// ═══════════════════════════════════════════════════════════════
+
+export { MarketDataProvider, INTERVAL_MS } from './MarketDataProvider.js';
+export { TwelveDataProvider, ReplayProvider, FeedProvider };
+
+export function createMarketDataProvider(env = process.env, options = {}) {
+  const kind = (env.MARKET_DATA_PROVIDER || 'twelvedata').toLowerCase();
+  switch (kind) {
+    case 'twelvedata': return new TwelveDataProvider({ apiKey: env.TWELVEDATA_API_KEY, stateStore: options.stateStore });
+    case 'replay':     return new ReplayProvider({ dir: env.REPLAY_DIR, start: env.REPLAY_START, speed: parseFloat(env.REPLAY_SPEED) || 1 });
+    case 'feed':       return new FeedProvider({ url: env.FEED_URL });
+    default:
+      throw new Error(`Unknown MARKET_DATA_PROVIDER "${kind}" (twelvedata | replay | feed)`);
+  }
+}
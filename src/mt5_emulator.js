@@ -0,0 +1,61 @@
+import { MT5Emulator } from './MT5Emulator.js';
+import { createMarketDataProvider } from './dataProviders.js';
+import { parseArgs } from './cli.js';
+
+// ═══════════════════════════════════════════════════════════════
+// MT5 EMULATOR — ScalpBridgeEA stand-in for Linux / CI
+// Run next to the agent (MT5_AUTO_TRADE=true) on the same signals dir
+// and the same price feed:
+//   MARKET_DATA_PROVIDER=replay REPLAY_DIR=./data REPLAY_START=2024-03-05T11:55:00Z \
+//     node src/mt5_emulator.js --symbols XAU/USD --spread 20 --slippage 2
+// Options: --dir <signals dir> (MT5_SIGNALS_DIR), --balance <n>,
+//          --spread / --slippage <points>, --netting, --magic <n>,
+//          --poll <ms>, --until <ISO time> (provider clock; exit then)
+// Two processes on a fast replay clock drift apart by their start-up
+// gap × speed — for CI, MT5_EMULATOR=true runs it inside the agent.
+// ═══════════════════════════════════════════════════════════════
+
+async function main() {
+  const args     = parseArgs(process.argv.slice(2));
+  const provider = createMarketDataProvider();
+  const symbols  = String(args.symbols || process.env.SCALP_WATCHLIST || 'XAU/USD').split(',').map(s => s.trim());
+  const num      = key => args[key] !== undefined ? parseFloat(args[key]) : undefined;
+
+  const emulator = new MT5Emulator({
+    provider,
+    symbols,
+    signalsDir:  typeof args.dir === 'string' ? args.dir : undefined,
+    balance:     num('balance'),
+    spread:      num('spread'),
+    slippage:    num('slippage'),
+    magicNumber: num('magic'),
+    hedging:     !args.netting,
+    pollMs:      num('poll'),
+  });
+
+  await provider.connect();
+  emulator.start();
+
+  const until = args.until ? Date.parse(args.until) : null;
+  const stop  = () => {
+    emulator.stop();
+    provider.close();
+    const open = emulator.positions.map(p => `#${p.ticket} ${p.action} ${p.mt5Symbol}`).join(', ');
+    console.log(`👋 MT5 emulator stopped | balance ${emulator.balance.toFixed(2)} ${emulator.currency}${open ? ` | open: ${open}` : ''}`);
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+  if (until) {
+    const timer = setInterval(() => {
+      if (provider.now() < until) return;
+      clearInterval(timer);
+      stop();
+    }, emulator.pollMs);
+  }
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
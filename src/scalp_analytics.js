@@ -0,0 +1,64 @@
+import fs from 'fs';
+import { TradeJournal } from './TradeJournal.js';
+import { analyzeTrades, formatAnalytics } from './PerformanceAnalytics.js';
+import { parseArgs } from './cli.js';
+
+// ═══════════════════════════════════════════════════════════════
+// SCALP ANALYTICS — expectancy, drawdown, streaks, Sharpe / Sortino
+// and breakdowns (time, weekday, symbol, strategy, confidence)
+// Run: node src/scalp_analytics.js --from 2024-03-01 --to 2024-03-31
+//      node src/scalp_analytics.js --all --dir /tmp/scalp_journal
+//      node src/scalp_analytics.js --results bt.json   (scalp_backtest --out)
+// Options: --date YYYY-MM-DD (journal day, default today), --dir <journal dir>
+//          --balance 10000 (currency curve as % of it), --bucket 15 (minutes)
+//          --json (print the report) | --out report.json
+// --results also reads a journal JSON export (array of rows).
+// ═══════════════════════════════════════════════════════════════
+
+function loadTrades(args) {
+  if (args.results) {
+    const data = JSON.parse(fs.readFileSync(String(args.results), 'utf8'));
+    return { source: String(args.results), trades: Array.isArray(data) ? data : data.trades || [] };
+  }
+  const journal = new TradeJournal({ dir: typeof args.dir === 'string' ? args.dir : undefined });
+  if (args.all) {
+    const days = journal.days();
+    return { source: `${journal.dir} (all)`, trades: days.length ? journal.readRange(days[0], days[days.length - 1]) : [] };
+  }
+  if (args.from || args.to) {
+    const today = new Date().toISOString().slice(0, 10);
+    const from  = args.from || args.to, to = args.to || today;
+    return { source: `${journal.dir} ${from} → ${to}`, trades: journal.readRange(from, to) };
+  }
+  const day = args.date || new Date().toISOString().slice(0, 10);
+  return { source: `${journal.dir} ${day}`, trades: journal.readDay(day) };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let loaded;
+  try {
+    loaded = loadTrades(args);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  const report = analyzeTrades(loaded.trades, {
+    balance:   args.balance ? parseFloat(args.balance) : undefined,
+    bucketMin: args.bucket  ? parseInt(args.bucket, 10) : undefined,
+  });
+
+  if (args.json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  } else {
+    console.log(`📊 Performance: ${loaded.source}`);
+    console.log(formatAnalytics(report));
+  }
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    console.log(`💾 Report written to ${args.out}`);
+  }
+}
+
+main();
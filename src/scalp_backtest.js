@@ -0,0 +1,153 @@
+import fs from 'fs';
+import { ScalpBacktester, summarizeTrades } from './ScalpBacktester.js';
+import { parseTimestamp } from './CandleLoader.js';
+import { parseArgs, parseDirection, loadSymbolCandles } from './cli.js';
+import { toRow, toCSV } from './TradeJournal.js';
+import { PositionSizer } from './PositionSizer.js';
+import { NewsFilter } from './NewsFilter.js';
+import { DataQualityGuard } from './DataQualityGuard.js';
+import { formatRejections } from './DecisionTrace.js';
+import { createStrategies } from './strategies.js';
+
+// ═══════════════════════════════════════════════════════════════
+// SCALP BACKTEST — replay local candle files through ScalpEngine
+// Run: node src/scalp_backtest.js --dir ./data --symbol XAU/USD
+//      node src/scalp_backtest.js --1m a.csv --5m b.csv --1h c.json
+// Options: --from 2024-01-01 --to 2024-07-01 --out trades.json
+//          --direction SELL|BUY|BOTH  --csv trades.csv (trade-journal columns)
+//          --traces traces.jsonl (one decision trace per evaluated bar)
+//          --profile gold|fx|index|base (default: the symbol's strategy profile)
+//          --strategies pullback[,other] (default SCALP_STRATEGIES or pullback)
+//          --weights conf_weights.json (pullback confidence weights, scalp_calibrate --out)
+//          --min-conf 65 (overrides the profile's MIN_CONF)
+// Trade management (see SCALP_CONFIG, all off by default):
+//          --be <R> [--be-offset <R>]  --trail <ATR> [--trail-at <R>]
+//          --partial <R> [--partial-pct 0.5]
+// Position sizing (lot size + money P&L per trade):
+//          --balance 10000 [--risk 1] [--specs contract_specs.json]
+// News blackout (events file .csv | .ics | .json):
+//          --news events.csv [--news-before 15] [--news-after 15] [--flatten <min>]
+// Data quality (repair bad bars, hold on gaps / outliers in the lookback):
+//          --data-guard [--outlier-mul 10]
+// Directory naming: {SYMBOL}_{1min|5min|1h}.{csv|json} (XAUUSD_1min.csv)
+// 5min / 1h files are optional — aggregated from 1min when missing
+// ═══════════════════════════════════════════════════════════════
+
+function main() {
+  const args   = parseArgs(process.argv.slice(2));
+  const symbol = args.symbol || 'XAU/USD';
+
+  console.log(`📥 Loading candles for ${symbol}...`);
+  let candles, direction;
+  try {
+    direction = parseDirection(args.direction);
+    candles   = loadSymbolCandles(args, symbol);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+  const { candles1m, candles5m, candles1h } = candles;
+  console.log(`   1min: ${candles1m.length} | 5min: ${candles5m.length} | 1h: ${candles1h.length}`);
+
+  const from = args.from ? parseTimestamp(args.from) : undefined;
+  const to   = args.to   ? parseTimestamp(args.to)   : undefined;
+
+  const engineOptions = direction ? { directions: { [symbol]: direction } } : {};
+  if (args.profile) engineOptions.symbolProfiles = { [symbol]: String(args.profile) };
+  try {
+    engineOptions.strategies = createStrategies({
+      SCALP_STRATEGIES:        args.strategies ? String(args.strategies) : process.env.SCALP_STRATEGIES,
+      SCALP_CONF_WEIGHTS_FILE: typeof args.weights === 'string' ? args.weights : process.env.SCALP_CONF_WEIGHTS_FILE,
+    });
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+  if (engineOptions.strategies.length > 1) console.log(`   Strategies: ${engineOptions.strategies.map(st => st.name).join(', ')}`);
+  const overrides = {
+    BE_AT_R: args.be, BE_OFFSET_R: args['be-offset'],
+    TRAIL_ATR: args.trail, TRAIL_AT_R: args['trail-at'],
+    PARTIAL_AT_R: args.partial, PARTIAL_PCT: args['partial-pct'],
+    MIN_CONF: args['min-conf'],
+  };
+  const config = Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== undefined).map(([k, v]) => [k, parseFloat(v)]));
+  if (Object.keys(config).length) {
+    engineOptions.config = config;
+    console.log(`   Config: ${Object.entries(config).map(([k, v]) => `${k}=${v}`).join(' ')}`);
+  }
+
+  if (args.balance) {
+    engineOptions.positionSizer = new PositionSizer({
+      balance:     parseFloat(args.balance),
+      riskPercent: args.risk ? parseFloat(args.risk) : undefined,
+      specsFile:   typeof args.specs === 'string' ? args.specs : undefined,
+    });
+  }
+
+  if (args.news) {
+    engineOptions.newsFilter = new NewsFilter({
+      file:       String(args.news),
+      beforeMin:  args['news-before'] !== undefined ? parseFloat(args['news-before']) : undefined,
+      afterMin:   args['news-after']  !== undefined ? parseFloat(args['news-after'])  : undefined,
+      flattenMin: args.flatten        !== undefined ? parseFloat(args.flatten)        : undefined,
+    });
+    console.log(`   News: ${engineOptions.newsFilter.events.length} events from ${args.news}`);
+  }
+
+  if (args['data-guard']) {
+    engineOptions.dataGuard = new DataQualityGuard({
+      outlierMul: args['outlier-mul'] !== undefined ? parseFloat(args['outlier-mul']) : undefined,
+    });
+  }
+
+  const bt  = new ScalpBacktester({ symbol, candles1m, candles5m, candles1h, engineOptions });
+  const traceLines = args.traces ? [] : null;
+  const onTrace = traceLines && (trace => traceLines.push(JSON.stringify(trace)));
+  const res = bt.run({ from, to, onTrace });
+
+  for (const t of res.trades) {
+    const emoji = t.result === 'WIN' ? '✅' : t.result === 'EXPIRED' ? '⏰' : t.result === 'BREAKEVEN' ? '➖' : '❌';
+    const tag   = engineOptions.strategies.length > 1 ? ` [${t.strategy}]` : '';
+    console.log(`${emoji} ${new Date(t.openTime).toISOString()}${tag} ${t.action} @ ${t.entryPrice.toFixed(2)} → ${t.closePrice.toFixed(2)} | ${t.result} ${t.rPnL > 0 ? '+' : ''}${t.rPnL}R | conf ${t.confidence}%${t.lotSize != null ? ` | ${t.lotSize} lots ${(t.rPnL * t.riskMoney).toFixed(2)}` : ''}`);
+  }
+
+  const s = res.summary;
+  console.log('\n📊 Backtest Summary');
+  console.log(`   Period: ${new Date(res.from).toISOString()} → ${new Date(res.to).toISOString()}`);
+  console.log(`   Trades: ${s.trades} | ${s.wins}W ${s.losses}L ${s.breakeven}BE ${s.expired}E | WR: ${s.winRate}%`);
+  console.log(`   Total: ${s.totalR}R | Expectancy: ${s.expectancy}R | PF: ${s.profitFactor}`);
+  if (engineOptions.positionSizer) {
+    const pnl = res.trades.reduce((sum, t) => sum + t.rPnL * (t.riskMoney || 0), 0);
+    console.log(`   P&L: ${pnl.toFixed(2)} on ${args.balance} (${(pnl / parseFloat(args.balance) * 100).toFixed(2)}%, fixed balance)`);
+  }
+  if (res.openTrades.length) console.log(`   Still open at end of data: ${res.openTrades.length}`);
+  if (engineOptions.strategies.length > 1) {
+    for (const { name } of engineOptions.strategies) {
+      const st = summarizeTrades(res.trades.filter(t => t.strategy === name));
+      console.log(`   ${name}: ${st.trades} trades | ${st.wins}W ${st.losses}L | ${st.totalR}R | PF: ${st.profitFactor}`);
+    }
+  }
+
+  console.log('\n🚧 Rejections by gate (first failed gate per evaluated bar)');
+  console.log(formatRejections(res.rejections, 12));
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify({
+      symbol: res.symbol, from: res.from, to: res.to,
+      summary: s, rejections: res.rejections, trades: res.trades, openTrades: res.openTrades,
+    }, null, 2));
+    console.log(`💾 Results written to ${args.out}`);
+  }
+
+  if (traceLines) {
+    fs.writeFileSync(args.traces, traceLines.join('\n') + '\n');
+    console.log(`💾 ${traceLines.length} decision traces written to ${args.traces}`);
+  }
+
+  if (args.csv) {
+    fs.writeFileSync(args.csv, toCSV(res.trades.map(toRow)));
+    console.log(`💾 Trades written to ${args.csv} (journal format)`);
+  }
+}
+
+main();
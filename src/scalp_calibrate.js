@@ -0,0 +1,122 @@
+import fs from 'fs';
+import { ScalpBacktester } from './ScalpBacktester.js';
+import { SCALP_CONFIG } from './ScalpEngine.js';
+import { parseTimestamp } from './CandleLoader.js';
+import { parseArgs, parseDirection, loadSymbolCandles } from './cli.js';
+import { TradeJournal } from './TradeJournal.js';
+import { createStrategies } from './strategies.js';
+import { calibrate, formatCalibration } from './ConfidenceCalibration.js';
+
+// ═══════════════════════════════════════════════════════════════
+// SCALP CALIBRATE — does confidence predict the outcome?
+// Win rate / expectancy per confidence bucket and per scoring component,
+// plus fitted weights the pullback strategy can load instead of its
+// hard-coded ones (SCALP_CONF_WEIGHTS_FILE, scalp_backtest --weights).
+// Run: node src/scalp_calibrate.js --dir ./data --symbol XAU/USD,EUR/USD
+//      node src/scalp_calibrate.js --results bt.json   (scalp_backtest --out)
+//      node src/scalp_calibrate.js --journal --all [--jdir /tmp/scalp_journal]
+// --dir runs a backtest per symbol with MIN_CONF lowered (--min-conf, 0)
+// so signals below today's cut are scored too; --direction, --from / --to
+// as in scalp_backtest. Journal: --from / --to | --all | --date.
+// Options: --weights current.json (weights the trades were scored with)
+//          --threshold 65 (MIN_CONF to compare against)
+//          --bucket 5 --min-count 5 --ridge 1 --min-trades 20
+//          --json (print the report) | --out weights.json (loadable)
+// ═══════════════════════════════════════════════════════════════
+
+function backtestTrades(args, weightsFile) {
+  const symbols   = String(args.symbol || 'XAU/USD').split(',').map(s => s.trim()).filter(Boolean);
+  const from      = args.from ? parseTimestamp(args.from) : undefined;
+  const to        = args.to   ? parseTimestamp(args.to)   : undefined;
+  const minConf   = args['min-conf'] !== undefined ? parseFloat(args['min-conf']) : 0;
+  const direction = parseDirection(args.direction);
+  const trades    = [];
+  for (const symbol of symbols) {
+    const { candles1m, candles5m, candles1h } = loadSymbolCandles(args, symbol);
+    const engineOptions = {
+      config:     { MIN_CONF: minConf },
+      strategies: createStrategies({
+        SCALP_STRATEGIES: process.env.SCALP_STRATEGIES,
+        ...(weightsFile && { SCALP_CONF_WEIGHTS_FILE: weightsFile }),
+      }),
+    };
+    if (direction) engineOptions.directions = { [symbol]: direction };
+    const res = new ScalpBacktester({ symbol, candles1m, candles5m, candles1h, engineOptions }).run({ from, to });
+    console.log(`   ${symbol}: ${res.trades.length} trades (MIN_CONF ${minConf})`);
+    trades.push(...res.trades);
+  }
+  return { source: `backtest ${args.dir || args['1m']} ${symbols.join(', ')}`, trades };
+}
+
+function journalTrades(args) {
+  const journal = new TradeJournal({ dir: typeof args.jdir === 'string' ? args.jdir : undefined });
+  if (args.all) {
+    const days = journal.days();
+    return { source: `${journal.dir} (all)`, trades: days.length ? journal.readRange(days[0], days[days.length - 1]) : [] };
+  }
+  if (args.from || args.to) {
+    const today = new Date().toISOString().slice(0, 10);
+    const from  = args.from || args.to, to = args.to || today;
+    return { source: `${journal.dir} ${from} → ${to}`, trades: journal.readRange(from, to) };
+  }
+  const day = args.date || new Date().toISOString().slice(0, 10);
+  return { source: `${journal.dir} ${day}`, trades: journal.readDay(day) };
+}
+
+function loadTrades(args, weightsFile) {
+  if (args.results) {
+    const data = JSON.parse(fs.readFileSync(String(args.results), 'utf8'));
+    return { source: String(args.results), trades: Array.isArray(data) ? data : data.trades || [] };
+  }
+  if (args.journal) return journalTrades(args);
+  if (args.dir || args['1m']) return backtestTrades(args, weightsFile);
+  throw new Error('Nothing to calibrate: use --dir <candles>, --results <file> or --journal');
+}
+
+function main() {
+  const args        = parseArgs(process.argv.slice(2));
+  const weightsFile = typeof args.weights === 'string' ? args.weights : undefined;
+  let loaded, weights;
+  try {
+    if (weightsFile) {
+      const data = JSON.parse(fs.readFileSync(weightsFile, 'utf8'));
+      weights = data.weights || data;
+    }
+    loaded = loadTrades(args, weightsFile);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  const report = calibrate(loaded.trades, {
+    weights,
+    minConf:   args.threshold !== undefined ? parseFloat(args.threshold) : SCALP_CONFIG.MIN_CONF,
+    bucket:    args.bucket       ? parseInt(args.bucket, 10) : undefined,
+    minCount:  args['min-count']  !== undefined ? parseInt(args['min-count'], 10)  : undefined,
+    ridge:     args.ridge         !== undefined ? parseFloat(args.ridge)           : undefined,
+    minTrades: args['min-trades'] !== undefined ? parseInt(args['min-trades'], 10) : undefined,
+  });
+
+  if (args.json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  } else {
+    console.log(`🎯 Confidence calibration: ${loaded.source}`);
+    console.log(formatCalibration(report));
+  }
+  if (args.out) {
+    if (!report.suggested) {
+      console.log(`⚠️ No fit — ${args.out} not written`);
+      return;
+    }
+    fs.writeFileSync(args.out, JSON.stringify({
+      strategy:         'pullback',
+      source:           loaded.source,
+      trades:           report.trades,
+      suggestedMinConf: report.fit.suggestedMinConf,
+      weights:          report.suggested,
+    }, null, 2));
+    console.log(`💾 Weights written to ${args.out} (SCALP_CONF_WEIGHTS_FILE=${args.out})`);
+  }
+}
+
+main();
@@ -1,206 +1,512 @@
-import { ScalpEngine }     from './ScalpEngine.js';
+import { ScalpEngine, TRADE_DIRECTIONS } from './ScalpEngine.js';
 import { MT5ScalpBridge }  from './MT5ScalpBridge.js';
+import { MT5Emulator }     from './MT5Emulator.js';
+import { createMarketDataProvider } from './dataProviders.js';
+import { CandleAggregator, AGGREGATE_INTERVALS } from './CandleAggregator.js';
+import { StateStore }      from './StateStore.js';
+import { TradeJournal }    from './TradeJournal.js';
+import { RiskManager }     from './RiskManager.js';
+import { PositionSizer }   from './PositionSizer.js';
+import { loadProfiles }    from './StrategyProfiles.js';
+import { SessionCalendar } from './SessionCalendar.js';
+import { NewsFilter }      from './NewsFilter.js';
+import { DataQualityGuard } from './DataQualityGuard.js';
+import { ControlServer }   from './ControlServer.js';
+import { Notifier }        from './Notifier.js';
+import { createStrategies } from './strategies.js';
 
 // ═══════════════════════════════════════════════════════════════
 // SCALP AGENT — Main Entry Point
 // Run: node src/scalp_index.js
 // ═══════════════════════════════════════════════════════════════
 
+// Mutable in place: the control API can change the watchlist at runtime
 const SYMBOLS    = (process.env.SCALP_WATCHLIST || 'XAU/USD').split(',').map(s => s.trim());
-const API_KEY    = process.env.TWELVEDATA_API_KEY;
-const DISCORD    = process.env.DISCORD_WEBHOOK_URL;
-
-const engine = new ScalpEngine();
-const mt5    = new MT5ScalpBridge({ enabled: process.env.MT5_AUTO_TRADE === 'true' });
-
-// ── Candle buffers for resampling 1m → 5m ──
-const buffer5m = {}; // { symbol: { ts, o, h, l, c } | null }
-
-// ── Discord notification ──
-async function notify(msg) {
-  if (!DISCORD) return;
-  try {
-    await fetch(DISCORD, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ content: msg }),
-    });
-  } catch {}
+const EXIT_AFTER_MS = 10 * 60000;  // keep polling / exit 10 min after the last window closes
+// Warm-up history per timeframe: seeds the streamed indicators (longer = closer to the broker's EMAs)
+const HISTORY_BARS  = Math.max(100, parseInt(process.env.SCALP_HISTORY_BARS, 10) || 500);
+
+// ── Per-symbol direction: SCALP_DIRECTIONS=XAU/USD:SELL,EUR/USD:BOTH ──
+//    Malformed entries are skipped with a warning (the profile's DIRECTION applies)
+const DIRECTIONS = Object.fromEntries(
+  (process.env.SCALP_DIRECTIONS || '').split(',').map(pair => pair.trim()).filter(Boolean).flatMap(pair => {
+    const idx       = pair.lastIndexOf(':');
+    const symbol    = idx > 0 ? pair.slice(0, idx).trim() : '';
+    const direction = pair.slice(idx + 1).trim().toUpperCase();
+    if (!symbol || !TRADE_DIRECTIONS.includes(direction)) {
+      console.warn(`⚠️ SCALP_DIRECTIONS: ignoring '${pair}' (expected SYMBOL:SELL|BUY|BOTH)`);
+      return [];
+    }
+    return [[symbol, direction]];
+  })
+);
+
+// ── Engine state survives restarts: SCALP_STATE_FILE ──
+const stateStore = new StateStore();
+
+// ── Market data: MARKET_DATA_PROVIDER=twelvedata | replay | feed (TwelveData: credit budget in the state file) ──
+const provider = createMarketDataProvider(process.env, { stateStore });
+
+// ── Trade management (breakeven / trailing / partial TP), off unless set ──
+const MANAGEMENT = Object.fromEntries(Object.entries({
+  BE_AT_R:      process.env.SCALP_BE_AT_R,
+  BE_OFFSET_R:  process.env.SCALP_BE_OFFSET_R,
+  TRAIL_ATR:    process.env.SCALP_TRAIL_ATR,
+  TRAIL_AT_R:   process.env.SCALP_TRAIL_AT_R,
+  PARTIAL_AT_R: process.env.SCALP_PARTIAL_AT_R,
+  PARTIAL_PCT:  process.env.SCALP_PARTIAL_PCT,
+}).filter(([, v]) => v).map(([k, v]) => [k, parseFloat(v)]));
+
+// ── Session risk limits (RISK_* / ACCOUNT_BALANCE), kill switch file RISK_KILL_FILE ──
+const riskManager = new RiskManager({ clock: () => provider.now(), stateStore });
+
+// ── Lot size per trade from ACCOUNT_BALANCE × MT5_RISK_PERCENT and contract specs ──
+const positionSizer = new PositionSizer();
+
+// ── Per-symbol strategy profiles: SCALP_PROFILES=XAU/USD:gold,US30:index (+ SCALP_PROFILES_FILE) ──
+const { profiles, symbolProfiles } = loadProfiles();
+
+// ── One session calendar for engine, poll loop and shutdown (SESSION_CALENDAR_FILE: holidays / early closes) ──
+const calendar = new SessionCalendar();
+
+// ── News blackout around high-impact releases: NEWS_CALENDAR_FILE (+ NEWS_FLATTEN_MIN) ──
+const newsFilter = new NewsFilter();
+
+// ── Candle checks on every load / push: repairs bad bars, holds signals on stale / gapped data (DATA_*) ──
+const dataGuard = new DataQualityGuard();
+
+// ── Setups sharing the candle pipeline, each with its own MT5 magic: SCALP_STRATEGIES=pullback ──
+const strategies = createStrategies();
+
+const engine = new ScalpEngine({
+  directions: DIRECTIONS, clock: () => provider.now(), stateStore, config: MANAGEMENT,
+  profiles, symbolProfiles, calendar, onManage, riskManager, positionSizer, newsFilter, dataGuard, strategies,
+});
+
+// ── SL moves / partial closes decided by the engine → MT5 commands ──
+function onManage(symbol, action) {
+  const detail = action.type === 'MODIFY' ? `${action.reason} SL → ${action.sl.toFixed(2)}`
+    : action.type === 'CLOSE' ? action.reason
+    : `${action.fraction * 100}% @ ${action.price.toFixed(2)}`;
+  console.log(`🛠️ ${symbol} [${action.strategy}] ${action.type}: ${detail}`);
+  const trade = engine.tradeById(action.tradeId);
+  if (trade?.broker) mt5.sendCommand(trade, action);
 }
 
-// ── Fetch latest 1min candle from TwelveData ──
-async function fetchLatest1m(symbol) {
-  const url = `https://api.twelvedata.com/time_series?symbol=${encodeURIComponent(symbol)}&interval=1min&outputsize=35&apikey=${API_KEY}`;
-  const res  = await fetch(url);
-  const data = await res.json();
-  if (!data.values) return null;
-  return data.values.reverse().map(v => ({
-    ts:    new Date(v.datetime + 'Z').getTime(),
-    open:  parseFloat(v.open),  high: parseFloat(v.high),
-    low:   parseFloat(v.low),   close: parseFloat(v.close),
-    o: parseFloat(v.open), h: parseFloat(v.high),
-    l: parseFloat(v.low),  c: parseFloat(v.close),
-  }));
+// ── Every signal + outcome with its indicator snapshot: SCALP_JOURNAL_DIR ──
+const journal = new TradeJournal();
+// Result polls follow the provider clock (a replay at 600× would see fills 20 min late)
+const mt5    = new MT5ScalpBridge({ enabled: process.env.MT5_AUTO_TRADE === 'true', pollMs: Math.max(100, 2000 / provider.speed) });
+
+// ── ScalpBridgeEA stand-in on the agent's own feed and clock (Linux / CI): MT5_EMULATOR=true ──
+const emulator = process.env.MT5_EMULATOR === 'true'
+  ? new MT5Emulator({ provider, symbols: () => SYMBOLS, signalsDir: mt5.signalsDir, specs: positionSizer.specs })
+  : null;
+
+// ── 5m / 1h bars built from closed 1m bars (no extra API credits) ──
+const aggregator = new CandleAggregator();
+aggregator.on('candle', (symbol, interval, candle) => {
+  if (interval === '5min') engine.push5mCandle(symbol, candle);
+  else if (interval === '1h') engine.push1hCandle(symbol, candle);
+});
+
+// ── Only bars whose period has ended at `now` ──
+const closedBars = (candles, ms, now) => candles ? candles.filter(c => c.ts + ms <= now) : null;
+
+// ── Alerts: Discord / Telegram / Slack / JSON webhook, per-channel event filters,
+//    retry queue persisted to NOTIFY_QUEUE_FILE ──
+const notifier = new Notifier();
+const notify   = (type, msg, data) => notifier.notify(type, msg, data);
+
+// ── Processing error: notify once per distinct message per symbol ──
+const lastError = {};
+async function notifyError(symbol, err) {
+  console.error(`Error processing ${symbol}:`, err.message);
+  if (lastError[symbol] === err.message) return;
+  lastError[symbol] = err.message;
+  await notify('error', `⚠️ Error processing ${symbol}: ${err.message}`);
 }
 
-// ── Fetch 5min candles ──
-async function fetch5m(symbol) {
-  const url = `https://api.twelvedata.com/time_series?symbol=${encodeURIComponent(symbol)}&interval=5min&outputsize=70&apikey=${API_KEY}`;
-  const res  = await fetch(url);
-  const data = await res.json();
-  if (!data.values) return null;
-  return data.values.reverse().map(v => ({
-    ts: new Date(v.datetime + 'Z').getTime(),
-    open: parseFloat(v.open), high: parseFloat(v.high),
-    low:  parseFloat(v.low),  close: parseFloat(v.close),
-    o: parseFloat(v.open), h: parseFloat(v.high),
-    l: parseFloat(v.low),  c: parseFloat(v.close),
-  }));
+// ── Flush queued alerts, then exit ──
+async function shutdown(code = 0) {
+  await notifier.flush();
+  emulator?.stop();
+  provider.close();
+  process.exit(code);
 }
 
-// ── Fetch 1h candles for macro filter ──
-async function fetch1h(symbol) {
-  const url = `https://api.twelvedata.com/time_series?symbol=${encodeURIComponent(symbol)}&interval=1h&outputsize=100&apikey=${API_KEY}`;
-  const res  = await fetch(url);
-  const data = await res.json();
-  if (!data.values) return null;
-  return data.values.reverse().map(v => ({
-    ts: new Date(v.datetime + 'Z').getTime(),
-    open: parseFloat(v.open), high: parseFloat(v.high),
-    low:  parseFloat(v.low),  close: parseFloat(v.close),
-    o: parseFloat(v.open), h: parseFloat(v.high),
-    l: parseFloat(v.low),  c: parseFloat(v.close),
-  }));
+// ── Closed trade → journal + console + alerts ──
+async function announceClose(symbol, resolved) {
+  journal.recordClose(resolved);
+  const emoji   = resolved.result === 'WIN' ? '✅' : resolved.result === 'EXPIRED' ? '⏰' : resolved.result === 'BREAKEVEN' ? '➖' : '❌';
+  const source  = resolved.simulated ? ' (MT5, replaces simulated)' : resolved.broker ? ' (MT5)' : resolved.restored ? ' (closed on restart)' : '';
+  const pnl     = resolved.broker ? ` | P&L: ${resolved.pnl} ${resolved.currency}` : '';
+  const msg = `${emoji} Trade closed: ${symbol} | ${resolved.result} | ${resolved.rPnL > 0 ? '+' : ''}${resolved.rPnL}R${pnl}${source}`;
+  console.log(msg);
+  await notify('close', msg, { symbol, result: resolved });
 }
 
-// ── Format signal Discord message ──
-function formatSignalMsg(symbol, result, price) {
+// ── Risk block: notify once per distinct reason per symbol ──
+const lastRiskBlock = {};
+async function notifyRiskBlock(symbol, reason) {
+  console.log(`   🛑 ${reason}`);
+  if (lastRiskBlock[symbol] === reason) return;
+  lastRiskBlock[symbol] = reason;
+  await notify('risk', `🛑 ${symbol} signal blocked | ${reason}`, { symbol, reason });
+}
+
+// ── News blackout: notify once per event per symbol ──
+const lastNewsBlock = {};
+async function notifyNewsBlock(symbol, event) {
+  const key = `${event.time}|${event.title}`;
+  if (lastNewsBlock[symbol] === key) return;
+  lastNewsBlock[symbol] = key;
+  const msg = `📰 ${symbol} news blackout | ${newsFilter.describe(event)}`;
+  console.log(`   ${msg}`);
+  await notify('news', msg, { symbol, event });
+}
+
+// ── Untrusted market data: notify once per issue per symbol (until the data is clean again) ──
+const lastDataIssue = {};
+async function notifyDataIssue(symbol, issue) {
+  if (lastDataIssue[symbol] === issue.key) return;
+  lastDataIssue[symbol] = issue.key;
+  const msg = `🩺 ${symbol} signals held | ${issue.reason}`;
+  console.log(`   ${msg}`);
+  await notify('data', msg, { symbol, issue });
+}
+
+// ── Polling minutes left in a session day: union of the windows + the exit grace, from `from` on ──
+function activeMinutes(windows, from) {
+  let total = 0, until = from;
+  for (const w of [...windows].sort((a, b) => a.start - b.start)) {
+    const start = Math.max(w.start, until);
+    const end   = w.end + EXIT_AFTER_MS;
+    if (end > start) total += end - start;
+    until = Math.max(until, end);
+  }
+  return Math.ceil(total / 60000);
+}
+
+// ── TwelveData credits for the rest of the session day: one 1min request per symbol
+//    per poll (5m / 1h are aggregated); warm-ups were spent already ──
+function forecastCredits(sessionDay) {
+  provider.scheduler?.forecast({
+    requestsPerMin: SYMBOLS.length,
+    activeMin:      activeMinutes(sessionDay.windows, provider.now()),
+  });
+}
+
+// ── Plain-text signal message (console-style channels; Discord / Slack get a card) ──
+function formatSignalMsg(symbol, result, price, ts) {
   const s = result.signal;
   const t = result.trade;
+  const emoji = t.action === 'BUY' ? '🟢' : '🔴';
   return [
-    `🔴 **SCALP SELL — ${symbol}**`,
+    `${emoji} **SCALP ${t.action} — ${symbol}** (${t.strategy})`,
     `💰 Entry: \`${price.toFixed(2)}\` | SL: \`${t.sl.toFixed(2)}\` | TP: \`${t.tp.toFixed(2)}\``,
-    `📊 RR: 1.8 | Risk: ${t.risk.toFixed(2)} pts | Confidence: ${s.confidence}%`,
+    `📊 RR: ${t.rr} | Risk: ${t.risk.toFixed(2)} pts | Confidence: ${s.confidence}%`,
+    `📦 Lots: ${t.lotSize ?? 'EA'} | 1R: ${t.riskMoney ?? '-'}${t.sizingNote ? ` (${t.sizingNote})` : ''}`,
     `📈 ATR: ${s.atr.toFixed(2)} | RSI: ${s.rsi?.toFixed(0)} | Stoch: ${s.stochK?.toFixed(0)}`,
     `✅ ${s.reasons?.join(' | ')}`,
-    `⏰ ${new Date().toUTCString()}`,
+    `⏰ ${new Date(ts).toUTCString()}`,
   ].join('\n');
 }
 
+// ── Load history for a symbol, start 5m / 1h aggregation after it ──
+async function warmUp(symbol) {
+  const now = provider.now();
+  const c1m = await provider.fetch1m(symbol, HISTORY_BARS);  // ≥ 60 bars so the forming 1h bar is complete
+  const c5m = closedBars(await provider.fetch5m(symbol, HISTORY_BARS), AGGREGATE_INTERVALS['5min'], now);
+  const c1h = closedBars(await provider.fetch1h(symbol, HISTORY_BARS), AGGREGATE_INTERVALS['1h'], now);
+  if (c1m) engine.load1mCandles(symbol, c1m);
+  if (c5m) engine.load5mCandles(symbol, c5m);
+  if (c1h) engine.load1hCandles(symbol, c1h);
+
+  // Aggregate from the end of the last historical bar onwards
+  const last5m = c5m?.[c5m.length - 1];
+  const last1h = c1h?.[c1h.length - 1];
+  aggregator.startAfter(symbol, {
+    ...(last5m && { '5min': last5m.ts + AGGREGATE_INTERVALS['5min'] }),
+    ...(last1h && { '1h':   last1h.ts + AGGREGATE_INTERVALS['1h'] }),
+  });
+  for (const c of closedBars(c1m, 60000, now) || []) aggregator.push1m(symbol, c);
+
+  // A restored trade may have hit SL/TP (or run past MAX_HOLD) while we were down
+  for (const caughtUp of engine.catchUpOpenTrades(symbol)) await announceClose(symbol, caughtUp);
+}
+
+// ── Control API: close every strategy's trade on a symbol (MT5 trades get a CLOSE command) ──
+//    (also used for restored trades on symbols that are no longer watched: reason UNWATCHED)
+async function flattenSymbol(symbol, reason = 'API', detail = 'API flatten') {
+  const open    = engine.openTradesFor(symbol);
+  const price   = engine.statusOf(symbol).price ?? open[0].entryPrice;
+  const results = engine.flattenOpenTrades(symbol, price, reason, provider.now(), detail);
+  for (const resolved of results) await announceClose(symbol, resolved);
+  const tickets = open.filter(t => t.broker).map(t => t.broker.ticket);
+  if (tickets.length) {
+    const msg = `📤 ${symbol} flatten requested (${detail}) | Ticket: ${tickets.join(', ')}`;
+    console.log(msg);
+    await notify('mt5', msg, { symbol, tickets });
+  }
+  return { flattened: results.length, results, closeRequested: tickets };
+}
+
 // ── MAIN LOOP ──
 async function run() {
   console.log('╔══════════════════════════════════════════════════════════════╗');
-  console.log('║         SCALP AGENT v1 — SELL-ONLY PULLBACK                  ║');
+  console.log('║         SCALP AGENT v1 — EMA21 PULLBACK                      ║');
   console.log(`║  Symbols: ${SYMBOLS.join(', ').padEnd(50)}║`);
-  console.log('║  Session: 12:00-13:00 UTC | RR: 1.8 | WR: 51.2% (backtest)  ║');
+  console.log(`║  Strategies: ${strategies.map(s => `${s.name} #${s.magic || 'EA'}`).join(', ').padEnd(47)}║`);
+  for (const s of SYMBOLS) {
+    const cfg = engine.configFor(s);
+    console.log(`║  ${`${s}: ${engine.profileName(s)} | ${engine.getDirection(s)} | RR ${cfg.RR} | ${calendar.describe(cfg)}`.padEnd(60)}║`);
+  }
+  console.log('║  Gold backtest: WR 51.2% | PF 1.89                           ║');
+  console.log(`║  Data: ${provider.name.padEnd(53)}║`);
+  console.log(`║  Risk: ${`-${riskManager.limits.MAX_DAILY_LOSS_R}R/day | ${riskManager.limits.MAX_TRADES} trades | ${riskManager.limits.MAX_OPEN_R}R open`.padEnd(53)}║`);
   console.log(`║  MT5 Auto-Trade: ${(process.env.MT5_AUTO_TRADE === 'true' ? 'ON ✅' : 'OFF ❌').padEnd(44)}║`);
   console.log('╚══════════════════════════════════════════════════════════════╝\n');
 
+  await provider.connect();
+
+  // ── Restore open trades / cooldowns / stats from the last run ──
+  const restore = engine.restoreState();
+  if (restore.restored) {
+    const open = engine.openTrades();
+    console.log(`♻️ Restored state from ${stateStore.file}: ${open.length} open trade(s) — settled against the missed candles on warm-up`);
+  }
+
   // ── Warm up with historical data ──
   console.log('📥 Loading historical data...');
-  for (const symbol of SYMBOLS) {
-    const c1m = await fetchLatest1m(symbol);
-    const c5m = await fetch5m(symbol);
-    const c1h = await fetch1h(symbol);
-    if (c1m) engine.load1mCandles(symbol, c1m);
-    if (c5m) engine.load5mCandles(symbol, c5m);
-    if (c1h) engine.load1hCandles(symbol, c1h);
-    buffer5m[symbol] = null;
-    await new Promise(r => setTimeout(r, 1200)); // API rate limit
+  for (const symbol of SYMBOLS) await warmUp(symbol);
+
+  // Restored trades on symbols dropped from the watchlist: nothing polls them,
+  // so settle them against their candles now and close what is left at market
+  const unwatched = [...new Set(engine.openTrades().map(t => t.symbol))].filter(s => !SYMBOLS.includes(s));
+  for (const symbol of unwatched) {
+    console.log(`⚠️ ${symbol} is no longer watched — settling its restored trade(s)`);
+    await warmUp(symbol);
+    if (engine.openTradesFor(symbol).length) await flattenSymbol(symbol, 'UNWATCHED', 'symbol no longer watched');
   }
   console.log('✅ Warmed up\n');
 
-  // ── MT5 result handler ──
-  mt5.on('trade_result', async (result) => {
-    const status = result.status === 'OPENED' ? '✅ MT5 Executed' : '❌ MT5 Failed';
-    const msg = `${status}: ${result.symbol} | Ticket: ${result.ticket} | Entry: ${result.entryPrice}`;
+  // ── MT5 position lifecycle: broker results override the simulation ──
+  // ── Live balance / equity from the EA keeps sizing and currency limits real ──
+  mt5.on('account_update', (account) => {
+    positionSizer.setAccount(account);
+    riskManager.balance = account.balance;
+  });
+  mt5.on('position_opened', async (result) => {
+    engine.applyBrokerEvent(result);
+    const msg = `✅ MT5 Executed: ${result.symbol} | Ticket: ${result.ticket} | Entry: ${result.entryPrice} | Lots: ${result.lotSize}`;
     console.log(msg);
-    await notify(msg);
+    await notify('mt5', msg, { result });
+  });
+  mt5.on('position_modified', (result) => {
+    engine.applyBrokerEvent(result);
+    console.log(`✏️ MT5 Modified: ${result.symbol} | Ticket: ${result.ticket} | SL: ${result.sl} | TP: ${result.tp}`);
   });
+  mt5.on('position_partial', (result) => {
+    engine.applyBrokerEvent(result);
+    console.log(`✂️ MT5 Partial close: ${result.symbol} | Ticket: ${result.ticket} | ${result.lotSize} lots @ ${result.closePrice} | ${result.rPnL}R`);
+  });
+  mt5.on('command_failed', (result) => {
+    console.log(`⚠️ MT5 command failed: ${result.symbol} | Ticket: ${result.ticket} | ${result.reason}: ${result.error}`);
+  });
+  mt5.on('position_rejected', async (result) => {
+    const applied = engine.applyBrokerEvent(result);
+    if (applied) journal.recordClose({ ...applied.trade, result: 'REJECTED', rPnL: 0, closePrice: null, closeTime: provider.now() });
+    const msg = `❌ MT5 Rejected: ${result.symbol} | Signal: ${result.signalId} | ${result.error}`;
+    console.log(msg);
+    await notify('error', msg, { result });
+  });
+  mt5.on('signal_timeout', async ({ symbol, signalId, reason }) => {
+    // Trade stays simulated; a late OPENED from the EA is still applied
+    const msg = `⚠️ MT5 did not acknowledge signal: ${symbol} | ${signalId} | ${reason}`;
+    console.log(msg);
+    await notify('error', msg, { signalId, reason });
+  });
+  mt5.on('position_closed', async (result) => {
+    const applied = engine.applyBrokerEvent(result);
+    if (applied) await announceClose(result.symbol, applied.result);
+  });
+  emulator?.start();
 
-  // ── Auto-exit at 13:10 UTC (session ends 13:00) ──
-  const now = new Date();
-  const exitAt = new Date();
-  exitAt.setUTCHours(13, 10, 0, 0);
-  if (exitAt <= now) exitAt.setUTCDate(exitAt.getUTCDate() + 1);
-  const msUntilExit = exitAt - now;
-  setTimeout(async () => {
-    const s = engine.getStats();
-    const msg = `📊 NY Scalp Session Done | ${s.wins}W ${s.losses}L | WR: ${s.winRate}% | PF: ${s.profitFactor} | ${s.totalR.toFixed(1)}R total`;
-    console.log('\n' + msg);
-    await notify(msg);
-    console.log('👋 Session ended, exiting cleanly.');
-    process.exit(0);
-  }, msUntilExit);
-  console.log(`⏱ Auto-exit scheduled at 13:10 UTC (in ${Math.round(msUntilExit/60000)} min)\n`);
-
-  // ── Poll every 60 seconds (1min candle cadence) ──
-  console.log('⏱ Polling every 60 seconds...\n');
-  setInterval(async () => {
-    const hour = new Date().getUTCHours();
-    const isActive = hour >= 12 && hour < 14;
+  // ── Today's windows from the calendar (profiles, holidays, early closes) ──
+  const hhmm = ts => new Date(ts).toISOString().slice(11, 16);
+  let sessionDay = engine.nextSessionDay(SYMBOLS, provider.now());
+  if (!sessionDay || sessionDay.start - provider.now() > 24 * 3600000) {
+    const msg = '📅 No scalp session in the next 24h (weekend / holiday) — exiting.';
+    console.log(msg);
+    await notify('session', msg);
+    await shutdown(0);
+  }
+  for (const w of sessionDay.windows) {
+    console.log(`📅 ${w.symbol} ${w.name}: ${new Date(w.start).toISOString().slice(0, 10)} ${hhmm(w.start)}-${hhmm(w.end)} UTC`);
+  }
+  provider.scheduler?.on('warning', (msg, status) => notify('data', `⚠️ ${msg}`, { credits: status }));
+  forecastCredits(sessionDay);
+  const news = newsFilter.upcoming(SYMBOLS, sessionDay.start, sessionDay.end + newsFilter.beforeMin * 60000);
+  if (newsFilter.file) console.log(`📰 News calendar: ${newsFilter.events.length} events, ${news.length} blocking this session`);
+  for (const e of news) {
+    console.log(`📰 ${newsFilter.describe(e)} — no entries ${hhmm(e.time - newsFilter.beforeMin * 60000)}-${hhmm(e.time + newsFilter.afterMin * 60000)} UTC${newsFilter.flattenMin > 0 ? `, flatten from ${hhmm(e.time - newsFilter.flattenMin * 60000)}` : ''}`);
+  }
+
+  // ── Auto-exit 10 min after the last window closes — on the provider clock ──
+  let exitTimer = null;
+  const scheduleExit = () => {
+    clearTimeout(exitTimer);
+    const exitAt = sessionDay.end + EXIT_AFTER_MS;
+    const msUntilExit = exitAt - provider.now();
+    exitTimer = setTimeout(async () => {
+      const s = engine.getStats();
+      const r = engine.getRejections();
+      const top = r.rejections.filter(g => g.gate !== 'session').slice(0, 3).map(g => `${g.gate} ${g.rejected}`).join(', ');
+      const msg = `📊 NY Scalp Session Done | ${s.wins}W ${s.losses}L | WR: ${s.winRate}% | PF: ${s.profitFactor} | ${s.totalR.toFixed(1)}R total`
+        + (top ? `\n🚧 Top rejections (${r.evaluations} evaluations): ${top}` : '');
+      console.log('\n' + msg);
+      console.log(engine.rejections.format());
+      await notify('session', msg, { stats: s });
+      console.log('👋 Session ended, exiting cleanly.');
+      control.stop();
+      await shutdown(0);
+    }, msUntilExit / provider.speed);
+    console.log(`⏱ Auto-exit scheduled at ${hhmm(exitAt)} UTC (in ${Math.round(msUntilExit/60000)} min)\n`);
+  };
+  scheduleExit();
+
+  // ── Control API: watchlist change warms up new symbols and re-plans today's windows ──
+  const setWatchlist = async (symbols) => {
+    const added   = symbols.filter(s => !SYMBOLS.includes(s));
+    const removed = SYMBOLS.filter(s => !symbols.includes(s));
+    for (const symbol of added) await warmUp(symbol);
+    SYMBOLS.splice(0, SYMBOLS.length, ...symbols);
+    const day = engine.nextSessionDay(SYMBOLS, sessionDay.start);
+    if (day && day.end !== sessionDay.end) {
+      sessionDay = day;
+      scheduleExit();
+    }
+    if (added.length) forecastCredits(sessionDay);
+    const msg = `👀 Watchlist: ${SYMBOLS.join(', ')}${added.length ? ` | +${added.join(', +')}` : ''}${removed.length ? ` | -${removed.join(', -')}` : ''}`;
+    console.log(msg);
+    await notify('session', msg, { symbols: [...SYMBOLS], added, removed });
+    return { symbols: [...SYMBOLS], added, removed };
+  };
+
+  // ── Optional local status / control API: CONTROL_PORT + CONTROL_TOKEN ──
+  const control = new ControlServer({
+    engine, riskManager, journal, mt5, scheduler: provider.scheduler,
+    agent: { symbols: () => [...SYMBOLS], flatten: flattenSymbol, setWatchlist },
+  });
+  await control.start().catch(err => console.error(`❌ Control API failed to start: ${err.message}`));
+
+  // ── Poll every 60 seconds (1min candle cadence, provider clock) ──
+  const pollMs = 60000 / provider.speed;
+  console.log(`⏱ Polling every ${pollMs / 1000} seconds...\n`);
+  const poll = async () => {
+    const t = provider.now();
+    const isActive = sessionDay.windows.some(w => t >= w.start && t < w.end + EXIT_AFTER_MS)
+      || engine.openTrades().length > 0; // keep resolving open trades between windows
 
     if (!isActive) return;
 
-    for (const symbol of SYMBOLS) {
+    for (const symbol of [...SYMBOLS]) {
       try {
-        const c1m = await fetchLatest1m(symbol);
+        const c1m = await provider.fetch1m(symbol);
         if (!c1m || !c1m.length) continue;
 
         const latest   = c1m[c1m.length - 1];
         const price    = latest.close;
 
-        // Update 1m buffer
+        // Merge into the 1m buffer: only new / forming bars advance the indicators
         engine.load1mCandles(symbol, c1m);
 
-        // Refresh 5m every 5 candles (save API credits)
-        const now = Date.now();
-        if (!buffer5m[symbol] || now - buffer5m[symbol] > 4 * 60000) {
-          const c5m = await fetch5m(symbol);
-          if (c5m) engine.load5mCandles(symbol, c5m);
-          buffer5m[symbol] = now;
-        }
+        // Closed 1m bars → 5m / 1h (already-seen bars are ignored)
+        const now = provider.now();
+        for (const c of closedBars(c1m, 60000, now)) aggregator.push1m(symbol, c);
+        aggregator.flush(symbol, now);
 
-        // Check if open trade resolved
-        const resolved = engine.resolveOpenTrade(symbol, latest);
-        if (resolved) {
-          const emoji   = resolved.result === 'WIN' ? '✅' : resolved.result === 'EXPIRED' ? '⏰' : '❌';
-          const msg = `${emoji} Trade closed: ${symbol} | ${resolved.result} | ${resolved.rPnL > 0 ? '+' : ''}${resolved.rPnL}R`;
-          console.log(msg);
-          await notify(msg);
+        // Check if open trades resolved (every strategy)
+        for (const resolved of engine.resolveOpenTrades(symbol, latest)) await announceClose(symbol, resolved);
+
+        // Flatten ahead of a release (NEWS_FLATTEN_MIN); MT5 trades get a CLOSE command
+        for (const flattened of engine.flattenForNews(symbol, price, now)) {
+          console.log(`📰 Flattened before ${newsFilter.describe(flattened.newsEvent)}`);
+          await announceClose(symbol, flattened);
         }
 
-        // Generate signal
-        const result = engine.generateSignal(symbol, price);
+        // Generate signals — one result per registered strategy
+        for (const result of engine.generateSignals(symbol, price, now)) {
+          const tag = strategies.length > 1 ? ` [${result.strategy}]` : '';
+          console.log(`[${new Date(now).toUTCString()}] ${symbol}${tag} @ ${price.toFixed(2)} → ${result.action}`);
+          // Last gate before anything leaves the agent (kill switch may have flipped)
+          const sendBlock = result.action !== 'HOLD' && riskManager.check(symbol, engine.openTrades(), now, 'send');
+          if (sendBlock) {
+            engine.cancelOpenTrade(symbol, result.strategy);
+            await notifyRiskBlock(symbol, sendBlock);
+          } else if (result.action !== 'HOLD') {
+            lastRiskBlock[symbol] = null;
+            console.log(`   ${result.action === 'BUY' ? '🟢' : '🔴'} ${result.action} SIGNAL! Conf: ${result.signal.confidence}% | SL: ${result.trade.sl.toFixed(2)} | TP: ${result.trade.tp.toFixed(2)}`);
+            console.log(`   Reasons: ${result.signal.reasons?.join(', ')}`);
 
-        console.log(`[${new Date().toUTCString()}] ${symbol} @ ${price.toFixed(2)} → ${result.action}`);
-        if (result.action !== 'HOLD') {
-          console.log(`   🔴 SELL SIGNAL! Conf: ${result.signal.confidence}% | SL: ${result.trade.sl.toFixed(2)} | TP: ${result.trade.tp.toFixed(2)}`);
-          console.log(`   Reasons: ${result.signal.reasons?.join(', ')}`);
+            journal.recordSignal(result.trade);
 
-          // Send Discord notification
-          await notify(formatSignalMsg(symbol, result, price));
+            // Signal alert (Discord embed / Slack card / Telegram text)
+            await notify('signal', formatSignalMsg(symbol, result, price, now), { symbol, trade: result.trade, signal: result.signal, price, ts: now });
 
-          // Send to MT5 if enabled
-          if (mt5.enabled) {
-            mt5.sendSignal(result.trade);
+            // Send to MT5 if enabled (the strategy's magic number rides along).
+            // lotSize 0 = refused (min lot overshoots the risk); null = the EA sizes it
+            if (mt5.enabled) {
+              if (result.trade.lotSize === 0) {
+                const msg = `⚠️ ${symbol} not sent to MT5: cannot size position (${result.trade.sizingNote})`;
+                console.log(msg);
+                await notify('error', msg, { symbol, sizingNote: result.trade.sizingNote });
+              } else {
+                if (result.trade.lotSize == null && result.trade.sizingNote) console.log(`   📦 EA-sized: ${result.trade.sizingNote}`);
+                mt5.sendSignal(result.trade);
+              }
+            }
+          } else {
+            if (result.riskBlocked) await notifyRiskBlock(symbol, result.reason);
+            if (result.newsBlocked) await notifyNewsBlock(symbol, result.event);
+            if (result.dataBlocked) await notifyDataIssue(symbol, result.dataIssue);
+            else if (result.trace.failed !== 'session') lastDataIssue[symbol] = null;
+            if (process.env.DEBUG_MODE) console.log(`   ⏸ ${result.reason}`);
           }
-        } else {
-          if (process.env.DEBUG_MODE) console.log(`   ⏸ ${result.reason}`);
         }
-
-        await new Promise(r => setTimeout(r, 1200));
       } catch (err) {
-        console.error(`Error processing ${symbol}:`, err.message);
+        await notifyError(symbol, err);
       }
     }
 
     // Print stats every hour
-    if (new Date().getUTCMinutes() === 0) {
+    if (new Date(provider.now()).getUTCMinutes() === 0) {
       const s = engine.getStats();
-      console.log(`\n📊 Live Stats: ${s.wins}W ${s.losses}L | WR: ${s.winRate}% | PF: ${s.profitFactor} | ${s.totalR.toFixed(1)}R\n`);
+      const c = provider.scheduler?.status();
+      console.log(`\n📊 Live Stats: ${s.wins}W ${s.losses}L | WR: ${s.winRate}% | PF: ${s.profitFactor} | ${s.totalR.toFixed(1)}R`
+        + `${c ? ` | API credits ${c.usedToday}/${c.perDay}` : ''}\n`);
+    }
+  };
+
+  // One poll at a time: a rate-limited fetch can wait out backoff / Retry-After for minutes
+  let polling = false;
+  setInterval(async () => {
+    if (polling) {
+      console.log('⏳ Previous poll still running — skipped');
+      return;
+    }
+    polling = true;
+    try {
+      await poll();
+    } finally {
+      polling = false;
     }
-  }, 60000);
+  }, pollMs);
 }
 
-run().catch(console.error);
\ No newline at end of file
+run().catch(async (err) => {
+  console.error(err);
+  await notify('error', `💥 Scalp agent stopped: ${err.message}`);
+  await shutdown(1);
+});
\ No newline at end of file
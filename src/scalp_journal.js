@@ -0,0 +1,38 @@
+import fs from 'fs';
+import { TradeJournal } from './TradeJournal.js';
+import { parseArgs } from './cli.js';
+
+// ═══════════════════════════════════════════════════════════════
+// SCALP JOURNAL — export recorded live trades
+// Run: node src/scalp_journal.js --date 2024-03-05 --format csv
+//      node src/scalp_journal.js --from 2024-03-01 --to 2024-03-31 --out march.json
+//      node src/scalp_journal.js --all --format csv --out all.csv
+// Options: --dir <journal dir> (default SCALP_JOURNAL_DIR)
+// ═══════════════════════════════════════════════════════════════
+
+function main() {
+  const args    = parseArgs(process.argv.slice(2));
+  const journal = new TradeJournal({ dir: typeof args.dir === 'string' ? args.dir : undefined });
+  const format  = args.format === 'csv' ? 'csv' : 'json';
+
+  let trades;
+  if (args.all) {
+    const days = journal.days();
+    trades = days.length ? journal.readRange(days[0], days[days.length - 1]) : [];
+  } else if (args.from || args.to) {
+    const today = new Date().toISOString().slice(0, 10);
+    trades = journal.readRange(args.from || args.to, args.to || today);
+  } else {
+    trades = journal.readDay(args.date || new Date().toISOString().slice(0, 10));
+  }
+
+  const text = journal.export(trades, format);
+  if (args.out) {
+    fs.writeFileSync(args.out, text);
+    console.log(`💾 ${trades.length} trade(s) written to ${args.out}`);
+  } else {
+    process.stdout.write(text + (format === 'json' ? '\n' : ''));
+  }
+}
+
+main();
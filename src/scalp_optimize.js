@@ -0,0 +1,73 @@
+import fs from 'fs';
+import { ScalpOptimizer } from './ScalpOptimizer.js';
+import { parseArgs, parseDirection, loadSymbolCandles } from './cli.js';
+
+// ═══════════════════════════════════════════════════════════════
+// SCALP OPTIMIZE — walk-forward parameter search on local candles
+// Run: node src/scalp_optimize.js --dir ./data --symbol XAU/USD
+// Options: --mode random|grid  --samples 60  --seed 1
+//          --is-days 60  --oos-days 20  --step-days 20
+//          --min-trades 10  --direction SELL|BUY|BOTH  --out report.json
+// ═══════════════════════════════════════════════════════════════
+
+const fmtDay = ts => new Date(ts).toISOString().slice(0, 10);
+const fmtSummary = s => s ? `${s.trades}T ${s.expectancy >= 0 ? '+' : ''}${s.expectancy}R/T` : 'n/a';
+
+function main() {
+  const args   = parseArgs(process.argv.slice(2));
+  const symbol = args.symbol || 'XAU/USD';
+
+  console.log(`📥 Loading candles for ${symbol}...`);
+  let candles, direction;
+  try {
+    direction = parseDirection(args.direction);
+    candles   = loadSymbolCandles(args, symbol);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  const optimizer = new ScalpOptimizer({
+    symbol,
+    ...candles,
+    mode:          args.mode === 'grid' ? 'grid' : 'random',
+    samples:       args.samples      ? parseInt(args.samples, 10)      : undefined,
+    seed:          args.seed         ? parseInt(args.seed, 10)         : undefined,
+    inSampleDays:  args['is-days']   ? parseInt(args['is-days'], 10)   : undefined,
+    outSampleDays: args['oos-days']  ? parseInt(args['oos-days'], 10)  : undefined,
+    stepDays:      args['step-days'] ? parseInt(args['step-days'], 10) : undefined,
+    minTrades:     args['min-trades'] !== undefined ? parseInt(args['min-trades'], 10) : undefined,
+    engineOptions: direction ? { directions: { [symbol]: direction } } : {},
+  });
+
+  const windows = optimizer.windows();
+  if (!windows.length) {
+    console.error(`❌ Not enough data for one ${optimizer.inSampleDays}+${optimizer.outSampleDays} day window`);
+    process.exit(1);
+  }
+  console.log(`🔎 ${optimizer.mode} search: ${optimizer.candidates().length} parameter sets × ${windows.length} windows\n`);
+
+  const report = optimizer.run((i, n) => console.log(`   ⏳ Window ${i + 1}/${n}...`));
+
+  console.log('\n📊 Walk-forward results (OOS = out-of-sample)');
+  for (const w of report.windows) {
+    const params = w.params
+      ? Object.entries(w.params).map(([k, v]) => `${k}=${v}`).join(' ')
+      : `no params with ≥${optimizer.minTrades} IS trades`;
+    console.log(`   ${fmtDay(w.isFrom)} → ${fmtDay(w.oosFrom)} → ${fmtDay(w.oosTo)}`);
+    console.log(`      ${params}`);
+    console.log(`      IS: ${fmtSummary(w.inSample)} | OOS: ${fmtSummary(w.outSample)} | OOS live config: ${fmtSummary(w.baseline)}`);
+  }
+
+  const { optimized, baseline } = report.aggregate;
+  console.log('\n📈 Pooled out-of-sample');
+  console.log(`   Optimized:   ${optimized.trades} trades | ${optimized.totalR}R | ${optimized.expectancy}R/trade | ${optimized.positiveWindows}/${optimized.windows} windows positive`);
+  console.log(`   Live config: ${baseline.trades} trades | ${baseline.totalR}R | ${baseline.expectancy}R/trade | ${baseline.positiveWindows}/${baseline.windows} windows positive`);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    console.log(`💾 Report written to ${args.out}`);
+  }
+}
+
+main();
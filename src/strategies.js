@@ -0,0 +1,28 @@
+import { PullbackStrategy } from './PullbackStrategy.js';
+
+// ═══════════════════════════════════════════════════════════════
+// strategies.js — pick the registered strategies from the environment
+// SCALP_STRATEGIES = pullback (default) — comma list, evaluated in order;
+// `name:magic` overrides a strategy's MT5 magic number (pullback:88888).
+// SCALP_CONF_WEIGHTS_FILE: fitted confidence weights (scalp_calibrate.js).
+// A new setup: subclass Strategy (Strategy.js), add it to STRATEGIES.
+// ═══════════════════════════════════════════════════════════════
+
+export { Strategy } from './Strategy.js';
+export { PullbackStrategy };
+
+export const STRATEGIES = {
+  pullback: PullbackStrategy,
+};
+
+export function createStrategies(env = process.env) {
+  return (env.SCALP_STRATEGIES || 'pullback').split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const [name, magic] = entry.split(':').map(s => s.trim());
+    const Impl = STRATEGIES[name.toLowerCase()];
+    if (!Impl) throw new Error(`Unknown strategy "${name}" in SCALP_STRATEGIES (${Object.keys(STRATEGIES).join(' | ')})`);
+    return new Impl({
+      ...(magic && { magic: parseInt(magic, 10) }),
+      ...(env.SCALP_CONF_WEIGHTS_FILE && { weightsFile: env.SCALP_CONF_WEIGHTS_FILE }),
+    });
+  });
+}